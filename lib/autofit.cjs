@@ -0,0 +1,192 @@
+/**
+ * Auto-fit - measures rendered slide text in Playwright and fixes overflow
+ *
+ * Runs before background generation, so continuation slides get their own
+ * backgrounds. For each slide, in order:
+ *   1. Reflow  - a wrapped title pushes the content below it down (fit.titleLines)
+ *   2. Shrink  - font sizes scale down in SCALE_STEP steps to the template's minScale
+ *   3. Split   - list content (e.g. content-slide bullets) continues on
+ *                "<title> (cont.)" slides
+ *
+ * A slide overflows when a text element ends below its `data-max-bottom`
+ * (or the 0.5" bottom margin html2pptx enforces), is wider than its box,
+ * or overlaps another text element.
+ */
+
+const { SLIDE_H } = require('./slide-templates.cjs');
+const { getTemplate } = require('./template-registry.cjs');
+const { launchBrowser } = require('./browser.cjs');
+const { mapLimit } = require('./concurrency.cjs');
+
+const SAFE_BOTTOM_PT = SLIDE_H - 36; // html2pptx requires 0.5" below text
+const SCALE_STEP = 0.05;
+// Text boxes include line-height leading, so small box overlaps are not visible collisions
+const OVERLAP_TOLERANCE_PT = 3;
+
+/**
+ * Render slide HTML into the page and collect title line count + overflow problems
+ */
+async function measure(page, html) {
+  await page.setContent(html);
+  return page.evaluate(({ safeBottomPt, overlapTolerancePt }) => {
+    const PT_PER_PX = 0.75;
+    const tolerancePx = overlapTolerancePt / PT_PER_PX;
+    const describe = el => `<${el.tagName.toLowerCase()}${el.className ? `.${el.className}` : ''}>`;
+
+    const heading = document.querySelector('h1, h2');
+    let titleLines = 1;
+    if (heading) {
+      const lineHeight = parseFloat(window.getComputedStyle(heading).lineHeight);
+      titleLines = Math.max(1, Math.round(heading.getBoundingClientRect().height / lineHeight));
+    }
+
+    const problems = [];
+    const texts = Array.from(document.querySelectorAll('h1, h2, h3, p, ul, ol'))
+      .filter(el => el.textContent.trim());
+    const rects = texts.map(el => el.getBoundingClientRect());
+
+    texts.forEach((el, i) => {
+      const maxBottom = el.dataset.maxBottom ? parseFloat(el.dataset.maxBottom) : safeBottomPt;
+      const bottomPt = rects[i].bottom * PT_PER_PX;
+      if (bottomPt > maxBottom + 0.5) {
+        problems.push(`${describe(el)} ends at ${bottomPt.toFixed(1)}pt (limit ${maxBottom}pt)`);
+      }
+      if (el.scrollWidth > el.clientWidth + 1) {
+        problems.push(`${describe(el)} is wider than its box`);
+      }
+      for (let j = i + 1; j < texts.length; j++) {
+        const a = rects[i];
+        const b = rects[j];
+        const overlapX = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+        const overlapY = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+        if (overlapX > tolerancePx && overlapY > tolerancePx) {
+          problems.push(`${describe(el)} overlaps ${describe(texts[j])}`);
+        }
+      }
+    });
+
+    return { titleLines, problems };
+  }, { safeBottomPt: SAFE_BOTTOM_PT, overlapTolerancePt: OVERLAP_TOLERANCE_PT });
+}
+
+/**
+ * Measure a slide at a font scale, reflowing for the measured title height
+ */
+async function layoutAt(page, render, slide, scale) {
+  const fit = { scale, titleLines: 1 };
+  let result = await measure(page, render({ ...slide, fit, bgImage: '' }));
+  if (result.titleLines > 1) {
+    fit.titleLines = result.titleLines;
+    result = await measure(page, render({ ...slide, fit, bgImage: '' }));
+  }
+  return { fit, problems: result.problems };
+}
+
+/**
+ * Largest font scale (down to rule.minScale) at which the slide fits
+ * @returns {Promise<{fit: object, problems: string[]}>} problems at minScale if nothing fits
+ */
+async function bestLayout(page, render, slide, rule) {
+  let scale = 1;
+  let layout = await layoutAt(page, render, slide, scale);
+  while (layout.problems.length > 0 && scale - SCALE_STEP >= rule.minScale - 1e-9) {
+    scale = Math.round((scale - SCALE_STEP) * 100) / 100;
+    layout = await layoutAt(page, render, slide, scale);
+  }
+  return layout;
+}
+
+function continuationTitle(title) {
+  const base = String(title || '').replace(/\s*\(cont\.\)$/, '');
+  return `${base} (cont.)`;
+}
+
+function describeFit(fit) {
+  const actions = [];
+  if (fit.titleLines > 1) actions.push(`reflowed for a ${fit.titleLines}-line title`);
+  if (fit.scale < 1) actions.push(`shrank fonts to ${Math.round(fit.scale * 100)}%`);
+  return actions;
+}
+
+/**
+ * Fit one slide, splitting its list field into continuation slides if needed
+ * @returns {Promise<{slides: object[], actions: string[], problems: string[]}>}
+ */
+async function fitSlide(page, render, slide, rule) {
+  const layout = await bestLayout(page, render, slide, rule);
+  const items = rule.split && slide[rule.split];
+
+  if (layout.problems.length === 0 || !Array.isArray(items) || items.length < 2) {
+    return { slides: [{ ...slide, fit: layout.fit }], actions: describeFit(layout.fit), problems: layout.problems };
+  }
+
+  // Keep as many items as fit on this slide, continue with the rest
+  for (let keep = items.length - 1; keep >= 1; keep--) {
+    const head = { ...slide, [rule.split]: items.slice(0, keep) };
+    const headLayout = await bestLayout(page, render, head, rule);
+    if (headLayout.problems.length > 0) continue;
+
+    // A slide's own seed stays with it; the continuation would otherwise get the identical background
+    const { seed, ...base } = slide;
+    const rest = {
+      ...base,
+      title: continuationTitle(slide.title),
+      notes: undefined,
+      [rule.split]: items.slice(keep),
+    };
+    const tail = await fitSlide(page, render, rest, rule);
+    const slides = [{ ...head, fit: headLayout.fit }, ...tail.slides];
+    return {
+      slides,
+      actions: [...describeFit(headLayout.fit), `split ${items.length} ${rule.split} across ${slides.length} slides`],
+      problems: tail.problems,
+    };
+  }
+
+  return { slides: [{ ...slide, fit: layout.fit }], actions: describeFit(layout.fit), problems: layout.problems };
+}
+
+/**
+ * Auto-fit every slide; sets `fit` on each slide and inserts continuation slides.
+ * How far fonts may shrink and which list may be split come from each
+ * template's `fit` rule in the template registry.
+ * @param {object[]} slides - validated slide objects of registered types
+ * @param {object} [options]
+ * @param {object} [options.theme] - resolved theme the slides will be rendered with
+ * @param {object} [options.browser] - shared Playwright browser (default: launch one for this call)
+ * @param {number} [options.concurrency=1] - slides measured in parallel, one page each
+ * @returns {Promise<{slides: object[], report: {index: number, input: number, type: string, actions: string[], problems: string[]}[]}>}
+ *   `report` lists only slides that were changed or still overflow (`problems`); `index` is the slide's
+ *   position in the returned `slides` (after earlier splits), `input` its position in the given ones
+ */
+async function autoFitSlides(slides, options = {}) {
+  const { theme, concurrency = 1 } = options;
+  const browser = options.browser || await launchBrowser();
+
+  try {
+    const fitted = await mapLimit(slides, concurrency, async slide => {
+      const page = await browser.newPage();
+      try {
+        const template = getTemplate(slide.type);
+        const render = data => template.render({ ...data, theme });
+        return await fitSlide(page, render, slide, template.fit);
+      } finally {
+        await page.close();
+      }
+    });
+
+    const report = [];
+    let index = 0;
+    fitted.forEach(({ slides: output, actions, problems }, i) => {
+      if (actions.length > 0 || problems.length > 0) {
+        report.push({ index, input: i, type: slides[i].type, actions, problems });
+      }
+      index += output.length;
+    });
+    return { slides: fitted.flatMap(f => f.slides), report };
+  } finally {
+    if (!options.browser) await browser.close();
+  }
+}
+
+module.exports = { autoFitSlides };
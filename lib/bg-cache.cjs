@@ -0,0 +1,217 @@
+/**
+ * Background cache - content-addressed store for generated background images
+ *
+ * Keys are SHA-256 hashes of everything that determines an image: provider,
+ * prompt, model, aspect ratio, reference images (by content hash) and seed,
+ * plus a variant number for slides that share a prompt.
+ * Rebuilding a deck after a text-only edit therefore reuses every background
+ * instead of calling Whisk again.
+ *
+ * Layout: <dir>/<first 2 key chars>/<key>.png, plus <key>.json with metadata
+ * such as the seed actually used. Hits refresh the file's mtime, so pruning by
+ * age or size drops the least recently used images first.
+ *
+ * CLI: node lib/bg-cache.cjs stats [--dir <dir>]
+ *      node lib/bg-cache.cjs prune [--max-age <days>] [--max-size <MB>] [--dir <dir>]
+ *      node lib/bg-cache.cjs clear [--dir <dir>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.cache', 'ai-pptx', 'backgrounds');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * JSON with sorted object keys, so equal parts always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Cache key for a background
+ * @param {{provider: string, prompt?: string, model?: string, aspectRatio?: string,
+ *   refs?: string[], seed?: number|null, [key: string]: any}} parts - refs are content hashes
+ * @returns {string} hex key
+ */
+function cacheKey(parts) {
+  return sha256(stableStringify(parts));
+}
+
+/**
+ * Content hash of an image (file path or base64 data)
+ * @param {{file?: string, base64?: string}} source
+ * @returns {string}
+ */
+function imageHash({ file, base64 }) {
+  return sha256(file ? fs.readFileSync(file) : Buffer.from(base64, 'base64'));
+}
+
+function entryPath(dir, key) {
+  return path.join(dir, key.slice(0, 2), `${key}.png`);
+}
+
+function metaPath(file) {
+  return file.replace(/\.png$/, '.json');
+}
+
+/**
+ * Copy a cached image to destPath
+ * @param {string|null} dir - cache directory (null: caching disabled)
+ * @param {string} key
+ * @param {string} destPath
+ * @returns {object|null} the entry's metadata ({} if none was stored) on a hit, null on a miss
+ */
+function cacheLookup(dir, key, destPath) {
+  if (!dir) return null;
+  const file = entryPath(dir, key);
+  if (!fs.existsSync(file)) return null;
+  fs.copyFileSync(file, destPath);
+  const now = new Date();
+  fs.utimesSync(file, now, now);
+  try {
+    return JSON.parse(fs.readFileSync(metaPath(file), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Store an image under key (written to a temp file first, so parallel builds
+ * never read a partial entry)
+ * @param {string|null} dir
+ * @param {string} key
+ * @param {string} srcPath
+ * @param {object} [meta] - returned by later lookups, e.g. { seed }
+ */
+function cacheStore(dir, key, srcPath, meta) {
+  if (!dir) return;
+  const file = entryPath(dir, key);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (meta) {
+    fs.writeFileSync(metaPath(file), JSON.stringify(meta), 'utf-8');
+  }
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.copyFileSync(srcPath, tmp);
+  fs.renameSync(tmp, file);
+}
+
+function listEntries(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const entries = [];
+  for (const sub of fs.readdirSync(dir)) {
+    const subDir = path.join(dir, sub);
+    if (!fs.statSync(subDir).isDirectory()) continue;
+    for (const name of fs.readdirSync(subDir)) {
+      if (!name.endsWith('.png')) continue;
+      const file = path.join(subDir, name);
+      const { size, mtimeMs } = fs.statSync(file);
+      entries.push({ file, size, mtimeMs });
+    }
+  }
+  return entries;
+}
+
+/**
+ * @param {string} [dir]
+ * @returns {{dir: string, count: number, bytes: number}}
+ */
+function cacheStats(dir = DEFAULT_CACHE_DIR) {
+  const entries = listEntries(dir);
+  return { dir, count: entries.length, bytes: entries.reduce((sum, e) => sum + e.size, 0) };
+}
+
+/**
+ * Remove entries unused for maxAgeDays, then the least recently used ones
+ * until the cache fits in maxBytes
+ * @param {string} [dir]
+ * @param {{maxAgeDays?: number, maxBytes?: number}} [limits]
+ * @returns {{removed: number, freedBytes: number}}
+ */
+function pruneCache(dir = DEFAULT_CACHE_DIR, { maxAgeDays, maxBytes } = {}) {
+  const entries = listEntries(dir).sort((a, b) => a.mtimeMs - b.mtimeMs);
+  const cutoff = maxAgeDays != null ? Date.now() - maxAgeDays * 86400000 : -Infinity;
+  let total = entries.reduce((sum, e) => sum + e.size, 0);
+  let removed = 0;
+  let freedBytes = 0;
+
+  for (const entry of entries) {
+    const tooOld = entry.mtimeMs < cutoff;
+    const tooBig = maxBytes != null && total > maxBytes;
+    if (!tooOld && !tooBig) continue;
+    fs.unlinkSync(entry.file);
+    fs.rmSync(metaPath(entry.file), { force: true });
+    total -= entry.size;
+    removed++;
+    freedBytes += entry.size;
+  }
+  return { removed, freedBytes };
+}
+
+/**
+ * Remove every cached background
+ * @param {string} [dir]
+ * @returns {{removed: number, freedBytes: number}}
+ */
+function clearCache(dir = DEFAULT_CACHE_DIR) {
+  return pruneCache(dir, { maxBytes: 0 });
+}
+
+function formatMB(bytes) {
+  return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+// === CLI interface ===
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const parsed = { dir: DEFAULT_CACHE_DIR };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dir' && args[i + 1]) { parsed.dir = path.resolve(args[++i]); }
+    else if (args[i] === '--max-age' && args[i + 1]) { parsed.maxAgeDays = parseFloat(args[++i]); }
+    else if (args[i] === '--max-size' && args[i + 1]) { parsed.maxBytes = parseFloat(args[++i]) * 1048576; }
+  }
+
+  if (command === 'stats') {
+    const { dir, count, bytes } = cacheStats(parsed.dir);
+    console.log(`${dir}: ${count} backgrounds, ${formatMB(bytes)}`);
+  } else if (command === 'prune' && (parsed.maxAgeDays != null || parsed.maxBytes != null)) {
+    const { removed, freedBytes } = pruneCache(parsed.dir, parsed);
+    console.log(`Removed ${removed} backgrounds (${formatMB(freedBytes)})`);
+  } else if (command === 'clear') {
+    const { removed, freedBytes } = clearCache(parsed.dir);
+    console.log(`Removed ${removed} backgrounds (${formatMB(freedBytes)})`);
+  } else {
+    console.log('Usage: node lib/bg-cache.cjs stats [--dir <dir>]');
+    console.log('       node lib/bg-cache.cjs prune [--max-age <days>] [--max-size <MB>] [--dir <dir>]');
+    console.log('       node lib/bg-cache.cjs clear [--dir <dir>]');
+    console.log('');
+    console.log(`Default cache directory: ${DEFAULT_CACHE_DIR}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  stableStringify,
+  cacheKey,
+  imageHash,
+  cacheLookup,
+  cacheStore,
+  cacheStats,
+  pruneCache,
+  clearCache,
+  DEFAULT_CACHE_DIR,
+};
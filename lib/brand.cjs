@@ -0,0 +1,101 @@
+/**
+ * Brand kit - logo, footer, confidentiality label and slide numbers
+ *
+ * A deck-level `brand` config:
+ *   {
+ *     logo: './logo.png',            // image path (relative to the config file)
+ *     logoPosition: 'top-right',     // top-left | top-right | bottom-left | bottom-right
+ *     logoHeight: 24,                // pt, width follows the image's aspect ratio
+ *     footer: 'Acme Corp - Q4 Review',
+ *     confidential: true,            // or a custom label, e.g. 'Internal use only'
+ *     numbering: '{n} / {total}',    // true for '{n}'
+ *     skip: ['title'],               // slide types without brand elements
+ *   }
+ *
+ * Brand elements are appended to each rendered slide as <img> and <p>
+ * elements, so html2pptx emits them as real pictures and text boxes.
+ * The footer row sits below the 0.5" margin templates keep free; its 8pt
+ * text is small enough for html2pptx's bottom-edge check.
+ */
+
+const { SLIDE_W, SLIDE_H, rgba, esc } = require('./slide-templates.cjs');
+
+const EDGE = 16; // pt from the slide edge for the logo
+const SIDE = 32; // pt, matches the templates' left/right text inset
+const FOOTER_TOP = SLIDE_H - 22;
+const FOOTER_FONT = 8;
+
+const DEFAULT_CONFIDENTIAL = 'Confidential';
+const DEFAULT_NUMBERING = '{n}';
+
+function logoHtml(brand) {
+  const height = brand.logoHeight || 24;
+  const position = brand.logoPosition || 'top-right';
+  const [vertical, horizontal] = position.split('-');
+  // Bottom logos sit above the footer row
+  const v = vertical === 'top' ? `top: ${EDGE}pt` : `bottom: ${SLIDE_H - FOOTER_TOP + 6}pt`;
+  const h = horizontal === 'left' ? `left: ${EDGE}pt` : `right: ${EDGE}pt`;
+  return `<img src="${esc(brand.logo)}" style="position: absolute; ${v}; ${h}; height: ${height}pt;">`;
+}
+
+function footerText(style, text) {
+  return `<p style="position: absolute; top: ${FOOTER_TOP}pt; font-size: ${FOOTER_FONT}pt; line-height: 1.2; ${style}">${esc(text)}</p>`;
+}
+
+/**
+ * Brand elements for one slide
+ * @param {object} brand - deck `brand` config (logo already resolved to an absolute path)
+ * @param {{index: number, total: number, type: string, theme: object}} slide
+ * @returns {string} HTML to append to the slide body ('' when the type is skipped)
+ */
+function brandHtml(brand, { index, total, type, theme }) {
+  if ((brand.skip || []).includes(type)) return '';
+
+  const muted = `color: ${rgba(theme.colors.text, 0.7)};`;
+  const parts = [];
+
+  if (brand.logo) {
+    parts.push(logoHtml(brand));
+  }
+  if (brand.footer) {
+    parts.push(footerText(`left: ${SIDE}pt; width: 300pt; ${muted}`, brand.footer));
+  }
+  if (brand.confidential) {
+    const label = brand.confidential === true ? DEFAULT_CONFIDENTIAL : brand.confidential;
+    parts.push(footerText(
+      `left: ${SLIDE_W / 2 - 100}pt; width: 200pt; text-align: center; font-weight: 700; color: ${theme.colors.accent};`,
+      label
+    ));
+  }
+  if (brand.numbering) {
+    const format = brand.numbering === true ? DEFAULT_NUMBERING : brand.numbering;
+    const text = format.replace(/\{n\}/g, String(index + 1)).replace(/\{total\}/g, String(total));
+    parts.push(footerText(`left: ${SLIDE_W - SIDE - 100}pt; width: 100pt; text-align: right; ${muted}`, text));
+  }
+
+  return parts.join('\n');
+}
+
+/**
+ * Append brand elements to a rendered slide
+ * @param {string} html - slide HTML from a template
+ * @param {object} [brand] - deck `brand` config
+ * @param {{index: number, total: number, type: string, theme: object}} slide
+ * @returns {string}
+ */
+function applyBrand(html, brand, slide) {
+  const extra = brand ? brandHtml(brand, slide) : '';
+  if (!extra) return html;
+  return html.replace(/<\/body>/i, `${extra}\n</body>`);
+}
+
+/**
+ * Whether slide numbers include the slide count, so every slide's HTML changes with it
+ * @param {object} [brand] - deck `brand` config
+ * @returns {boolean}
+ */
+function numberingUsesTotal(brand) {
+  return !!brand && typeof brand.numbering === 'string' && brand.numbering.includes('{total}');
+}
+
+module.exports = { applyBrand, brandHtml, numberingUsesTotal };
@@ -0,0 +1,22 @@
+/**
+ * Shared Playwright browser for a build
+ *
+ * One Chromium instance serves auto-fit measuring and HTML-to-PPTX extraction;
+ * each task opens its own page. Chrome is used on macOS, the bundled Chromium
+ * elsewhere (same as scripts/html2pptx.cjs).
+ */
+
+const { chromium } = require('playwright');
+
+/**
+ * @returns {Promise<import('playwright').Browser>} caller must close it
+ */
+async function launchBrowser() {
+  const launchOptions = {};
+  if (process.platform === 'darwin') {
+    launchOptions.channel = 'chrome';
+  }
+  return chromium.launch(launchOptions);
+}
+
+module.exports = { launchBrowser };
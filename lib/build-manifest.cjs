@@ -0,0 +1,146 @@
+/**
+ * Build manifest - what the last build produced, for incremental rebuilds
+ *
+ * outputs/<name>/build-manifest.json records a hash of the deck-wide inputs
+ * (style, references, theme, brand, image provider, seed, candidate count) and,
+ * per slide, a hash
+ * of its content plus the background (its content hash, and the seed it was
+ * generated with) and HTML files it produced:
+ *   { version, deckHash, slides: [{ type, hash, background, backgroundHash, backgroundSource, seed, html,
+ *     candidates?: [{ path, seed }], candidate? }] }
+ *
+ * Copying a slide's recorded seed into its `seed` field regenerates that
+ * background exactly; changing it varies the image deliberately. With
+ * background candidates, `candidate` is the one in use; a rebuild keeps that
+ * choice while the candidates stay the same.
+ *
+ * On the next build a slide whose hash is unchanged keeps its HTML and AI
+ * background; everything else is rebuilt. Slides are matched by content, so
+ * inserting, removing or splitting a slide only rebuilds that slide: a kept
+ * slide that moved keeps its background and has its HTML re-rendered (file
+ * names and brand numbers follow the position). A change to any deck-wide input
+ * rebuilds every slide. Paths are relative to the output directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { stableStringify, imageHash } = require('./bg-cache.cjs');
+
+const MANIFEST_FILE = 'build-manifest.json';
+const MANIFEST_VERSION = 1;
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+/**
+ * Hash of the inputs shared by every slide
+ * @param {{style: string, refs?: string[], theme: object, brand?: object, provider?: string, seed?: number,
+ *   candidates?: number, crop?: object|null, readability?: object|null}} inputs
+ *   refs and brand.logo are file paths, hashed by content
+ * @returns {string}
+ */
+function deckHash({ style, refs, theme, brand, provider, seed, candidates, crop, readability }) {
+  const existing = (refs || []).filter(ref => fs.existsSync(ref));
+  const brandParts = brand && brand.logo ? { ...brand, logo: imageHash({ file: brand.logo }) } : brand;
+  return hashValue({
+    version: MANIFEST_VERSION, style, refs: existing.map(file => imageHash({ file })), theme, brand: brandParts, provider, seed, candidates, crop, readability,
+  });
+}
+
+/**
+ * @param {object} slide - slide object as rendered (after auto-fit)
+ * @returns {string}
+ */
+function slideHash(slide) {
+  return hashValue(slide);
+}
+
+/**
+ * @param {string} outputDir
+ * @returns {object|null} previous manifest, or null when missing or unreadable
+ */
+function readManifest(outputDir) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf-8'));
+    return manifest.version === MANIFEST_VERSION ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} outputDir
+ * @param {{deckHash: string, slides: {type: string, hash: string, background: string, backgroundHash: string,
+ *   backgroundSource: string, seed: number|null, html: string, candidates?: {path: string, seed: number|null}[],
+ *   candidate?: number}[]}} manifest - absolute paths
+ */
+function writeManifest(outputDir, { deckHash: hash, slides }) {
+  const manifest = {
+    version: MANIFEST_VERSION,
+    deckHash: hash,
+    slides: slides.map(entry => ({
+      ...entry,
+      background: path.relative(outputDir, entry.background),
+      html: path.relative(outputDir, entry.html),
+      candidates: entry.candidates && entry.candidates.map(c => ({ ...c, path: path.relative(outputDir, c.path) })),
+    })),
+  };
+  fs.writeFileSync(path.join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Decide which slides can be kept from the previous build
+ * @param {object|null} manifest - from readManifest()
+ * @param {{outputDir: string, deckHash: string, slides: object[], only?: number[]}} build
+ *   `only` lists slide indices to rebuild even when unchanged
+ * @returns {{hash: string, candidate: number, moved?: number, reuse: {background: string, backgroundHash: string|null,
+ *   backgroundSource: string, seed: number|null, html: string, candidates?: object[], candidate?: number}|null}[]}
+ *   per slide; `reuse` holds absolute paths of files that are still valid; `candidate` is the previously
+ *   selected background candidate (0 when none); `moved` is the slide's previous index when it changed position
+ */
+function planRebuild(manifest, { outputDir, deckHash: hash, slides, only = [] }) {
+  const previous = manifest && manifest.deckHash === hash ? manifest.slides : [];
+  const hashes = slides.map(slideHash);
+  const sameContent = (entry, index) => entry && entry.type === slides[index].type && entry.hash === hashes[index];
+
+  // Slides at their old position claim their entries first, then moved slides take the first unused match
+  const matches = slides.map((slide, index) => (!only.includes(index) && sameContent(previous[index], index) ? index : -1));
+  const used = new Set(matches.filter(k => k !== -1));
+  slides.forEach((slide, index) => {
+    if (matches[index] !== -1 || only.includes(index)) return;
+    const k = previous.findIndex((entry, j) => !used.has(j) && sameContent(entry, index));
+    if (k === -1) return;
+    matches[index] = k;
+    used.add(k);
+  });
+
+  return slides.map((slide, index) => {
+    const current = hashes[index];
+    const k = matches[index];
+    const entry = k !== -1 ? previous[k] : previous[index];
+    const candidate = entry && entry.type === slide.type && entry.candidate && !only.includes(index) ? entry.candidate : 0;
+    if (k === -1) {
+      return { hash: current, candidate, reuse: null };
+    }
+    const background = path.resolve(outputDir, entry.background);
+    const html = path.resolve(outputDir, entry.html);
+    if (!fs.existsSync(background) || !fs.existsSync(html)) {
+      return { hash: current, candidate, reuse: null };
+    }
+    const candidates = entry.candidates && entry.candidates.map(c => ({ ...c, path: path.resolve(outputDir, c.path) }));
+    return {
+      hash: current,
+      candidate,
+      ...(k !== index ? { moved: k } : {}),
+      reuse: {
+        background, backgroundHash: entry.backgroundHash ?? null, backgroundSource: entry.backgroundSource,
+        seed: entry.seed ?? null, html, candidates, candidate: entry.candidate,
+      },
+    };
+  });
+}
+
+module.exports = { deckHash, slideHash, readManifest, writeManifest, planRebuild, MANIFEST_FILE };
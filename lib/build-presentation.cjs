@@ -4,65 +4,154 @@
  * Adapted for ai-pptx plugin: paths resolve relative to plugin root.
  *
  * Phases:
- *   1. Generate background images via Whisk API (or fallback to gradients)
- *   2. Create HTML slides from templates
- *   3. Assemble PPTX via PptxGenJS + html2pptx
+ *   0. Validate the deck against per-template schemas (before any generation),
+ *      then auto-fit text: reflow, shrink fonts, or split into continuation slides
+ *   1. Generate background images via the image provider - Whisk API by default,
+ *      see lib/image-providers.cjs (or fallback to gradients),
+ *      reusing identical images from the background cache (lib/bg-cache.cjs),
+ *      then cropped to slide pixels (lib/smart-crop.cjs)
+ *   2. Create HTML slides from templates (plus brand kit elements), with overlay
+ *      opacity and text color adapted to each background (lib/readability.cjs)
+ *      Slides unchanged since the last build keep their background and HTML
+ *      (outputs/<name>/build-manifest.json, see lib/build-manifest.cjs)
+ *   3. Assemble PPTX via PptxGenJS + html2pptx, embedding JPEG copies of the
+ *      backgrounds - recompressed until the deck fits maxDeckSizeMB (lib/image-optimizer.cjs)
  *   4. Generate thumbnails for validation
  *
  * CLI: node lib/build-presentation.cjs --name <name> --style "<style>" [--refs img1.png,img2.png]
- * Module: const { buildPresentation } = require('./lib/build-presentation.cjs');
+ *      node lib/build-presentation.cjs --config deck.json|deck.yaml [--name ...] [--style ...]
+ *      node lib/build-presentation.cjs --from-markdown talk.md [--style ...] (see lib/markdown-deck.cjs)
+ *      node lib/build-presentation.cjs --from-pptx legacy.pptx --style "<style>" (see lib/pptx-deck.cjs)
+ *      add --templates ./dir to load custom slide layouts (see lib/template-registry.cjs)
+ * Module: const { buildPresentation, registerTemplate } = require('./lib/build-presentation.cjs');
  */
 
 const fs = require('fs');
 const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
 const sharp = require('sharp');
 
 const whisk = require('./whisk-client.cjs');
-const templates = require('./slide-templates.cjs');
+const { addChart } = require('./charts.cjs');
+const { addTable, paginateTableSlides } = require('./tables.cjs');
+const { markdownToNotes } = require('./notes.cjs');
+const { autoFitSlides } = require('./autofit.cjs');
+const { loadDeckConfig } = require('./deck-config.cjs');
+const { checkDeck, formatIssue, DeckValidationError } = require('./deck-schema.cjs');
+const { registerTemplate, getTemplate, loadTemplates } = require('./template-registry.cjs');
+const { resolveTheme } = require('./themes.cjs');
+const { applyBrand, numberingUsesTotal } = require('./brand.cjs');
+const { launchBrowser } = require('./browser.cjs');
+const { mapLimit } = require('./concurrency.cjs');
+const { cacheKey, imageHash, cacheLookup, cacheStore, DEFAULT_CACHE_DIR } = require('./bg-cache.cjs');
+const { deckHash, readManifest, writeManifest, planRebuild } = require('./build-manifest.cjs');
+const { writeContactSheet } = require('./contact-sheet.cjs');
+const { resolveProvider } = require('./image-providers.cjs');
+const { readabilitySettings, assessReadability, readableTheme } = require('./readability.cjs');
+const { cropSettings, fitBackground } = require('./smart-crop.cjs');
+const { imageSettings, compressionSteps, writeEmbeddedImages, formatBytes } = require('./image-optimizer.cjs');
 const html2pptx = require('../scripts/html2pptx.cjs');
 
 const PLUGIN_ROOT = path.resolve(__dirname, '..');
 
-const TEMPLATE_FNS = {
-  title: templates.titleSlide,
-  content: templates.contentSlide,
-  data: templates.dataSlide,
-  features: templates.featuresSlide,
-  closing: templates.closingSlide,
-};
+// Slides rendered at once in auto-fit and PPTX assembly (one Chromium page each)
+const DEFAULT_CONCURRENCY = 4;
+// Provider requests in flight at once after the anchor background
+const DEFAULT_GENERATION_CONCURRENCY = 3;
+// generation.onAuthFailure 'wait': how long to wait for fresh credentials, and how often to check
+const DEFAULT_AUTH_WAIT_MS = 10 * 60 * 1000;
+const AUTH_POLL_MS = 5000;
 
-const TYPE_INSTRUCTIONS = {
-  title: 'Central focal point, slightly darker edges, space for centered text',
-  content: 'Subtle, not distracting, darker left area for text overlay',
-  data: 'Clean, professional, muted tones, will not compete with charts',
-  features: 'Subtle pattern, even lighting for placing white cards on top',
-  closing: 'Warm, inviting, central focal point, space for centered text',
-};
+const FALLBACK_POLICIES = ['allow', 'warn', 'error'];
 
 /**
- * Build a full prompt for background generation
+ * Thrown by buildPresentation() with `fallback: 'error'` when any slide ended
+ * up with a gradient instead of a provider background
  */
-function buildBgPrompt(styleDescription, slideType) {
-  const instruction = TYPE_INSTRUCTIONS[slideType] || '';
-  return `${styleDescription}. ${instruction}. No text, no logos, no people. Abstract background only. 16:9.`;
+class BackgroundFallbackError extends Error {
+  /**
+   * @param {object} summary - see summarizeBackgrounds()
+   */
+  constructor(summary) {
+    super(`${summary.fallback.length} of ${summary.total} slides have no ${summary.provider} background `
+      + `(fallback: error):\n${summary.fallback.map(entry => `  - ${formatFallback(entry)}`).join('\n')}`);
+    this.name = 'BackgroundFallbackError';
+    this.summary = summary;
+  }
+}
+
+// Progress event fields for a backgroundStatus entry (`type` is the event type there, hence slideType)
+function backgroundEvent({ index, type, source, attempts, seed, cached, reused, mirrored, failure, error }) {
+  return { index, slideType: type, source, attempts, seed, cached, reused, mirrored, failure, error };
+}
+
+function formatFallback({ index, type, failure, reason }) {
+  return `Slide ${index} (${type}) [${failure}]: ${reason}`;
 }
 
 /**
- * Generate gradient fallback backgrounds using Sharp (when Whisk unavailable)
+ * Which slides got provider (AI) backgrounds and which fell back to gradients, and why
+ * @param {object[]} backgroundStatus
+ * @param {string} providerName
+ * @param {string} policy - allow | warn | error
+ * @returns {{policy: string, provider: string, total: number, ai: number[],
+ *   fallback: {index: number, type: string, failure: string, reason: string}[], warning?: string}}
  */
-async function generateFallbackBackground(outputDir, slideType, index) {
-  const gradients = {
-    title: { from: '#0f0c29', via: '#302b63', to: '#24243e' },
-    content: { from: '#1a1a2e', via: '#16213e', to: '#0f3460' },
-    data: { from: '#0d1117', via: '#161b22', to: '#21262d' },
-    features: { from: '#1a1a2e', via: '#1f2937', to: '#111827' },
-    closing: { from: '#2d1b69', via: '#1e1145', to: '#0f0c29' },
+function summarizeBackgrounds(backgroundStatus, providerName, policy) {
+  const summary = {
+    policy,
+    provider: providerName,
+    total: backgroundStatus.length,
+    ai: backgroundStatus.filter(s => s.source !== 'fallback').map(s => s.index),
+    fallback: backgroundStatus.filter(s => s.source === 'fallback').map(s => ({
+      index: s.index, type: s.type, failure: s.failure || whisk.FAILURE.OTHER, reason: s.error || 'no image generated',
+    })),
   };
+  if (policy === 'warn' && summary.fallback.length > 0) {
+    summary.warning = `${summary.fallback.length} of ${summary.total} slides use gradient fallbacks instead of ${providerName} backgrounds`;
+  }
+  return summary;
+}
 
-  const g = gradients[slideType] || gradients.content;
+/**
+ * Build a full prompt for background generation
+ */
+function buildBgPrompt(styleDescription, slideType, theme) {
+  const template = getTemplate(slideType);
+  const instruction = template ? template.bgInstruction : '';
+  const hint = theme && theme.backgroundHint ? ` ${theme.backgroundHint}.` : '';
+  return `${styleDescription}.${hint} ${instruction}. No text, no logos, no people. Abstract background only. 16:9.`;
+}
+
+/**
+ * Seed for a slide derived from the deck seed, stable across rebuilds and
+ * distinct for slides of the same type
+ * @param {number|null|undefined} deckSeed
+ * @returns {number|null} null when the deck has no seed
+ */
+function deriveSeed(deckSeed, slideType, variant) {
+  if (deckSeed == null) return null;
+  return parseInt(cacheKey({ seed: deckSeed, type: slideType, variant }).slice(0, 8), 16) % 2147483647;
+}
+
+/**
+ * Generate gradient fallback backgrounds using Sharp (when the image provider is unavailable)
+ * Gradient: theme entry for the type, else the template's own, else the theme default
+ * @param {object} [theme] - resolved theme (default: dark)
+ * @param {{cacheDir?: string|null}} [options] - background cache (see lib/bg-cache.cjs)
+ */
+async function generateFallbackBackground(outputDir, slideType, index, theme = resolveTheme(), options = {}) {
+  const template = getTemplate(slideType);
+  const g = theme.gradients[slideType] || (template && template.fallbackGradient) || theme.gradients.default;
   const width = 1920;
   const height = 1080;
 
+  const outPath = path.join(outputDir, `bg-${index}-${slideType}.png`);
+  const key = cacheKey({ provider: 'gradient', gradient: g, width, height });
+  if (cacheLookup(options.cacheDir, key, outPath)) {
+    return outPath;
+  }
+
   const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
     <defs>
       <linearGradient id="g" x1="0%" y1="0%" x2="100%" y2="100%">
@@ -76,100 +165,303 @@ async function generateFallbackBackground(outputDir, slideType, index) {
     <circle cx="${width * 0.3}" cy="${height * 0.7}" r="${height * 0.25}" fill="${g.to}" opacity="0.2"/>
   </svg>`;
 
-  const outPath = path.join(outputDir, `bg-${index}-${slideType}.png`);
   await sharp(Buffer.from(svg)).png().toFile(outPath);
+  cacheStore(options.cacheDir, key, outPath);
   return outPath;
 }
 
 /**
- * Generate backgrounds via Whisk API with style consistency
+ * Contact sheet of a slide's background candidates (images/candidates/bg-<i>-<type>-sheet.jpg)
+ */
+function writeCandidateSheet(imagesDir, index, slideType, candidates, selected) {
+  const sheetPath = path.join(imagesDir, 'candidates', `bg-${index}-${slideType}-sheet.jpg`);
+  return writeContactSheet(candidates.map(c => c.path), sheetPath, {
+    title: `Slide ${index} (${slideType}): --pick ${index}:<n>`, selected,
+  });
+}
+
+/**
+ * Wait until the provider is usable again (e.g. the user refreshed an expired token)
+ * @param {{log: function, warn: function}} [log=console]
+ * @throws {Error} when it is still unavailable after timeoutMs
+ */
+async function waitForAuth(provider, error, timeoutMs, log = console) {
+  log.warn(`${provider.name} authentication failed mid-build: ${error}`);
+  log.warn(`Waiting up to ${Math.round(timeoutMs / 60000)} min for fresh credentials...`);
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    await sleep(AUTH_POLL_MS);
+    if ((await provider.available()).ok) {
+      log.log('Credentials available again, resuming background generation');
+      return;
+    }
+  }
+  throw new Error(`${provider.name} credentials were not refreshed within ${Math.round(timeoutMs / 60000)} min: ${error}`);
+}
+
+/**
+ * Generate backgrounds via an image provider with style consistency
+ *
+ * The first slide's background is generated first and uploaded as a style
+ * reference; the remaining slides are then generated in parallel
+ * (`options.concurrency` at a time). Retryable failures (429, 5xx, network)
+ * are retried with exponential backoff honoring Retry-After. After an auth
+ * failure no further requests are made.
+ *
+ * Backgrounds found in `options.cacheDir` (keyed by prompt, model, aspect
+ * ratio, reference image contents and seed) are reused without any request;
+ * references are only uploaded when a slide actually needs generating.
+ * `options.reuse` keeps backgrounds from the previous build (incremental
+ * rebuilds; a kept anchor still styles the regenerated slides), and
+ * `options.force` lists slides that skip the cache lookup.
+ *
+ * Seeds: a slide's own `seed`, else one derived from `options.seed` (the deck
+ * seed), else random. Forced slides without their own seed get a random one,
+ * so they come out different. The seed used is reported in each status entry.
+ *
+ * With `options.candidates` > 1, every image the provider returns is kept (requesting
+ * more until there are enough) in images/candidates/, next to a contact sheet
+ * per slide. `options.selected` names the candidate to use per slide
+ * (default 0); it is copied to the slide's background path.
+ *
+ * A provider that is unavailable from the start leaves every slide to the
+ * gradient fallback. An auth failure after that (a token expiring mid-build)
+ * aborts with an error, or with `options.onAuthFailure: 'wait'` pauses all
+ * requests until provider.available() is ok again (at most `authWaitMs`) and
+ * retries once.
+ *
+ * With `options.crop` (see lib/smart-crop.cjs), every image is resized to
+ * slide pixels after generation or a cache hit - the cache keeps the
+ * provider's original - and mirrored when that moves detail away from the
+ * template's text region (status `mirrored`).
+ *
+ * `options.onProgress` receives `background:done` for each slide that got a
+ * provider image (fallbacks are reported by the caller), `retry` and `warning`
+ * events (see buildPresentation()); `options.logger` receives the log lines
+ * (default console).
+ *
+ * @param {object} provider - see lib/image-providers.cjs
  * @param {string} outputDir
  * @param {string} styleDescription
  * @param {string[]} refPaths
  * @param {{type: string}[]} slides - array of slide descriptors
- * @returns {Promise<string[]|null>} array of background paths per slide, or null
+ * @param {object} theme - resolved theme (prompt hint)
+ * @param {{concurrency?: number, retries?: number, retryDelayMs?: number, cacheDir?: string|null,
+ *   seed?: number, candidates?: number, selected?: number[], force?: number[], crop?: {strategy: string, mirror: boolean}|null,
+ *   onAuthFailure?: 'abort'|'wait', authWaitMs?: number, onProgress?: function(object): void,
+ *   logger?: {log: function, warn: function, error: function},
+ *   reuse?: ({background: string, seed: number|null, candidates?: object[], candidate?: number}|null)[]}} [options]
+ * @returns {Promise<{backgrounds: (string|null)[], status: object[], unavailable?: string}>} per-slide paths
+ *   (null where generation failed) and status entries; `unavailable` is the provider's reason when
+ *   it cannot be used and there is no kept or cached anchor background (every slide is null)
+ * @throws {Error} on an auth failure mid-build (see above)
  */
-async function generateWhiskBackgrounds(outputDir, styleDescription, refPaths, slides) {
-  const tokenData = whisk.loadToken();
-  if (!tokenData) {
-    return null; // Signal to use fallback
+async function generateBackgrounds(provider, outputDir, styleDescription, refPaths, slides, theme, options = {}) {
+  const emit = options.onProgress || (() => {});
+  const log = options.logger || console;
+  const availability = await provider.available();
+  if (availability.warning) {
+    log.warn(`Warning: ${availability.warning}`);
+    emit({ type: 'warning', source: 'provider', message: availability.warning });
   }
+  const concurrency = options.concurrency || DEFAULT_GENERATION_CONCURRENCY;
+  const reuse = options.reuse || [];
+  const force = options.force || [];
+  const count = options.candidates || 1;
+  const candidatesDir = path.join(outputDir, 'candidates');
+  if (count > 1) {
+    fs.mkdirSync(candidatesDir, { recursive: true });
+  }
+  const backgrounds = new Array(slides.length).fill(null);
+  const status = slides.map((slide, index) => ({ index, type: slide.type, source: provider.name, attempts: 0 }));
 
-  const token = tokenData.accessToken;
-  const results = [];
-
-  // Phase 1a: Upload user reference images (if provided)
-  const userRefs = [];
-  for (const refPath of (refPaths || [])) {
-    if (!fs.existsSync(refPath)) continue;
-    const base64 = fs.readFileSync(refPath).toString('base64');
-    const analysis = await whisk.uploadAndAnalyze(base64, 'MEDIA_CATEGORY_STYLE', token);
-    if (analysis.success) {
-      userRefs.push({
-        category: 'MEDIA_CATEGORY_STYLE',
-        mediaId: analysis.mediaId,
-        caption: analysis.caption,
-      });
+  // Auth failures once generation is under way: abort, or wait for credentials once (shared by all slides)
+  let authWait = null;
+  const recoverAuth = async (error, retried) => {
+    if (options.onAuthFailure !== 'wait' || retried) {
+      throw new Error(`${provider.name} authentication failed mid-build: ${error}. Refresh the credentials and rerun`
+        + (options.cacheDir ? '; backgrounds generated so far are reused from the cache.' : '.'));
     }
-  }
+    authWait = authWait || waitForAuth(provider, error, options.authWaitMs ?? DEFAULT_AUTH_WAIT_MS, log)
+      .finally(() => { authWait = null; });
+    return authWait;
+  };
 
-  // Phase 1b: Generate first slide background as style anchor
-  const firstType = slides[0].type;
-  const anchorPrompt = buildBgPrompt(styleDescription, firstType);
-  let anchorResult;
+  const retryOptions = label => ({
+    retries: options.retries,
+    baseDelayMs: options.retryDelayMs,
+    onRetry: ({ attempt, delayMs, error }) => {
+      log.log(`  ${label}: retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}): ${error}`);
+      emit({ type: 'retry', label, attempt: attempt + 1, delayMs, error });
+    },
+  });
 
-  if (userRefs.length > 0) {
-    anchorResult = await whisk.generateWithReference(anchorPrompt, '16:9', token, userRefs);
-  } else {
-    anchorResult = await whisk.generateImage(anchorPrompt, '16:9', token);
-  }
+  // Style references, identified by content hash; uploaded once, on first use
+  const refSource = (label, file) => ({ label, file, hash: imageHash({ file }), upload: null });
+  const uploadRefs = async sources => {
+    const refs = await Promise.all(sources.map(async source => {
+      for (let retried = false; ; retried = true) {
+        if (!source.upload) {
+          const base64 = fs.readFileSync(source.file).toString('base64');
+          source.upload = whisk.withRetry(() => provider.uploadReference(base64), retryOptions(source.label));
+        }
+        const upload = await source.upload;
+        if (upload.failure !== whisk.FAILURE.AUTH) {
+          return upload.success && upload.ref ? { ref: upload.ref, hash: source.hash } : null;
+        }
+        source.upload = null;
+        await recoverAuth(upload.error, retried);
+      }
+    }));
+    return refs.filter(Boolean);
+  };
 
-  if (!anchorResult.success) {
-    console.error('Anchor background generation failed:', anchorResult.error);
-    return null;
-  }
+  const generate = async (index, styleSources) => {
+    // Providers without reference input generate from the prompt alone (and cache that way)
+    const sources = provider.references === false ? [] : styleSources;
+    const slide = slides[index];
+    const slideType = slide.type;
+    if (reuse[index]) {
+      const { background, seed, candidates, candidate } = reuse[index];
+      Object.assign(status[index], { reused: true, seed, candidates, candidate });
+      backgrounds[index] = background;
+      return background;
+    }
 
-  const anchorPath = path.join(outputDir, `bg-0-${firstType}.png`);
-  whisk.saveBase64Image(anchorResult.images[0], anchorPath);
-  results.push(anchorPath);
-
-  // Phase 1c: Upload anchor as style reference for consistency
-  const anchorBase64 = anchorResult.images[0];
-  const anchorRef = await whisk.uploadAndAnalyze(anchorBase64, 'MEDIA_CATEGORY_STYLE', token);
-  const consistencyRefs = [...userRefs];
-  if (anchorRef.success) {
-    consistencyRefs.push({
-      category: 'MEDIA_CATEGORY_STYLE',
-      mediaId: anchorRef.mediaId,
-      caption: anchorRef.caption,
+    const prompt = buildBgPrompt(styleDescription, slideType, theme);
+    const outPath = path.join(outputDir, `bg-${index}-${slideType}.png`);
+    const targets = count > 1
+      ? Array.from({ length: count }, (_, k) => path.join(candidatesDir, `bg-${index}-${slideType}-${k}.png`))
+      : [outPath];
+    const forced = force.includes(index);
+    // Slides of the same type share a prompt; the variant keeps their images distinct
+    const variant = slides.slice(0, index).filter(s => s.type === slideType).length;
+    // Providers that ignore seeds get none, so the seed stays out of their cache keys
+    const seed = provider.seeds === false ? null : (slide.seed ?? (forced ? null : deriveSeed(options.seed, slideType, variant)));
+    // Candidates after the first are separate entries, so single-candidate builds share candidate 0
+    const keyFor = (refHashes, k) => cacheKey({
+      provider: provider.name, prompt, model: provider.model ? provider.model(refHashes.length) : undefined,
+      aspectRatio: '16:9', refs: refHashes, seed, variant,
+      ...(k > 0 ? { candidate: k } : {}),
     });
-  }
 
-  // Phase 1d: Generate remaining backgrounds with consistency refs
-  for (let i = 1; i < slides.length; i++) {
-    const slideType = slides[i].type;
-    const prompt = buildBgPrompt(styleDescription, slideType);
+    const finish = async (candidates, extra) => {
+      if (options.crop) {
+        const template = getTemplate(slideType);
+        for (const entry of candidates) {
+          const { mirrored } = await fitBackground(entry.path, options.crop, template && template.textRegion);
+          if (mirrored) entry.mirrored = true;
+        }
+      }
+      const candidate = Math.min((options.selected || [])[index] || 0, candidates.length - 1);
+      if (count > 1) {
+        fs.copyFileSync(candidates[candidate].path, outPath);
+        await writeCandidateSheet(outputDir, index, slideType, candidates, candidate);
+      }
+      Object.assign(status[index], extra, { seed: candidates[candidate].seed }, count > 1 ? { candidates, candidate } : {});
+      if (candidates[candidate].mirrored) status[index].mirrored = true;
+      backgrounds[index] = outPath;
+      return outPath;
+    };
+
+    if (!forced) {
+      const hashes = sources.map(s => s.hash);
+      const hits = [];
+      for (let k = 0; k < count; k++) {
+        const hit = cacheLookup(options.cacheDir, keyFor(hashes, k), targets[k]);
+        if (!hit) break;
+        hits.push({ path: targets[k], seed: hit.seed ?? seed });
+      }
+      if (hits.length === count) {
+        return finish(hits, { cached: true });
+      }
+    }
+    if (!availability.ok) {
+      Object.assign(status[index], { failure: whisk.FAILURE.AUTH, error: availability.reason });
+      return null;
+    }
+
+    const refs = await uploadRefs(sources);
+    const hashes = refs.map(r => r.hash);
+    const candidates = [];
     let result;
+    let authRetried = false;
+    while (candidates.length < count) {
+      // Each further request gets its own seed, so the candidates differ
+      const requestSeed = seed == null || candidates.length === 0 ? seed : (seed + candidates.length) % 2147483647;
+      result = await whisk.withRetry(
+        () => (refs.length > 0
+          ? provider.generateWithReferences(prompt, refs.map(r => r.ref), { aspectRatio: '16:9', seed: requestSeed })
+          : provider.generate(prompt, { aspectRatio: '16:9', seed: requestSeed })),
+        retryOptions(`Background ${index} ("${slideType}")`)
+      );
+      status[index].attempts += result.attempts;
+      if (result.failure === whisk.FAILURE.AUTH) {
+        await recoverAuth(result.error, authRetried);
+        authRetried = true;
+        continue;
+      }
+      if (!result.success) break;
+      // A "successful" empty response would otherwise be requested again forever
+      if (!Array.isArray(result.images) || result.images.length === 0) {
+        result = { ...result, success: false, failure: whisk.FAILURE.OTHER, error: `${provider.name} provider returned no images` };
+        break;
+      }
 
-    if (consistencyRefs.length > 0) {
-      result = await whisk.generateWithReference(prompt, '16:9', token, consistencyRefs);
-    } else {
-      result = await whisk.generateImage(prompt, '16:9', token);
+      for (const image of result.images.slice(0, count - candidates.length)) {
+        const k = candidates.length;
+        whisk.saveBase64Image(image, targets[k]);
+        cacheStore(options.cacheDir, keyFor(hashes, k), targets[k], { seed: result.seed });
+        candidates.push({ path: targets[k], seed: result.seed });
+      }
     }
 
-    if (!result.success) {
-      console.error(`Background ${i} ("${slideType}") failed: ${result.error}, using fallback`);
-      const fallbackPath = await generateFallbackBackground(outputDir, slideType, i);
-      results.push(fallbackPath);
-      continue;
+    if (candidates.length === 0) {
+      Object.assign(status[index], { failure: result.failure, error: result.error });
+      log.error(`Background ${index} ("${slideType}") failed [${result.failure}]: ${result.error}`);
+      return null;
     }
+    if (candidates.length < count) {
+      log.warn(`Background ${index} ("${slideType}"): only ${candidates.length} of ${count} candidates [${result.failure}]: ${result.error}`);
+    }
+    return finish(candidates, {});
+  };
+  const generateAndReport = async (index, sources) => {
+    const background = await generate(index, sources);
+    if (background) {
+      emit({ type: 'background:done', ...backgroundEvent(status[index]), path: background });
+    }
+    return background;
+  };
+
+  // Phase 1a: User reference images (if provided)
+  const userRefs = (refPaths || [])
+    .filter(refPath => fs.existsSync(refPath))
+    .map(refPath => refSource(`Upload ${path.basename(refPath)}`, refPath));
 
-    const outPath = path.join(outputDir, `bg-${i}-${slideType}.png`);
-    whisk.saveBase64Image(result.images[0], outPath);
-    results.push(outPath);
+  // Phase 1b: First slide background as style anchor
+  const anchorPath = await generateAndReport(0, userRefs);
+
+  if (!anchorPath) {
+    if (!availability.ok) {
+      for (const entry of status) {
+        Object.assign(entry, { failure: whisk.FAILURE.AUTH, error: availability.reason });
+      }
+      return { backgrounds, status, unavailable: availability.reason };
+    }
+    log.error('Anchor background generation failed, using fallbacks for all slides');
+    for (let i = 1; i < slides.length; i++) {
+      Object.assign(status[i], { failure: status[0].failure, error: 'Skipped: anchor background failed' });
+    }
+    return { backgrounds, status };
   }
 
-  return results;
+  // Phase 1c: Remaining backgrounds in parallel, with the anchor as an extra style reference
+  const consistencyRefs = [...userRefs, refSource('Anchor upload', anchorPath)];
+  const rest = slides.map((_, i) => i).slice(1);
+  await mapLimit(rest, concurrency, index => generateAndReport(index, consistencyRefs));
+
+  return { backgrounds, status };
 }
 
 /**
@@ -185,6 +477,65 @@ async function renderIconPng(iconSvg, outputPath, size, color) {
   return outputPath;
 }
 
+/**
+ * Switch a kept slide to another of its background candidates (no generation)
+ * @param {object} entry - planRebuild() entry for the slide
+ * @param {{log: function}} [log=console]
+ * @throws {Error} when the slide has no such candidate from the previous build
+ */
+async function pickCandidate(entry, index, candidate, imagesDir, slides, log = console) {
+  const reuse = entry && entry.reuse;
+  if (!reuse) {
+    const reason = entry ? 'it is rebuilt (changed since the last build, or listed in --only)' : 'there is no such slide';
+    throw new Error(`Cannot pick a background for slide ${index}: ${reason}`);
+  }
+  const chosen = reuse.candidates && reuse.candidates[candidate];
+  if (!chosen || !fs.existsSync(chosen.path)) {
+    const available = reuse.candidates ? `0-${reuse.candidates.length - 1}` : 'none, build with candidates > 1';
+    throw new Error(`Slide ${index} has no background candidate ${candidate} (available: ${available})`);
+  }
+  fs.copyFileSync(chosen.path, reuse.background);
+  Object.assign(reuse, { seed: chosen.seed, candidate });
+  entry.candidate = candidate;
+  // The kept HTML was styled for the old image (overlay opacity, text color)
+  entry.rerender = true;
+  const slideType = slides[index].type;
+  log.log(`Picked candidate ${candidate} for slide ${index} (${slideType})`);
+  await writeCandidateSheet(imagesDir, index, slideType, reuse.candidates, candidate);
+}
+
+/**
+ * Give kept slides that moved (a slide was inserted, removed or split before them) the background
+ * and candidate file names of their new position. Every file is read before any is written, since a
+ * slide may move onto a name another kept slide still uses.
+ * @param {object[]} plan - planRebuild() entries; moved entries get `rerender` (file names in the HTML)
+ */
+async function relocateKept(plan, imagesDir, slides) {
+  const moves = [];
+  plan.forEach((entry, index) => {
+    if (entry.moved === undefined || !entry.reuse) return;
+    const slideType = slides[index].type;
+    const files = [{ from: entry.reuse.background, to: path.join(imagesDir, `bg-${index}-${slideType}.png`) }];
+    (entry.reuse.candidates || []).forEach((c, k) => {
+      files.push({ from: c.path, to: path.join(imagesDir, 'candidates', `bg-${index}-${slideType}-${k}.png`) });
+    });
+    for (const file of files) file.data = fs.existsSync(file.from) ? fs.readFileSync(file.from) : null;
+    moves.push({ entry, index, slideType, files });
+  });
+
+  for (const { entry, index, slideType, files } of moves) {
+    for (const file of files) {
+      if (file.data) fs.writeFileSync(file.to, file.data);
+    }
+    entry.reuse.background = files[0].to;
+    if (entry.reuse.candidates) {
+      entry.reuse.candidates = entry.reuse.candidates.map((c, k) => ({ ...c, path: files[k + 1].to }));
+      await writeCandidateSheet(imagesDir, index, slideType, entry.reuse.candidates, entry.reuse.candidate ?? 0);
+    }
+    entry.rerender = true;
+  }
+}
+
 /**
  * Write HTML slide file
  */
@@ -201,11 +552,129 @@ function writeSlideHtml(outputDir, slideType, html, index) {
  * @param {string} config.name - Presentation name (used for output dir)
  * @param {string} config.style - Style description for AI generation
  * @param {string[]} [config.refs] - Reference image paths
- * @param {{type: string, [key: string]: any}[]} config.slides - Array of slide objects, each with a `type` field
+ * @param {{type: string, notes?: string, [key: string]: any}[]} config.slides - Array of slide objects, each with a `type` field
+ *   and optional `notes` (simple markdown, written to the speaker notes)
  * @param {string} [config.outputBase] - Base output directory (default: cwd)
+ * @param {string} [config.templates] - Directory of custom template modules to register first
+ * @param {string|object} [config.theme='dark'] - Theme name (dark, light, corporate), path to a theme .json, or theme object
+ * @param {object} [config.brand] - Logo, footer, confidential label and slide numbers on every slide (see lib/brand.cjs)
+ * @param {number} [config.concurrency=4] - Slides rendered in parallel in one shared browser; output order is unchanged
+ * @param {string|object} [config.provider='whisk'] - Image provider: whisk, procedural (offline), openai, a module path,
+ *   settings such as { type: 'openai', baseUrl, model }, or a provider object (see lib/image-providers.cjs)
+ * @param {{concurrency?: number, retries?: number, retryDelayMs?: number, onAuthFailure?: 'abort'|'wait',
+ *   authWaitMs?: number}} [config.generation] - Provider request concurrency (default 3), retries per request
+ *   (default 3), base backoff delay in ms (default 1000), and what an auth failure mid-build does:
+ *   abort the build (default) or wait up to authWaitMs (default 10 min) for fresh credentials
+ * @param {string|boolean} [config.cache] - Background cache directory (default ~/.cache/ai-pptx/backgrounds); false disables it
+ * @param {number} [config.seed] - Deck seed: per-slide seeds derive from it, so backgrounds are reproducible
+ *   (a slide's own `seed` wins)
+ * @param {number} [config.candidates=1] - Background candidates generated per slide (kept in images/candidates/)
+ * @param {Object<number, number>} [config.pick] - Slide index -> candidate to use, e.g. { 3: 2 }; applies to slides
+ *   unchanged since the last build, without generating anything
+ * @param {number[]} [config.only] - Slide indices (as in slide<N>-*.html) to rebuild with fresh backgrounds even if unchanged
+ * @param {boolean} [config.strict=true] - Fail on slide schema problems; when false, report them as warnings
+ *   and leave out slides that cannot be rendered (see checkDeck())
+ * @param {boolean} [config.autoFit=true] - Measure text and reflow/shrink/split overflowing slides
+ * @param {'allow'|'warn'|'error'} [config.fallback='allow'] - Slides without a provider background: use gradients
+ *   (allow), use them and print a summary at the end (warn), or fail before assembling the PPTX (error)
+ * @param {boolean|{strategy?: 'attention'|'entropy'|'center', mirror?: boolean}} [config.crop] - Fit provider images
+ *   to 1920x1080, cropping by saliency (default), detail or from the center, and with `mirror` flip them when that
+ *   moves detail away from the template's text region; false uses them as returned (see lib/smart-crop.cjs)
+ * @param {boolean|{target?: number, minOpacity?: number, maxOpacity?: number}} [config.readability] - Adaptive
+ *   overlays: per slide, the lowest overlay opacity (default 0.2-0.85) and the text color meeting the WCAG contrast
+ *   target (default 4.5) over the background; false keeps the theme's fixed overlays
+ * @param {boolean|{quality?: number, width?: number}} [config.images] - Backgrounds embedded in the PPTX as JPEG
+ *   (default quality 85, 1920px wide); false embeds the PNGs as generated
+ * @param {number} [config.maxDeckSizeMB] - Deck size budget: compression is tightened (quality, then resolution)
+ *   until presentation.pptx fits; a warning reports a deck that still does not
+ * @param {function(object): void} [config.onProgress] - Called with progress events, each `{ type, elapsedMs, ... }`:
+ *   - `phase:start` / `phase:end` `{ phase, durationMs? }`, phase being validate, autofit, backgrounds, html,
+ *     pptx or thumbnails
+ *   - `background:done` `{ index, slideType, source, path, attempts, seed?, cached?, reused?, failure?, error? }`,
+ *     once per slide (source 'fallback' for gradients)
+ *   - `retry` `{ label, attempt, delayMs, error }` - a provider request is retried
+ *   - `slide:rendered` `{ index, slideType, html, placeholders }` - slide added to the PPTX
+ *   - `warning` `{ source, message, index?, path? }`, source being validation, autofit, config, provider,
+ *     fallback, readability, size or thumbnails
+ * @param {{log: function, warn: function, error: function}} [config.logger=console] - Receives the build's log
+ *   lines (phase headers, per-slide status, warnings); the result and progress events are unaffected
+ * @returns {Promise<{pptxPath: string, outputDir: string, thumbnails: string|null, theme: string, backgrounds: string[], backgroundStatus: object[], backgroundSummary: object, rebuilt: number[], htmlFiles: string[], notes: string[], placeholders: object[], readability: object[], assets: object[]|null, deckSize: object, warnings: object[], autofit: object[], timings: Object<string, number>}>}
+ *   `notes` holds each slide's speaker notes as written to the PPTX ('' when none);
+ *   `autofit` lists what auto-fit changed, `{index, path, type, actions, problems}` per slide, `index` being the
+ *   built slide and `path` the deck slide it came from (`slides[i]`);
+ *   `backgroundStatus` has one `{index, type, source: <provider name>|'fallback', attempts, seed?, cached?, reused?, mirrored?, candidates?, candidate?, failure?, error?}`
+ *   per slide,
+ *   `failure` being one of whisk.FAILURE (retryable, auth, content-policy, other);
+ *   `backgroundSummary` lists which slides have AI (provider) backgrounds and which fell back and why
+ *   (see summarizeBackgrounds());
+ *   `rebuilt` lists the slides whose background and HTML were redone (all of them on a first build);
+ *   `readability` has one `{index, type, contrast, target, meetsTarget, opacity, textColor, overlayColor, swapped,
+ *   luminance: {mean, p5, p95}, busyness}` per slide whose template has a text region (contrast: the WCAG ratio
+ *   reached on 95% of the text region);
+ *   `assets` has one `{index, source, path, bytes, sourceBytes}` per embedded background JPEG (null with images: false);
+ *   `deckSize` is `{bytes, maxBytes, fits, quality?, width?, passes}` for the written presentation.pptx;
+ *   `placeholders` has one `{index, id, x, y, w, h, filled}` per placeholder area (filled: a chart or table was drawn in it);
+ *   `timings` holds each phase's duration and the `total` in ms;
+ *   `thumbnails` is the thumbnail grid path (null when it could not be generated)
+ * @throws {DeckValidationError} when the deck does not match the schema
+ * @throws {BackgroundFallbackError} with `fallback: 'error'` when any slide fell back to a gradient
  */
 async function buildPresentation(config) {
-  const { name, style, refs, slides } = config;
+  const { name, style, refs } = config;
+  const log = config.logger || console;
+  const startedAt = Date.now();
+  const timings = {};
+  const emit = event => {
+    if (config.onProgress) config.onProgress({ ...event, elapsedMs: Date.now() - startedAt });
+  };
+  const beginPhase = phase => {
+    const phaseStart = Date.now();
+    emit({ type: 'phase:start', phase });
+    return () => {
+      timings[phase] = Date.now() - phaseStart;
+      emit({ type: 'phase:end', phase, durationMs: timings[phase] });
+    };
+  };
+
+  // === PHASE 0: Validation ===
+  let endPhase = beginPhase('validate');
+  if (config.templates) {
+    loadTemplates(config.templates);
+  }
+  const { errors, warnings, skipped } = checkDeck(config);
+  if (errors.length > 0) {
+    throw new DeckValidationError(errors);
+  }
+  for (const warning of warnings) {
+    log.warn(`Warning: ${formatIssue(warning)}`);
+    emit({ type: 'warning', source: 'validation', message: formatIssue(warning), path: warning.path });
+  }
+  const theme = resolveTheme(config.theme);
+  const provider = resolveProvider(config.provider);
+  const fallbackPolicy = config.fallback || 'allow';
+  if (!FALLBACK_POLICIES.includes(fallbackPolicy)) {
+    throw new Error(`Unknown fallback policy "${fallbackPolicy}" (expected ${FALLBACK_POLICIES.join(', ')})`);
+  }
+  if (provider.seeds === false && (config.seed != null || config.slides.some(s => s && s.seed != null))) {
+    const message = `The ${provider.name} provider does not take seeds; --seed and slide seeds have no effect`;
+    log.warn(`Warning: ${message}`);
+    emit({ type: 'warning', source: 'config', message });
+  }
+  const readability = readabilitySettings(config.readability);
+  const crop = cropSettings(config.crop);
+  const images = imageSettings(config.images, config.maxDeckSizeMB);
+  if (config.brand && config.brand.logo && !fs.existsSync(config.brand.logo)) {
+    throw new Error(`Brand logo not found: ${config.brand.logo}`);
+  }
+  // Slides without a known template or with fatal schema problems (strict: false) cannot be rendered;
+  // drop them before spending generation calls.
+  // Overflowing tables become continuation slides here so each gets its own background.
+  // `deckIndex` keeps each remaining slide's position in config.slides for messages that name it there.
+  const kept = config.slides.map((s, i) => i).filter(i => config.slides[i] && getTemplate(config.slides[i].type) && !skipped.includes(i));
+  const pages = kept.map(i => paginateTableSlides([config.slides[i]]));
+  let slides = pages.flat();
+  const deckIndex = pages.flatMap((paged, k) => paged.map(() => kept[k]));
+
   const outputBase = config.outputBase || process.cwd();
   const outputDir = path.join(outputBase, 'outputs', name);
   const imagesDir = path.join(outputDir, 'images');
@@ -213,62 +682,287 @@ async function buildPresentation(config) {
   // Ensure directories
   fs.mkdirSync(imagesDir, { recursive: true });
 
-  console.log(`Building presentation: ${name}`);
-  console.log(`Output: ${outputDir}`);
-  console.log(`Slides: ${slides.length} (${slides.map(s => s.type).join(', ')})`);
+  // Keep the logo next to the backgrounds so the HTML slides are self-contained
+  let brand = config.brand;
+  if (brand && brand.logo) {
+    const logoPath = path.join(imagesDir, `logo${path.extname(brand.logo)}`);
+    fs.copyFileSync(brand.logo, logoPath);
+    brand = { ...brand, logo: logoPath };
+  }
+
+  log.log(`Building presentation: ${name}`);
+  log.log(`Output: ${outputDir}`);
+  log.log(`Theme: ${theme.name}`);
+  log.log(`Image provider: ${provider.name}`);
+
+  const cacheDir = config.cache === false ? null : (typeof config.cache === 'string' ? config.cache : DEFAULT_CACHE_DIR);
+  log.log(`Background cache: ${cacheDir || 'disabled'}`);
+
+  // One browser serves auto-fit and HTML-to-PPTX extraction for the whole build
+  const concurrency = config.concurrency || DEFAULT_CONCURRENCY;
+  let autofit = [];
+  let backgrounds;
+  let backgroundStatus;
+  let backgroundSummary;
+  let htmlFiles;
+  let notes;
+  let pptxPath;
+  let rebuilt;
+  const placeholderReport = [];
+  const readabilityReport = [];
+  let assets = null;
+  let deckSize = null;
+  let thumbnails = null;
+  endPhase();
 
-  // === PHASE 1: Background generation ===
-  console.log('\n--- Phase 1: Generating backgrounds ---');
-  let backgrounds = await generateWhiskBackgrounds(imagesDir, style, refs, slides);
+  const browser = await launchBrowser();
+  try {
+    if (config.autoFit !== false) {
+      endPhase = beginPhase('autofit');
+      let report;
+      ({ slides, report } = await autoFitSlides(slides, { theme, browser, concurrency }));
+      // Numbered like the rest of the build (after pagination and splits), with the deck slide when it differs
+      autofit = report.map(({ index, input, ...entry }) => ({ index, path: `slides[${deckIndex[input]}]`, ...entry }));
+      for (const entry of autofit) {
+        const label = `Slide ${entry.index} (${entry.type}${entry.path === `slides[${entry.index}]` ? '' : `, ${entry.path} in the deck`})`;
+        if (entry.actions.length > 0) log.log(`Auto-fit: ${label}: ${entry.actions.join('; ')}`);
+        for (const problem of entry.problems) {
+          log.warn(`Warning: ${label} still overflows: ${problem}`);
+          emit({ type: 'warning', source: 'autofit', index: entry.index, path: entry.path, message: `${label} still overflows: ${problem}` });
+        }
+      }
+      endPhase();
+    }
+
+    log.log(`Slides: ${slides.length} (${slides.map(s => s.type).join(', ')})`);
+
+    // Incremental rebuild: keep what the last build produced for unchanged slides
+    const only = config.only || [];
+    for (const index of only.filter(i => i >= slides.length)) {
+      log.warn(`Warning: --only ${index} is out of range (slides 0-${slides.length - 1})`);
+      emit({ type: 'warning', source: 'config', message: `--only ${index} is out of range (slides 0-${slides.length - 1})` });
+    }
+    const buildHash = deckHash({
+      style, refs, theme, brand: config.brand, provider: provider.name,
+      seed: provider.seeds === false ? undefined : config.seed, candidates: config.candidates,
+      crop, readability,
+    });
+    const manifest = readManifest(outputDir);
+    const plan = planRebuild(manifest, { outputDir, deckHash: buildHash, slides, only });
+    await relocateKept(plan, imagesDir, slides);
+    // "{n} / {total}" slide numbers are in every slide's HTML
+    if (manifest && manifest.slides.length !== slides.length && numberingUsesTotal(config.brand)) {
+      for (const entry of plan) entry.rerender = true;
+    }
+    for (const [index, candidate] of Object.entries(config.pick || {})) {
+      await pickCandidate(plan[index], Number(index), candidate, imagesDir, slides, log);
+    }
+    rebuilt = plan.map((entry, i) => (entry.reuse ? null : i)).filter(i => i !== null);
+    if (rebuilt.length < slides.length) {
+      log.log(`Incremental build: keeping ${slides.length - rebuilt.length} unchanged slides, rebuilding ${rebuilt.length ? rebuilt.join(', ') : 'none'}`);
+    }
+
+    // === PHASE 1: Background generation ===
+    endPhase = beginPhase('backgrounds');
+    log.log('\n--- Phase 1: Generating backgrounds ---');
+    // Gradients are cheap to redraw; only AI backgrounds are carried over
+    const reuse = plan.map(entry => (entry.reuse && entry.reuse.backgroundSource !== 'fallback' ? entry.reuse : null));
+    const generated = await generateBackgrounds(provider, imagesDir, style, refs, slides, theme, {
+      ...config.generation,
+      cacheDir,
+      seed: config.seed,
+      candidates: config.candidates,
+      selected: plan.map(entry => entry.candidate),
+      reuse,
+      force: only,
+      crop,
+      onProgress: emit,
+      logger: log,
+    });
+
+    ({ backgrounds, status: backgroundStatus } = generated);
+    if (generated.unavailable) {
+      log.warn(`Warning: ${provider.name} unavailable, using gradient fallbacks: ${generated.unavailable}`);
+      emit({ type: 'warning', source: 'provider', message: `${provider.name} unavailable: ${generated.unavailable}` });
+    }
 
-  if (!backgrounds) {
-    console.log('Whisk unavailable, using gradient fallbacks...');
-    backgrounds = [];
     for (let i = 0; i < slides.length; i++) {
-      const bgPath = await generateFallbackBackground(imagesDir, slides[i].type, i);
-      backgrounds.push(bgPath);
+      if (backgrounds[i]) continue;
+      backgrounds[i] = await generateFallbackBackground(imagesDir, slides[i].type, i, theme, { cacheDir });
+      backgroundStatus[i].source = 'fallback';
+      emit({ type: 'background:done', ...backgroundEvent(backgroundStatus[i]), path: backgrounds[i] });
     }
-  }
 
-  console.log(`Backgrounds ready: ${backgrounds.length} images`);
+    const fallbackCount = backgroundStatus.filter(s => s.source === 'fallback').length;
+    const cachedCount = backgroundStatus.filter(s => s.cached).length;
+    const reusedCount = backgroundStatus.filter(s => s.reused).length;
+    const generatedCount = backgrounds.length - fallbackCount - cachedCount - reusedCount;
+    log.log(`Backgrounds ready: ${backgrounds.length} images (${generatedCount} generated, ${cachedCount} cached, ${reusedCount} kept, ${fallbackCount} fallback)`);
+    if (!generated.unavailable) {
+      for (const entry of backgroundStatus.filter(s => s.failure)) {
+        log.log(`  Slide ${entry.index} (${entry.type}): fallback [${entry.failure}] ${entry.error}`);
+      }
+    }
+    backgroundSummary = summarizeBackgrounds(backgroundStatus, provider.name, fallbackPolicy);
+    if (fallbackPolicy === 'error' && backgroundSummary.fallback.length > 0) {
+      throw new BackgroundFallbackError(backgroundSummary);
+    }
+    endPhase();
+
+    // === PHASE 2: Create HTML slides ===
+    endPhase = beginPhase('html');
+    log.log('\n--- Phase 2: Creating HTML slides ---');
+    htmlFiles = [];
 
-  // === PHASE 2: Create HTML slides ===
-  console.log('\n--- Phase 2: Creating HTML slides ---');
-  const htmlFiles = [];
+    for (let i = 0; i < slides.length; i++) {
+      const slide = slides[i];
+      const template = getTemplate(slide.type);
+      // Kept slides are assessed too: same background, same result, and the report stays complete
+      let slideTheme = theme;
+      let contrastNote = '';
+      if (readability && template.textRegion) {
+        try {
+          const assessment = await assessReadability(backgrounds[i], template.textRegion, theme, readability);
+          readabilityReport.push({ index: i, type: slide.type, ...assessment });
+          slideTheme = readableTheme(theme, assessment);
+          contrastNote = ` (contrast ${assessment.contrast}:1, overlay ${Math.round(assessment.opacity * 100)}%${assessment.swapped ? `, text ${assessment.textColor}` : ''})`;
+          if (!assessment.meetsTarget) {
+            const message = `Slide ${i} (${slide.type}) reaches only ${assessment.contrast}:1 contrast (target ${assessment.target}:1) at the maximum overlay`;
+            log.warn(`  Warning: ${message}`);
+            emit({ type: 'warning', source: 'readability', index: i, message });
+          }
+        } catch (err) {
+          log.warn(`  Warning: Slide ${i} (${slide.type}): background analysis failed, using the theme overlay: ${err.message}`);
+          emit({ type: 'warning', source: 'readability', index: i, message: `Background analysis failed: ${err.message}` });
+        }
+      }
 
-  for (let i = 0; i < slides.length; i++) {
-    const slide = slides[i];
-    const fn = TEMPLATE_FNS[slide.type];
-    if (!fn) {
-      console.error(`  Unknown slide type: "${slide.type}", skipping`);
-      continue;
+      // Kept HTML is only valid for the background it was rendered over
+      const sameBackground = plan[i].reuse && !plan[i].rerender
+        && (!readability || plan[i].reuse.backgroundHash === imageHash({ file: backgrounds[i] }));
+      if (sameBackground) {
+        htmlFiles.push(plan[i].reuse.html);
+        log.log(`  Kept: ${path.basename(plan[i].reuse.html)}${contrastNote}`);
+        continue;
+      }
+      const slideData = { ...slide, bgImage: backgrounds[i], theme: slideTheme };
+      const html = applyBrand(template.render(slideData), brand, {
+        index: i, total: slides.length, type: slide.type, theme: slideTheme,
+      });
+      const filePath = writeSlideHtml(outputDir, slide.type, html, i);
+      htmlFiles.push(filePath);
+      log.log(`  Created: ${path.basename(filePath)}${contrastNote}`);
     }
-    const slideData = { ...slide, bgImage: backgrounds[i] };
-    const html = fn(slideData);
-    const filePath = writeSlideHtml(outputDir, slide.type, html, i);
-    htmlFiles.push(filePath);
-    console.log(`  Created: ${path.basename(filePath)}`);
-  }
+    endPhase();
+
+    // === PHASE 3: Assemble PPTX ===
+    endPhase = beginPhase('pptx');
+    log.log('\n--- Phase 3: Assembling PPTX ---');
+    const PptxGenJS = require('pptxgenjs');
+
+    notes = slides.map(s => markdownToNotes(s.notes));
 
-  // === PHASE 3: Assemble PPTX ===
-  console.log('\n--- Phase 3: Assembling PPTX ---');
-  const PptxGenJS = require('pptxgenjs');
-  const pptx = new PptxGenJS();
-  pptx.layout = 'LAYOUT_16x9';
+    // Render slides in parallel, then add them in order so the PPTX is the same as a serial build
+    const extracted = await mapLimit(htmlFiles, concurrency, htmlFile => html2pptx.extract(htmlFile, { browser }));
+    pptxPath = path.join(outputDir, 'presentation.pptx');
 
-  for (const htmlFile of htmlFiles) {
-    const { slide, placeholders } = await html2pptx(htmlFile, pptx);
-    if (placeholders.length > 0) {
-      console.log(`  Placeholders in ${path.basename(htmlFile)}: ${placeholders.map(p => p.id).join(', ')}`);
+    // Builds and writes the PPTX from the extracted slides; run again for each compression pass
+    const assemble = async embedded => {
+      const pptx = new PptxGenJS();
+      pptx.layout = 'LAYOUT_16x9';
+      const rendered = [];
+      for (let i = 0; i < htmlFiles.length; i++) {
+        const { slide, placeholders } = await html2pptx(htmlFiles[i], pptx, {
+          notes: notes[i], extracted: extracted[i], backgroundPath: embedded ? embedded[i].path : null,
+        });
+        const chartArea = placeholders.find(p => p.id === 'chart-area');
+        const tableArea = placeholders.find(p => p.id === 'table-area');
+        let filled = null;
+        if (slides[i].chart && chartArea) {
+          addChart(pptx, slide, slides[i].chart, chartArea, theme);
+          filled = chartArea;
+        } else if (slides[i].rows && tableArea) {
+          addTable(slide, slides[i], tableArea, theme);
+          filled = tableArea;
+        }
+        rendered.push({ placeholders, filled });
+      }
+      await pptx.writeFile({ fileName: pptxPath });
+      return rendered;
+    };
+
+    let rendered;
+    if (!images) {
+      rendered = await assemble(null);
+      deckSize = { bytes: fs.statSync(pptxPath).size, maxBytes: null, fits: true, passes: 1 };
+    } else {
+      // Tighten compression until the deck fits the budget (a single pass without one)
+      const steps = compressionSteps(images);
+      for (let pass = 0; pass < steps.length; pass++) {
+        assets = await writeEmbeddedImages(backgrounds, path.join(imagesDir, 'embedded'), steps[pass]);
+        rendered = await assemble(assets);
+        const bytes = fs.statSync(pptxPath).size;
+        deckSize = { bytes, maxBytes: images.maxBytes, fits: !images.maxBytes || bytes <= images.maxBytes, ...steps[pass], passes: pass + 1 };
+        if (images.maxBytes) {
+          log.log(`  Pass ${pass + 1}: JPEG quality ${steps[pass].quality}, ${steps[pass].width}px wide -> ${formatBytes(bytes)} (budget ${formatBytes(images.maxBytes)})`);
+        }
+        if (deckSize.fits) break;
+      }
+      if (!deckSize.fits) {
+        const message = `presentation.pptx is ${formatBytes(deckSize.bytes)}, over the ${formatBytes(images.maxBytes)} budget even at JPEG quality ${deckSize.quality}, ${deckSize.width}px`;
+        log.warn(`  Warning: ${message}`);
+        emit({ type: 'warning', source: 'size', message });
+      }
     }
-  }
 
-  const pptxPath = path.join(outputDir, 'presentation.pptx');
-  await pptx.writeFile({ fileName: pptxPath });
-  console.log(`  Saved: ${pptxPath}`);
+    for (let i = 0; i < htmlFiles.length; i++) {
+      const htmlFile = htmlFiles[i];
+      const { placeholders, filled } = rendered[i];
+      if (filled && filled.id === 'chart-area') {
+        log.log(`  Chart (${slides[i].chart.type}) in ${path.basename(htmlFile)}`);
+      } else if (filled) {
+        log.log(`  Table (${slides[i].rows.length} rows, ${slides[i].fontSize}pt) in ${path.basename(htmlFile)}`);
+      } else if (placeholders.length > 0) {
+        log.log(`  Placeholders in ${path.basename(htmlFile)}: ${placeholders.map(p => p.id).join(', ')}`);
+      }
+      for (const placeholder of placeholders) {
+        placeholderReport.push({ index: i, ...placeholder, filled: placeholder === filled });
+      }
+      emit({
+        type: 'slide:rendered', index: i, slideType: slides[i].type, html: htmlFile,
+        placeholders: placeholders.map(p => p.id),
+      });
+    }
+
+    if (assets) {
+      for (const asset of assets) {
+        log.log(`  ${path.basename(asset.path)}: ${formatBytes(asset.bytes)} (${formatBytes(asset.sourceBytes)} as generated)`);
+      }
+    }
+    log.log(`  Saved: ${pptxPath} (${formatBytes(fs.statSync(pptxPath).size)})`);
+
+    writeManifest(outputDir, {
+      deckHash: buildHash,
+      slides: slides.map((slide, i) => ({
+        type: slide.type,
+        hash: plan[i].hash,
+        background: backgrounds[i],
+        backgroundHash: imageHash({ file: backgrounds[i] }),
+        backgroundSource: backgroundStatus[i].source,
+        seed: backgroundStatus[i].source !== 'fallback' ? backgroundStatus[i].seed ?? null : null,
+        html: htmlFiles[i],
+        candidates: backgroundStatus[i].source !== 'fallback' ? backgroundStatus[i].candidates : undefined,
+        candidate: backgroundStatus[i].source !== 'fallback' ? backgroundStatus[i].candidate : undefined,
+      })),
+    });
+    endPhase();
+  } finally {
+    await browser.close();
+  }
 
   // === PHASE 4: Thumbnails ===
-  console.log('\n--- Phase 4: Generating thumbnails ---');
+  endPhase = beginPhase('thumbnails');
+  log.log('\n--- Phase 4: Generating thumbnails ---');
   const thumbnailScript = path.join(PLUGIN_ROOT, 'scripts', 'thumbnail.py');
 
   try {
@@ -278,14 +972,30 @@ async function buildPresentation(config) {
       cwd: outputDir,
       stdio: 'pipe',
     });
-    console.log(`  Thumbnails saved to: ${thumbPrefix}.jpg`);
+    thumbnails = `${thumbPrefix}.jpg`;
+    log.log(`  Thumbnails saved to: ${thumbnails}`);
   } catch (err) {
-    console.error('  Thumbnail generation failed:', err.message);
-    console.error('  (Ensure python-pptx and Pillow are installed: pip3 install python-pptx Pillow)');
+    log.error('  Thumbnail generation failed:', err.message);
+    log.error('  (Ensure python-pptx and Pillow are installed: pip3 install python-pptx Pillow)');
+    emit({ type: 'warning', source: 'thumbnails', message: `Thumbnail generation failed: ${err.message.split('\n')[0]}` });
   }
+  endPhase();
 
-  console.log(`\nDone! Presentation at: ${pptxPath}`);
-  return { pptxPath, outputDir, backgrounds, htmlFiles };
+  if (backgroundSummary.warning) {
+    log.warn(`\nWarning: ${backgroundSummary.warning}:`);
+    for (const entry of backgroundSummary.fallback) {
+      log.warn(`  - ${formatFallback(entry)}`);
+    }
+    emit({ type: 'warning', source: 'fallback', message: backgroundSummary.warning });
+  }
+
+  timings.total = Date.now() - startedAt;
+  log.log(`\nDone! Presentation at: ${pptxPath}`);
+  return {
+    pptxPath, outputDir, thumbnails, theme: theme.name, backgrounds, backgroundStatus, backgroundSummary, rebuilt,
+    htmlFiles, notes, placeholders: placeholderReport, readability: readabilityReport, assets, deckSize, warnings,
+    autofit, timings,
+  };
 }
 
 // === CLI interface ===
@@ -298,74 +1008,209 @@ if (require.main === module) {
     else if (args[i] === '--style' && args[i + 1]) { parsed.style = args[++i]; }
     else if (args[i] === '--refs' && args[i + 1]) { parsed.refs = args[++i].split(','); }
     else if (args[i] === '--output' && args[i + 1]) { parsed.outputBase = args[++i]; }
+    else if (args[i] === '--config' && args[i + 1]) { parsed.config = args[++i]; }
+    else if (args[i] === '--from-markdown' && args[i + 1]) { parsed.config = args[++i]; parsed.format = 'markdown'; }
+    else if (args[i] === '--from-pptx' && args[i + 1]) { parsed.config = args[++i]; parsed.format = 'pptx'; }
+    else if (args[i] === '--templates' && args[i + 1]) { parsed.templates = path.resolve(args[++i]); }
+    else if (args[i] === '--theme' && args[i + 1]) { parsed.theme = args[++i]; }
+    else if (args[i] === '--concurrency' && args[i + 1]) { parsed.concurrency = parseInt(args[++i], 10); }
+    else if (args[i] === '--cache-dir' && args[i + 1]) { parsed.cache = path.resolve(args[++i]); }
+    else if (args[i] === '--no-cache') { parsed.cache = false; }
+    else if (args[i] === '--provider' && args[i + 1]) { parsed.provider = args[++i]; }
+    else if (args[i] === '--token-file' && args[i + 1]) { parsed.tokenFile = path.resolve(args[++i]); }
+    else if (args[i] === '--wait-for-auth') { parsed.waitForAuth = true; }
+    else if (args[i] === '--fallback' && args[i + 1]) { parsed.fallback = args[++i]; }
+    else if (args[i] === '--json') { parsed.json = true; }
+    else if (args[i] === '--max-deck-size' && args[i + 1]) { parsed.maxDeckSizeMB = parseFloat(args[++i]); }
+    else if (args[i] === '--quality' && args[i + 1]) { parsed.quality = parseInt(args[++i], 10); }
+    else if (args[i] === '--no-optimize') { parsed.noOptimize = true; }
+    else if (args[i] === '--crop' && args[i + 1]) { parsed.crop = args[++i]; }
+    else if (args[i] === '--mirror') { parsed.mirror = true; }
+    else if (args[i] === '--contrast' && args[i + 1]) { parsed.contrast = parseFloat(args[++i]); }
+    else if (args[i] === '--no-readability') { parsed.noReadability = true; }
+    else if (args[i] === '--seed' && args[i + 1]) { parsed.seed = parseInt(args[++i], 10); }
+    else if (args[i] === '--candidates' && args[i + 1]) { parsed.candidates = parseInt(args[++i], 10); }
+    else if (args[i] === '--pick' && args[i + 1]) {
+      parsed.pick = Object.fromEntries(args[++i].split(',').map(pair => pair.split(':').map(n => parseInt(n, 10))));
+    }
+    else if (args[i] === '--only' && args[i + 1]) { parsed.only = args[++i].split(',').map(n => parseInt(n, 10)); }
   }
 
-  if (!parsed.name || !parsed.style) {
-    console.log('Usage: node lib/build-presentation.cjs --name <name> --style "<style>" [--refs img1.png,img2.png] [--output /path]');
+  if (!parsed.config && (!parsed.name || !parsed.style)) {
+    console.log('Usage: node lib/build-presentation.cjs --name <name> --style "<style>" [options]');
+    console.log('       node lib/build-presentation.cjs --config deck.json|deck.yaml [options]');
+    console.log('       node lib/build-presentation.cjs --from-markdown talk.md [options]');
+    console.log('       node lib/build-presentation.cjs --from-pptx legacy.pptx --style "<style>" [options]');
+    console.log('');
+    console.log('Options: [--name <name>] [--style "<style>"] [--refs img1.png,img2.png] [--output /path] [--templates ./dir]');
+    console.log('  [--theme dark|light|corporate|theme.json] [--concurrency <n>] [--provider whisk|procedural|openai|./provider.cjs]');
+    console.log('  [--token-file <path>] [--wait-for-auth] [--fallback allow|warn|error] [--crop attention|entropy|center|none]');
+    console.log('  [--mirror] [--max-deck-size <MB>] [--quality <1-100> | --no-optimize] [--contrast <ratio> | --no-readability]');
+    console.log('  [--json] [--no-cache | --cache-dir <dir>] [--seed <n>] [--candidates <n>] [--pick 3:2,5:1] [--only 3,5]');
+    console.log('');
+    console.log('Without --config, a built-in demo deck is generated.');
+    console.log('Config files are validated against schemas/deck.schema.json.');
+    console.log('--templates loads custom slide layouts (one module per file) from a directory.');
+    console.log('--from-markdown builds from a markdown outline: # title slides, ## content slides, tables, ```notes blocks,');
+    console.log('--- slide breaks and YAML front matter (name, style, theme); preview with: node lib/markdown-deck.cjs talk.md');
+    console.log('--from-pptx restyles an existing deck: its titles, text, tables, charts and notes are mapped to the closest');
+    console.log('slide types and rebuilt with --style; preview with: node lib/pptx-deck.cjs legacy.pptx');
+    console.log('--theme picks a built-in theme or a theme JSON file (see schemas/theme.schema.json).');
+    console.log('--concurrency <n> sets how many slides render in parallel (default 4).');
+    console.log('--provider picks the background source: whisk (default), procedural (offline), openai or a provider module.');
+    console.log('--token-file reads the Whisk token from <path>; check it with: node lib/whisk-client.cjs status');
+    console.log('--wait-for-auth pauses (up to 10 min) when the token expires mid-build instead of aborting.');
+    console.log('--fallback warn summarizes gradient-fallback slides at the end; --fallback error fails the build instead.');
+    console.log('--crop picks how backgrounds are cropped to 1920x1080 (default attention; none keeps them as generated);');
+    console.log('--mirror flips a background when that moves its busiest area away from the slide text (needs cropping).');
+    console.log('--max-deck-size <MB> recompresses backgrounds until presentation.pptx fits; --quality sets the JPEG quality');
+    console.log('(default 85); --no-optimize embeds the PNG backgrounds as generated.');
+    console.log('--contrast sets the WCAG contrast target overlays adapt to (default 4.5); --no-readability keeps the theme\'s fixed overlays.');
+    console.log('--json prints the build result as JSON on stdout (logs go to stderr).');
+    console.log(`--no-cache regenerates every background; --cache-dir overrides ${DEFAULT_CACHE_DIR}.`);
+    console.log('Prune the cache with: node lib/bg-cache.cjs prune --max-age <days> | --max-size <MB>');
+    console.log('--seed <n> makes backgrounds reproducible; seeds used are recorded in outputs/<name>/build-manifest.json.');
+    console.log('--candidates <n> keeps n backgrounds per slide with a contact sheet in images/candidates/;');
+    console.log('--pick 3:2 then switches slide 3 to candidate 2 and rebuilds the PPTX without generating.');
+    console.log('Rebuilds keep unchanged slides; --only 3,5 also regenerates slides 3 and 5 (as in slide3-*.html) with new backgrounds.');
     console.log('');
     console.log('Example:');
     console.log('  node lib/build-presentation.cjs --name test-ai --style "dark minimalist with neon accents"');
+    console.log('  node lib/build-presentation.cjs --config ./q4-deck.yaml');
     process.exit(1);
   }
 
-  // Default demo slides for CLI testing
-  const demoSlides = [
-    {
-      type: 'title',
-      title: 'AI-Powered Presentation',
-      subtitle: 'Generated with Whisk + PptxGenJS',
-      date: new Date().toLocaleDateString('ru-RU'),
-    },
-    {
-      type: 'content',
-      title: 'Key Features',
-      bullets: [
-        'AI-generated backgrounds via Whisk API',
-        'Style consistency across all slides',
-        'Reference image support for brand matching',
-        'Automatic gradient fallback when offline',
-        'HTML-to-PPTX conversion with precise positioning',
-      ],
-    },
-    {
-      type: 'data',
-      title: 'Performance Metrics',
-      metrics: [
-        { value: '5s', label: 'Average generation time' },
-        { value: '98%', label: 'Style consistency' },
-        { value: '16:9', label: 'Aspect ratio' },
-      ],
-      chartLabel: 'Chart placeholder',
-    },
-    {
-      type: 'features',
-      title: 'How It Works',
-      features: [
-        { title: 'Generate', description: 'AI creates unique backgrounds matching your style' },
-        { title: 'Template', description: 'HTML templates with overlay for text readability' },
-        { title: 'Assemble', description: 'PptxGenJS builds the final .pptx file' },
-      ],
-    },
-    {
-      type: 'closing',
-      heading: 'Thank You',
-      contactLines: [
-        'Generated by ai-pptx plugin',
-        'Powered by Whisk API + html2pptx',
-      ],
-    },
-  ];
-
-  buildPresentation({
-    name: parsed.name,
-    style: parsed.style,
-    refs: parsed.refs,
-    slides: demoSlides,
-    outputBase: parsed.outputBase,
-  }).catch(err => {
-    console.error('Build failed:', err);
-    process.exit(1);
+  // --json: stdout carries only the result; the build log goes to stderr
+  const printJson = value => process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+  const jsonError = err => ({
+    success: false,
+    error: { name: err.name, message: err.message, issues: err.issues, summary: err.summary },
   });
+  const logger = parsed.json ? { log: console.error, warn: console.warn, error: console.error } : console;
+
+  let deck;
+  if (parsed.config) {
+    try {
+      deck = loadDeckConfig(parsed.config, {
+        name: parsed.name, style: parsed.style, refs: parsed.refs, templates: parsed.templates, theme: parsed.theme,
+        concurrency: parsed.concurrency, provider: parsed.provider, cache: parsed.cache, seed: parsed.seed,
+        candidates: parsed.candidates, fallback: parsed.fallback,
+      }, parsed.format);
+    } catch (err) {
+      if (parsed.json) printJson(jsonError(err));
+      else console.error(err.message);
+      process.exit(1);
+    }
+  } else {
+    // Default demo slides for CLI testing
+    const demoSlides = [
+      {
+        type: 'title',
+        title: 'AI-Powered Presentation',
+        subtitle: 'Generated with Whisk + PptxGenJS',
+        date: new Date().toLocaleDateString('ru-RU'),
+      },
+      {
+        type: 'content',
+        title: 'Key Features',
+        bullets: [
+          'AI-generated backgrounds via Whisk API',
+          'Style consistency across all slides',
+          'Reference image support for brand matching',
+          'Automatic gradient fallback when offline',
+          'HTML-to-PPTX conversion with precise positioning',
+        ],
+      },
+      {
+        type: 'data',
+        title: 'Performance Metrics',
+        metrics: [
+          { value: '5s', label: 'Average generation time' },
+          { value: '98%', label: 'Style consistency' },
+          { value: '16:9', label: 'Aspect ratio' },
+        ],
+        chartLabel: 'Chart placeholder',
+      },
+      {
+        type: 'features',
+        title: 'How It Works',
+        features: [
+          { title: 'Generate', description: 'AI creates unique backgrounds matching your style' },
+          { title: 'Template', description: 'HTML templates with overlay for text readability' },
+          { title: 'Assemble', description: 'PptxGenJS builds the final .pptx file' },
+        ],
+      },
+      {
+        type: 'closing',
+        heading: 'Thank You',
+        contactLines: [
+          'Generated by ai-pptx plugin',
+          'Powered by Whisk API + html2pptx',
+        ],
+      },
+    ];
+    deck = {
+      name: parsed.name, style: parsed.style, refs: parsed.refs, templates: parsed.templates, theme: parsed.theme,
+      concurrency: parsed.concurrency, provider: parsed.provider, cache: parsed.cache, seed: parsed.seed,
+      candidates: parsed.candidates, fallback: parsed.fallback, slides: demoSlides,
+    };
+  }
+
+  if (parsed.tokenFile) {
+    const current = deck.provider ?? 'whisk';
+    if (current !== 'whisk' && current.type !== 'whisk') {
+      console.error('--token-file applies to the whisk provider only');
+      process.exit(1);
+    }
+    deck.provider = { ...(typeof current === 'object' ? current : {}), type: 'whisk', tokenFile: parsed.tokenFile };
+  }
+  if (parsed.waitForAuth) {
+    deck.generation = { ...deck.generation, onAuthFailure: 'wait' };
+  }
+  if (parsed.noOptimize) {
+    deck.images = false;
+  } else if (parsed.quality) {
+    deck.images = { ...(typeof deck.images === 'object' ? deck.images : {}), quality: parsed.quality };
+  }
+  if (parsed.maxDeckSizeMB) {
+    deck.maxDeckSizeMB = parsed.maxDeckSizeMB;
+  }
+  // Mirroring happens while cropping, so it needs cropping on
+  if (parsed.mirror && (parsed.crop === 'none' || (!parsed.crop && deck.crop === false))) {
+    console.error(parsed.crop === 'none'
+      ? '--mirror cannot be combined with --crop none (mirroring is part of cropping)'
+      : '--mirror needs cropping, but the deck sets crop: false (add --crop attention|entropy|center)');
+    process.exit(1);
+  }
+  if (parsed.crop === 'none') {
+    deck.crop = false;
+  } else if (parsed.crop || parsed.mirror) {
+    const current = typeof deck.crop === 'object' ? deck.crop : {};
+    deck.crop = { ...current, ...(parsed.crop ? { strategy: parsed.crop } : {}), ...(parsed.mirror ? { mirror: true } : {}) };
+  }
+  if (parsed.noReadability) {
+    deck.readability = false;
+  } else if (parsed.contrast) {
+    deck.readability = { ...(typeof deck.readability === 'object' ? deck.readability : {}), target: parsed.contrast };
+  }
+
+  buildPresentation({ ...deck, outputBase: parsed.outputBase, only: parsed.only, pick: parsed.pick, logger })
+    .then(result => {
+      if (parsed.json) printJson({ success: true, ...result });
+    })
+    .catch(err => {
+      console.error('Build failed:', err instanceof BackgroundFallbackError ? err.message : err);
+      if (parsed.json) printJson(jsonError(err));
+      process.exit(1);
+    });
 }
 
-module.exports = { buildPresentation, generateFallbackBackground, renderIconPng };
+module.exports = {
+  buildPresentation,
+  generateBackgrounds,
+  BackgroundFallbackError,
+  generateFallbackBackground,
+  renderIconPng,
+  registerTemplate,
+  loadTemplates,
+};
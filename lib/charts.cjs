@@ -0,0 +1,140 @@
+/**
+ * Native PowerPoint charts for data-slide placeholders
+ *
+ * A data slide may carry a `chart` spec:
+ *   {
+ *     type: 'bar' | 'line' | 'pie' | 'doughnut',
+ *     categories: ['Q1', 'Q2', 'Q3'],
+ *     series: [{ name: 'Revenue', values: [1.2, 1.8, 2.4], color: '#4f9dff' }],
+ *     colors: ['#4f9dff', '#ffb84f'],   // optional palette (per category for pie/doughnut)
+ *     title: 'Revenue, $M',             // optional
+ *     showLegend: true,                 // optional, default: multiple series or pie/doughnut
+ *     showValues: false,                // optional data labels
+ *   }
+ *
+ * The chart is drawn with slide.addChart() inside the placeholder rectangle
+ * returned by html2pptx, so it stays editable in PowerPoint. Default palette,
+ * text and grid colors come from the theme's `chart` section.
+ */
+
+const { primaryFont } = require('./themes.cjs');
+const DEFAULT_THEME = require('../themes/dark.json');
+
+const CHART_TYPES = ['bar', 'line', 'pie', 'doughnut'];
+
+function toHex(color) {
+  return String(color).replace(/^#/, '').toUpperCase();
+}
+
+/**
+ * Resolve the color list PptxGenJS should use (`chartColors`)
+ * Bar/line colors apply per series, pie/doughnut colors per category.
+ */
+function resolveColors(spec, theme) {
+  const perCategory = spec.type === 'pie' || spec.type === 'doughnut';
+  const count = perCategory ? spec.categories.length : spec.series.length;
+  const palette = (spec.colors || []).map(toHex);
+  // Used when neither series nor `colors` specify a color
+  const themePalette = theme.chart.palette.map(toHex);
+
+  const colors = [];
+  for (let i = 0; i < count; i++) {
+    const seriesColor = !perCategory && spec.series[i].color ? toHex(spec.series[i].color) : null;
+    colors.push(seriesColor || palette[i] || themePalette[i % themePalette.length]);
+  }
+  return colors;
+}
+
+/**
+ * Build PptxGenJS chart options for a spec and target rectangle
+ */
+function buildChartOptions(spec, rect, theme) {
+  const perCategory = spec.type === 'pie' || spec.type === 'doughnut';
+  const textColor = toHex(theme.chart.text);
+  const fontFace = primaryFont(theme.fonts.body);
+  const showLegend = spec.showLegend != null ? spec.showLegend : (perCategory || spec.series.length > 1);
+
+  const options = {
+    x: rect.x,
+    y: rect.y,
+    w: rect.w,
+    h: rect.h,
+    chartColors: resolveColors(spec, theme),
+    showLegend,
+    legendPos: 'b',
+    legendColor: textColor,
+    legendFontFace: fontFace,
+    legendFontSize: 10,
+    showValue: !!spec.showValues,
+    dataLabelColor: textColor,
+    dataLabelFontFace: fontFace,
+    dataLabelFontSize: 9,
+  };
+
+  if (spec.title) {
+    options.showTitle = true;
+    options.title = spec.title;
+    options.titleColor = textColor;
+    options.titleFontFace = primaryFont(theme.fonts.heading);
+    options.titleFontSize = 13;
+  }
+
+  if (perCategory) {
+    options.showPercent = !spec.showValues;
+    options.showLeaderLines = true;
+    if (spec.type === 'doughnut') options.holeSize = 55;
+  } else {
+    options.catAxisLabelColor = textColor;
+    options.valAxisLabelColor = textColor;
+    options.catAxisLabelFontSize = 10;
+    options.valAxisLabelFontSize = 10;
+    options.catAxisLabelFontFace = fontFace;
+    options.valAxisLabelFontFace = fontFace;
+    options.valGridLine = { color: toHex(theme.chart.grid), style: 'dash', size: 0.5 };
+    options.catGridLine = { style: 'none' };
+    if (spec.type === 'bar') {
+      options.barDir = 'col';
+      options.barGapWidthPct = 60;
+    } else {
+      options.lineSize = 2;
+      options.lineDataSymbol = 'circle';
+      options.lineDataSymbolSize = 6;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Draw a chart spec as a native chart inside a placeholder rectangle
+ * @param {object} pptx - PptxGenJS instance
+ * @param {object} slide - PptxGenJS slide returned by html2pptx
+ * @param {object} spec - chart spec (see module doc)
+ * @param {{x: number, y: number, w: number, h: number}} rect - placeholder position in inches
+ * @param {object} [theme] - resolved theme (default: dark)
+ */
+function addChart(pptx, slide, spec, rect, theme = DEFAULT_THEME) {
+  if (!CHART_TYPES.includes(spec.type)) {
+    throw new Error(`Unsupported chart type "${spec.type}" (expected one of: ${CHART_TYPES.join(', ')})`);
+  }
+
+  spec.series.forEach((s, i) => {
+    if (s.values.length !== spec.categories.length) {
+      throw new Error(
+        `Chart series ${i} ("${s.name}") has ${s.values.length} values for ${spec.categories.length} categories`
+      );
+    }
+  });
+
+  // Pie and doughnut charts only plot the first series
+  const series = spec.type === 'pie' || spec.type === 'doughnut' ? spec.series.slice(0, 1) : spec.series;
+  const data = series.map(s => ({
+    name: s.name,
+    labels: spec.categories.map(String),
+    values: s.values,
+  }));
+
+  slide.addChart(pptx.ChartType[spec.type], data, buildChartOptions(spec, rect, theme));
+}
+
+module.exports = { addChart, CHART_TYPES };
@@ -0,0 +1,37 @@
+/**
+ * Concurrency helpers for build phases that fan out work (slide rendering, image generation)
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls in flight.
+ * Results keep the input order. On the first failure no new calls start and
+ * the returned promise rejects with that error.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit - maximum concurrent calls (at least 1)
+ * @param {function(T, number): Promise<R>} fn - called with (item, index)
+ * @returns {Promise<R[]>}
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function worker() {
+    while (!failed && next < items.length) {
+      const i = next++;
+      try {
+        results[i] = await fn(items[i], i);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  }
+
+  const workerCount = Math.min(Math.max(1, Math.floor(limit) || 1), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = { mapLimit };
@@ -0,0 +1,59 @@
+/**
+ * Contact sheet - a slide's background candidates side by side, numbered as
+ * they are picked with `--pick <slide>:<candidate>`
+ */
+
+const sharp = require('sharp');
+
+const { esc } = require('./slide-templates.cjs');
+
+const THUMB_W = 480;
+const THUMB_H = 270;
+const GAP = 16;
+const HEADER_H = 40;
+const COLUMNS = 3;
+
+/**
+ * Write a JPEG grid of candidate images, each labeled with its index
+ * @param {string[]} imagePaths - candidates in index order
+ * @param {string} outPath
+ * @param {{title?: string, selected?: number}} [options] - header text; the selected candidate is outlined
+ * @returns {Promise<string>} outPath
+ */
+async function writeContactSheet(imagePaths, outPath, { title = '', selected = 0 } = {}) {
+  const columns = Math.min(COLUMNS, imagePaths.length);
+  const rows = Math.ceil(imagePaths.length / columns);
+  const width = columns * THUMB_W + (columns + 1) * GAP;
+  const height = HEADER_H + rows * (THUMB_H + GAP) + GAP;
+
+  const tiles = await Promise.all(imagePaths.map(async (imagePath, i) => {
+    const left = GAP + (i % columns) * (THUMB_W + GAP);
+    const top = HEADER_H + GAP + Math.floor(i / columns) * (THUMB_H + GAP);
+    const thumb = await sharp(imagePath).resize(THUMB_W, THUMB_H, { fit: 'cover' }).png().toBuffer();
+    return { input: thumb, left, top };
+  }));
+
+  const labels = imagePaths.map((_, i) => {
+    const x = GAP + (i % columns) * (THUMB_W + GAP);
+    const y = HEADER_H + GAP + Math.floor(i / columns) * (THUMB_H + GAP);
+    const outline = i === selected
+      ? `<rect x="${x - 3}" y="${y - 3}" width="${THUMB_W + 6}" height="${THUMB_H + 6}" fill="none" stroke="#4f9dff" stroke-width="4"/>`
+      : '';
+    return `${outline}
+      <rect x="${x + 8}" y="${y + 8}" width="40" height="32" rx="6" fill="#000000" fill-opacity="0.7"/>
+      <text x="${x + 28}" y="${y + 31}" font-family="Arial, sans-serif" font-size="20" font-weight="bold" fill="#ffffff" text-anchor="middle">${i}</text>`;
+  }).join('\n');
+
+  const overlay = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    <text x="${GAP}" y="${HEADER_H - 12}" font-family="Arial, sans-serif" font-size="18" fill="#ffffff">${esc(title)}</text>
+    ${labels}
+  </svg>`;
+
+  await sharp({ create: { width, height, channels: 3, background: '#1a1a2e' } })
+    .composite([...tiles, { input: Buffer.from(overlay), left: 0, top: 0 }])
+    .jpeg({ quality: 85 })
+    .toFile(outPath);
+  return outPath;
+}
+
+module.exports = { writeContactSheet };
@@ -0,0 +1,128 @@
+/**
+ * Deck config loader - reads a deck spec (JSON, YAML, a markdown outline or a
+ * .pptx to restyle) for build-presentation
+ *
+ * A deck config holds everything buildPresentation() needs:
+ *   { name, style, refs?, slides: [{ type, ... }] }
+ *
+ * Relative `refs`, `templates`, `theme` (.json), `provider` (module, or its `tokenFile`), `cache` and `brand.logo` paths resolve
+ * against the config file's directory. Custom templates are loaded before
+ * validation so their slide types are known. The result is validated against
+ * schemas/deck.schema.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const { checkDeck, DeckValidationError } = require('./deck-schema.cjs');
+const { loadTemplates } = require('./template-registry.cjs');
+const { resolveTheme } = require('./themes.cjs');
+const { resolveProvider, builtinProviderNames } = require('./image-providers.cjs');
+const { markdownToDeck } = require('./markdown-deck.cjs');
+const { pptxToDeck } = require('./pptx-deck.cjs');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+/**
+ * Parse a config file by extension (.json, .yaml, .yml, .md, .markdown, .pptx)
+ * Markdown outlines and PowerPoint files are converted with markdownToDeck() and
+ * pptxToDeck(); skipped content is logged as warnings, and the file name is the
+ * default deck name.
+ * @param {string} filePath
+ * @param {'json'|'yaml'|'markdown'|'pptx'} [format] - overrides the extension
+ * @returns {object}
+ */
+function parseConfigFile(filePath, format) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (format === 'pptx' || (!format && ext === '.pptx')) {
+    const buffer = fs.readFileSync(filePath);
+    try {
+      const { deck, warnings } = pptxToDeck(buffer, { name: path.basename(filePath, path.extname(filePath)) });
+      for (const warning of warnings) {
+        console.warn(`Warning: ${path.basename(filePath)}: ${warning.message}`);
+      }
+      return deck;
+    } catch (err) {
+      throw new Error(`${filePath}: ${err.message}`);
+    }
+  }
+
+  const text = fs.readFileSync(filePath, 'utf-8');
+  try {
+    if (format === 'markdown' || (!format && MARKDOWN_EXTENSIONS.includes(ext))) {
+      const { deck, warnings } = markdownToDeck(text, { name: path.basename(filePath, path.extname(filePath)) });
+      for (const warning of warnings) {
+        console.warn(`Warning: ${path.basename(filePath)}: ${warning.message}`);
+      }
+      return deck;
+    }
+    if (format === 'yaml' || (!format && (ext === '.yaml' || ext === '.yml'))) {
+      return yaml.load(text, { filename: filePath });
+    }
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Load, merge and validate a deck config file
+ * @param {string} filePath - path to .json/.yaml/.yml deck spec, .md outline or .pptx to restyle
+ * @param {object} [overrides] - values taking precedence over the file (e.g. CLI flags)
+ * @param {'json'|'yaml'|'markdown'|'pptx'} [format] - file format when the extension does not tell
+ * @returns {{name: string, style: string, refs?: string[], templates?: string, theme?: string|object, slides: object[]}}
+ * @throws {DeckValidationError} when the merged config does not match the schema
+ * @throws {Error} when `theme` is unknown or does not match schemas/theme.schema.json,
+ *   or `provider` cannot be loaded
+ *   (with `strict: false`, slide problems are left for buildPresentation to warn about)
+ */
+function loadDeckConfig(filePath, overrides = {}, format) {
+  const absPath = path.resolve(filePath);
+  const parsed = parseConfigFile(absPath, format);
+  const baseDir = path.dirname(absPath);
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${absPath}: deck config must be an object with name, style and slides`);
+  }
+
+  const config = { ...parsed };
+  if (Array.isArray(config.refs)) {
+    config.refs = config.refs.map(ref => (typeof ref === 'string' ? path.resolve(baseDir, ref) : ref));
+  }
+  if (typeof config.templates === 'string') {
+    config.templates = path.resolve(baseDir, config.templates);
+  }
+  if (typeof config.theme === 'string' && config.theme.toLowerCase().endsWith('.json')) {
+    config.theme = path.resolve(baseDir, config.theme);
+  }
+  if (typeof config.provider === 'string' && !builtinProviderNames().includes(config.provider)) {
+    config.provider = path.resolve(baseDir, config.provider);
+  }
+  if (config.provider && typeof config.provider.tokenFile === 'string') {
+    config.provider = { ...config.provider, tokenFile: path.resolve(baseDir, config.provider.tokenFile) };
+  }
+  if (typeof config.cache === 'string') {
+    config.cache = path.resolve(baseDir, config.cache);
+  }
+  if (config.brand && typeof config.brand.logo === 'string') {
+    config.brand = { ...config.brand, logo: path.resolve(baseDir, config.brand.logo) };
+  }
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) config[key] = value;
+  }
+  if (typeof config.templates === 'string') {
+    loadTemplates(config.templates);
+  }
+
+  const { errors } = checkDeck(config);
+  if (errors.length > 0) {
+    throw new DeckValidationError(errors);
+  }
+  resolveTheme(config.theme); // fail early on unknown or invalid themes
+  resolveProvider(config.provider);
+  return config;
+}
+
+module.exports = { loadDeckConfig, parseConfigFile };
@@ -0,0 +1,288 @@
+/**
+ * Deck schema validation
+ *
+ * Validates deck configs against schemas/deck.schema.json. Each slide is
+ * checked against its template's schema from the template registry; built-in
+ * types use the definition named after the type (`title` -> `titleSlide`).
+ *
+ * Supports the JSON Schema subset used by the published schema:
+ *   type, required, properties, additionalProperties (schema form), items, enum,
+ *   minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+ *   $ref (local #/definitions/... only)
+ *
+ * Issues are reported with the path of the offending value, e.g.
+ *   slides[3].metrics[1].value missing
+ *
+ * maxItems/maxLength on slide definitions are layout budgets: templates
+ * silently drop extra items and long strings overflow their text boxes.
+ *
+ * Table rows are also checked against their slide's column count, and chart
+ * series against their chart's category count, which the schema cannot
+ * express; extra table cells are dropped when rendering.
+ */
+
+const DECK_SCHEMA = require('../schemas/deck.schema.json');
+const { getTemplate } = require('./template-registry.cjs');
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+};
+
+class DeckValidationError extends Error {
+  /**
+   * @param {{path: string, message: string}[]} issues
+   */
+  constructor(issues) {
+    const lines = issues.map(formatIssue);
+    super(issues.length === 1
+      ? `Invalid deck config: ${lines[0]}`
+      : `Invalid deck config (${issues.length} problems):\n${lines.map(l => `  - ${l}`).join('\n')}`);
+    this.name = 'DeckValidationError';
+    this.issues = issues;
+  }
+}
+
+function formatIssue(issue) {
+  return issue.path ? `${issue.path} ${issue.message}` : issue.message;
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref "${ref}" (only local refs are supported)`);
+  }
+  let node = root;
+  for (const part of ref.slice(2).split('/')) {
+    node = node && node[part];
+  }
+  if (!node) throw new Error(`Unresolved $ref "${ref}"`);
+  return node;
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [valuePath] - path of `value` used in issue messages
+ * @param {object} [root] - document used to resolve $ref (default: deck schema)
+ * @returns {{path: string, message: string, fatal?: boolean}[]} issues (empty when valid); `fatal` marks
+ *   missing required values, wrong types and values outside an enum, which templates cannot render
+ */
+function validateValue(value, schema, valuePath = '', root = DECK_SCHEMA) {
+  if (schema.$ref) {
+    return validateValue(value, resolveRef(schema.$ref, root), valuePath, root);
+  }
+
+  const issues = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      const expected = types.map(t => TYPE_NAMES[t] || t).join(' or ');
+      issues.push({ path: valuePath, message: `must be ${expected}`, fatal: true });
+      return issues;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({ path: valuePath, message: `must be one of: ${schema.enum.join(', ')}`, fatal: true });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      issues.push({
+        path: valuePath,
+        message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`,
+      });
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      issues.push({ path: valuePath, message: `exceeds ${schema.maxLength} characters (got ${value.length})` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      issues.push({ path: valuePath, message: `must match ${schema.pattern} (got "${value}")` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      issues.push({ path: valuePath, message: `must be at least ${schema.minimum} (got ${value})` });
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      issues.push({ path: valuePath, message: `must be at most ${schema.maximum} (got ${value})` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      issues.push({ path: valuePath, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      issues.push({ path: valuePath, message: `must have at most ${schema.maxItems} items (got ${value.length})` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        issues.push(...validateValue(item, schema.items, joinPath(valuePath, i), root));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        issues.push({ path: joinPath(valuePath, key), message: 'missing', fatal: true });
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      issues.push(...validateValue(value[key], propSchema, joinPath(valuePath, key), root));
+    }
+    if (typeOf(schema.additionalProperties) === 'object') {
+      for (const [key, item] of Object.entries(value)) {
+        if ((schema.properties && key in schema.properties) || item === undefined || item === null) continue;
+        issues.push(...validateValue(item, schema.additionalProperties, joinPath(valuePath, key), root));
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Schema for a slide type, or null if the type is unknown
+ * @param {string} type
+ * @returns {object|null}
+ */
+function getSlideSchema(type) {
+  const template = getTemplate(type);
+  return template ? template.schema : null;
+}
+
+/**
+ * Rows of a table slide with more cells than it has columns
+ * @returns {{path: string, message: string}[]}
+ */
+function tableRowIssues(slide, slidePath) {
+  if (!Array.isArray(slide.columns) || !Array.isArray(slide.rows)) return [];
+  const columnCount = slide.columns.length;
+  const issues = [];
+  slide.rows.forEach((row, i) => {
+    if (Array.isArray(row) && row.length > columnCount) {
+      issues.push({
+        path: joinPath(joinPath(slidePath, 'rows'), i),
+        message: `has ${row.length} cells for ${columnCount} columns (the extra cells are dropped)`,
+      });
+    }
+  });
+  return issues;
+}
+
+/**
+ * Chart series whose value count differs from the chart's category count
+ * (fatal: PowerPoint charts need one value per category)
+ * @returns {{path: string, message: string, fatal: boolean}[]}
+ */
+function chartSeriesIssues(slide, slidePath) {
+  const chart = slide.chart;
+  if (typeOf(chart) !== 'object' || !Array.isArray(chart.categories) || !Array.isArray(chart.series)) return [];
+  const issues = [];
+  chart.series.forEach((series, i) => {
+    if (series && Array.isArray(series.values) && series.values.length !== chart.categories.length) {
+      issues.push({
+        path: joinPath(joinPath(joinPath(slidePath, 'chart'), 'series'), i),
+        message: `has ${series.values.length} values for ${chart.categories.length} categories`,
+        fatal: true,
+      });
+    }
+  });
+  return issues;
+}
+
+/**
+ * Validate a full deck config (name, style, refs, slides)
+ * A provider object (see image-providers.cjs) is not a config value and is left to resolveProvider().
+ * @param {object} config
+ * @returns {{path: string, message: string}[]} issues (empty when valid)
+ */
+function validateDeck(config) {
+  const providerObject = typeOf(config) === 'object' && config.provider && typeof config.provider.generate === 'function';
+  const issues = validateValue(providerObject ? { ...config, provider: undefined } : config, DECK_SCHEMA);
+  if (!config || !Array.isArray(config.slides)) return issues;
+
+  config.slides.forEach((slide, i) => {
+    if (typeOf(slide) !== 'object' || typeof slide.type !== 'string') return;
+    const slidePath = joinPath('slides', i);
+    const schema = getSlideSchema(slide.type);
+    if (!schema) {
+      issues.push({ path: joinPath(slidePath, 'type'), message: `unknown slide type "${slide.type}"`, fatal: true });
+      return;
+    }
+    issues.push(...validateValue(slide, schema, slidePath));
+    if (slide.type === 'table') issues.push(...tableRowIssues(slide, slidePath));
+    issues.push(...chartSeriesIssues(slide, slidePath));
+  });
+
+  return issues;
+}
+
+/**
+ * Validate a deck and split issues by the `strict` policy.
+ * Strict (default): every issue is an error. With `strict: false`, slide-level
+ * issues become warnings; deck-level issues (name, style, slides) stay errors.
+ * A slide with a fatal issue (see validateValue()) cannot be rendered, so it is
+ * listed in `skipped` and gets a warning of its own.
+ * @param {object} config
+ * @returns {{errors: {path: string, message: string}[], warnings: {path: string, message: string}[],
+ *   skipped: number[]}} skipped: indices of the slides to leave out of the build
+ */
+function checkDeck(config) {
+  const issues = validateDeck(config);
+  if (!config || config.strict !== false) {
+    return { errors: issues, warnings: [], skipped: [] };
+  }
+  const slideIndex = issue => {
+    const match = issue.path.match(/^slides\[(\d+)\]/);
+    return match ? Number(match[1]) : null;
+  };
+  const skipped = [...new Set(issues.filter(issue => issue.fatal).map(slideIndex).filter(i => i !== null))]
+    .sort((a, b) => a - b);
+  return {
+    errors: issues.filter(issue => slideIndex(issue) === null),
+    warnings: [
+      ...issues.filter(issue => slideIndex(issue) !== null),
+      ...skipped.map(i => ({ path: joinPath('slides', i), message: 'skipped: cannot be rendered (missing fields, wrong types or unsupported values)' })),
+    ],
+    skipped,
+  };
+}
+
+module.exports = {
+  DECK_SCHEMA,
+  DeckValidationError,
+  validateValue,
+  validateDeck,
+  checkDeck,
+  getSlideSchema,
+  formatIssue,
+};
@@ -0,0 +1,220 @@
+/**
+ * HTTP image provider - any endpoint with the OpenAI `images/generations` shape
+ *
+ * Implements the provider interface (see image-providers.cjs) for OpenAI and
+ * self-hosted services that mirror its API:
+ *   deck config:
+ *     provider:
+ *       type: openai
+ *       baseUrl: https://images.example.com/v1
+ *       model: sdxl-turbo
+ *       apiKeyEnv: IMAGES_API_KEY
+ *   CLI: --provider openai (OpenAI itself, key from OPENAI_API_KEY)
+ *
+ * Requests are POST <baseUrl>/images/generations with { model, prompt, n: 1,
+ * size, response_format }; each `data[]` item is decoded from `b64_json` or
+ * downloaded from `url`. JPEG and WebP responses (e.g. DALL-E url downloads)
+ * are converted to PNG, the format backgrounds are stored in. Reference images
+ * are not sent: the endpoint has no style-reference input, so every slide is
+ * generated from its prompt alone.
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+
+const { httpFailure, saveBase64Image, withRetry } = require('./whisk-client.cjs');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const DEFAULTS = {
+  name: 'openai',
+  baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKeyEnv: 'OPENAI_API_KEY',
+  authHeader: 'Authorization',
+  authScheme: 'Bearer',
+  model: 'dall-e-3',
+  responseFormat: 'b64_json',
+  sendSeed: false,
+  sizes: {
+    '16:9': '1792x1024',
+    '4:3': '1792x1024',
+    '1:1': '1024x1024',
+    '3:4': '1024x1792',
+    '9:16': '1024x1792',
+  },
+};
+
+/**
+ * Image bytes as base64 PNG; other formats (JPEG, WebP, ...) are converted
+ * @param {Buffer} bytes
+ * @returns {Promise<{success: boolean, image?: string, error?: string}>}
+ */
+async function toPng(bytes) {
+  if (bytes.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return { success: true, image: bytes.toString('base64') };
+  }
+  try {
+    return { success: true, image: (await sharp(bytes).png().toBuffer()).toString('base64') };
+  } catch (error) {
+    return { success: false, error: `Response is not a readable image: ${error.message}` };
+  }
+}
+
+/**
+ * Base64 PNG of one `data[]` item (downloaded when the endpoint returns URLs)
+ * @returns {Promise<{success: boolean, image?: string, error?: string, status?: number}>}
+ */
+async function decodeImage(item) {
+  if (item.b64_json) {
+    return toPng(Buffer.from(item.b64_json, 'base64'));
+  }
+  if (typeof item.url === 'string') {
+    const dataUrl = item.url.match(/^data:[^;]+;base64,(.*)$/);
+    if (dataUrl) {
+      return toPng(Buffer.from(dataUrl[1], 'base64'));
+    }
+    const response = await fetch(item.url);
+    if (!response.ok) {
+      return httpFailure(response, `Image download failed: HTTP ${response.status}`);
+    }
+    return toPng(Buffer.from(await response.arrayBuffer()));
+  }
+  return { success: false, error: 'Response item has neither b64_json nor url' };
+}
+
+/**
+ * Create a provider for an OpenAI-compatible image endpoint
+ * @param {object} [options]
+ * @param {string} [options.name='openai'] - used in logs, cache keys and backgroundStatus `source`
+ * @param {string} [options.baseUrl] - API root; `/images/generations` is appended (default OPENAI_BASE_URL or OpenAI)
+ * @param {string} [options.apiKey] - API key; prefer apiKeyEnv so keys stay out of deck configs
+ * @param {string|false} [options.apiKeyEnv='OPENAI_API_KEY'] - environment variable holding the key; false for no auth
+ * @param {string} [options.authHeader='Authorization'] - header carrying the key
+ * @param {string} [options.authScheme='Bearer'] - prefix before the key ('' for the bare key, e.g. with X-API-Key)
+ * @param {string} [options.model='dall-e-3']
+ * @param {Object<string, string>} [options.sizes] - aspect ratio -> size string, merged over the DALL-E 3 sizes
+ * @param {'b64_json'|'url'|false} [options.responseFormat='b64_json'] - requested format; false omits the field
+ * @param {boolean} [options.sendSeed=false] - send `seed` (for servers that accept it; makes --seed reproducible).
+ *   Without it the provider reports `seeds: false`, and builds warn that --seed has no effect
+ * @param {Object<string, string>} [options.headers] - extra request headers
+ * @returns {object} provider
+ */
+function createHttpProvider(options = {}) {
+  const settings = { ...DEFAULTS, ...options, sizes: { ...DEFAULTS.sizes, ...options.sizes } };
+  const endpoint = settings.baseUrl.replace(/\/+$/, '') + '/images/generations';
+
+  function apiKey() {
+    return settings.apiKey || (settings.apiKeyEnv ? process.env[settings.apiKeyEnv] : undefined);
+  }
+
+  function headers() {
+    const result = { 'Content-Type': 'application/json', ...settings.headers };
+    const key = apiKey();
+    if (key) {
+      result[settings.authHeader] = settings.authScheme ? `${settings.authScheme} ${key}` : key;
+    }
+    return result;
+  }
+
+  async function generate(prompt, { aspectRatio = '16:9', seed } = {}) {
+    const payload = {
+      model: settings.model,
+      prompt,
+      n: 1,
+      size: settings.sizes[aspectRatio] || settings.sizes['16:9'],
+    };
+    if (settings.responseFormat) payload.response_format = settings.responseFormat;
+    if (settings.sendSeed && seed != null) payload.seed = seed;
+
+    try {
+      const response = await fetch(endpoint, { method: 'POST', headers: headers(), body: JSON.stringify(payload) });
+      if (!response.ok) {
+        const errorText = await response.text();
+        return httpFailure(response, `HTTP ${response.status}: ${errorText}`);
+      }
+
+      const data = await response.json();
+      const items = Array.isArray(data.data) ? data.data : [];
+      if (items.length === 0) {
+        return { success: false, error: 'No image data in response', status: response.status };
+      }
+      const images = [];
+      for (const item of items) {
+        const decoded = await decodeImage(item);
+        if (!decoded.success) return decoded;
+        images.push(decoded.image);
+      }
+      return { success: true, images, seed: payload.seed };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  return {
+    name: settings.name,
+    references: false,
+    seeds: !!settings.sendSeed,
+
+    async available() {
+      if (settings.apiKeyEnv && !apiKey()) {
+        return { ok: false, reason: `${settings.apiKeyEnv} is not set` };
+      }
+      return { ok: true };
+    },
+
+    generate,
+
+    generateWithReferences(prompt, refs, opts) {
+      return generate(prompt, opts);
+    },
+
+    async uploadReference() {
+      return { success: false, error: `${settings.name} does not accept reference images` };
+    },
+
+    model() {
+      return settings.model;
+    },
+  };
+}
+
+// CLI test mode: node lib/http-provider.cjs test [--base-url <url>] [--model <name>] [--api-key-env <VAR>] [--output <file>]
+if (require.main === module) {
+  (async () => {
+    const args = process.argv.slice(2);
+    if (args[0] !== 'test') {
+      console.log('Usage: node lib/http-provider.cjs test [--base-url <url>] [--model <name>] [--api-key-env <VAR>] [--output <file>]');
+      return;
+    }
+    const options = {};
+    let outPath = path.join(__dirname, '..', 'outputs', 'http-provider-test.png');
+    for (let i = 1; i < args.length; i++) {
+      if (args[i] === '--base-url' && args[i + 1]) { options.baseUrl = args[++i]; }
+      else if (args[i] === '--model' && args[i + 1]) { options.model = args[++i]; }
+      else if (args[i] === '--api-key-env' && args[i + 1]) { options.apiKeyEnv = args[++i]; }
+      else if (args[i] === '--output' && args[i + 1]) { outPath = path.resolve(args[++i]); }
+    }
+    const provider = createHttpProvider(options);
+    const availability = await provider.available();
+    if (!availability.ok) {
+      console.error(availability.reason);
+      process.exit(1);
+    }
+
+    console.log('Testing image generation...');
+    // Same retries as a build, so a rate-limited first request does not fail the test
+    const result = await withRetry(
+      () => provider.generate('Abstract dark blue gradient background, subtle geometric shapes, 16:9'),
+      { onRetry: ({ attempt, delayMs, error }) => console.log(`  Retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}): ${error}`) }
+    );
+    if (result.success) {
+      saveBase64Image(result.images[0], outPath);
+      console.log(`Success! Saved to ${outPath}`);
+    } else {
+      console.error(`Generation failed [${result.failure}]:`, result.error);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { createHttpProvider };
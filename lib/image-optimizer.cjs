@@ -0,0 +1,104 @@
+/**
+ * Image optimizer - compressed backgrounds for the PPTX and a deck size budget
+ *
+ * Backgrounds stay PNG in images/ (HTML slides, the cache and incremental
+ * rebuilds use them), but the PPTX embeds JPEG copies from images/embedded/:
+ * PNG or WebP provider output becomes quality-tuned JPEG at the target width,
+ * which PowerPoint and Keynote both open.
+ *
+ * Deck config:
+ *   images: { quality: 85, width: 1920 }    (images: false embeds the PNGs as generated)
+ *   maxDeckSizeMB: 10
+ *
+ * With a budget, the PPTX is re-assembled with tighter settings until
+ * presentation.pptx fits: quality drops in QUALITY_STEP steps to MIN_QUALITY,
+ * then the width steps down through SMALLER_WIDTHS. Every slide gets the same
+ * settings, so backgrounds stay consistent across the deck.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const DEFAULTS = { quality: 85, width: 1920 };
+const QUALITY_STEP = 10;
+const MIN_QUALITY = 45;
+const SMALLER_WIDTHS = [1600, 1280, 960];
+const MB = 1024 * 1024;
+
+/**
+ * Settings from the deck's `images` and `maxDeckSizeMB` values
+ * @param {boolean|{quality?: number, width?: number}} [images] - false embeds the original PNGs
+ * @param {number} [maxDeckSizeMB]
+ * @returns {{quality: number, width: number, maxBytes: number|null}|null} null when disabled
+ * @throws {Error} on out-of-range values, or a budget with images: false (nothing could be tightened)
+ */
+function imageSettings(images, maxDeckSizeMB) {
+  if (images === false) {
+    if (maxDeckSizeMB) {
+      throw new Error('maxDeckSizeMB needs image optimization; remove images: false (--no-optimize)');
+    }
+    return null;
+  }
+  const settings = { ...DEFAULTS, ...(typeof images === 'object' && images ? images : {}) };
+  if (!(settings.quality >= 1 && settings.quality <= 100)) {
+    throw new Error(`images.quality must be 1-100 (got ${settings.quality})`);
+  }
+  if (!(settings.width >= 320)) {
+    throw new Error(`images.width must be at least 320 pixels (got ${settings.width})`);
+  }
+  if (maxDeckSizeMB != null && !(maxDeckSizeMB > 0)) {
+    throw new Error(`maxDeckSizeMB must be a positive number (got ${maxDeckSizeMB})`);
+  }
+  return { quality: settings.quality, width: settings.width, maxBytes: maxDeckSizeMB ? Math.round(maxDeckSizeMB * MB) : null };
+}
+
+/**
+ * Settings to try in order: the configured ones first, then ever tighter
+ * @param {{quality: number, width: number}} settings
+ * @returns {{quality: number, width: number}[]}
+ */
+function compressionSteps({ quality, width }) {
+  const steps = [{ quality, width }];
+  for (let q = quality - QUALITY_STEP; q >= MIN_QUALITY; q -= QUALITY_STEP) {
+    steps.push({ quality: q, width });
+  }
+  const floor = Math.min(quality, MIN_QUALITY);
+  for (const smaller of SMALLER_WIDTHS.filter(w => w < width)) {
+    steps.push({ quality: floor, width: smaller });
+  }
+  return steps;
+}
+
+/**
+ * Write the embedded JPEG of every background
+ * @param {string[]} backgrounds - source images (PNG, WebP, ...), one per slide
+ * @param {string} embeddedDir - output directory (images/embedded)
+ * @param {{quality: number, width: number}} step
+ * @returns {Promise<{index: number, source: string, path: string, bytes: number, sourceBytes: number}[]>}
+ */
+async function writeEmbeddedImages(backgrounds, embeddedDir, { quality, width }) {
+  fs.mkdirSync(embeddedDir, { recursive: true });
+  const assets = [];
+  for (let index = 0; index < backgrounds.length; index++) {
+    const source = backgrounds[index];
+    const outPath = path.join(embeddedDir, `${path.basename(source, path.extname(source))}.jpg`);
+    // Read through a buffer: libvips caches file inputs, and sources can be rewritten between builds
+    await sharp(fs.readFileSync(source))
+      .resize({ width, withoutEnlargement: true })
+      .flatten({ background: '#000000' })
+      .jpeg({ quality, mozjpeg: true })
+      .toFile(outPath);
+    assets.push({ index, source, path: outPath, bytes: fs.statSync(outPath).size, sourceBytes: fs.statSync(source).size });
+  }
+  return assets;
+}
+
+/**
+ * Human-readable size, e.g. "312 KB" or "4.2 MB"
+ */
+function formatBytes(bytes) {
+  return bytes >= MB ? `${(bytes / MB).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+module.exports = { imageSettings, compressionSteps, writeEmbeddedImages, formatBytes };
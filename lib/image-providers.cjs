@@ -0,0 +1,142 @@
+/**
+ * Image providers - where AI backgrounds come from
+ *
+ * buildPresentation() talks to a provider object, never to an API client
+ * directly. A provider implements:
+ *   name                                     used in logs, cache keys and backgroundStatus `source`
+ *   available()                              => { ok, reason?, warning? } (e.g. token present; warning
+ *                                            is logged, e.g. a token about to expire)
+ *   generate(prompt, opts)                   => { success, images?: base64[], seed?, error?, status?, retryAfterMs? }
+ *   generateWithReferences(prompt, refs, opts) same result, styled after uploaded references
+ *   uploadReference(base64)                  => { success, ref?, error?, status? } (ref is opaque)
+ *   model(refCount)                          optional, model name for cache keys
+ *   references                               optional, false when the backend takes no reference
+ *                                            images (nothing is uploaded; uploadReference is unused)
+ *   seeds                                    optional, false when the backend ignores opts.seed (no
+ *                                            seed is passed or cached; a deck or slide seed warns)
+ * where opts is { aspectRatio, seed }. Failures use whisk-client's shape, so
+ * classifyFailure()/withRetry() apply to every provider.
+ *
+ * A request failing with 401/403 after available() said ok aborts the build,
+ * or waits until available() is ok again (generation.onAuthFailure).
+ *
+ * Built-in: "whisk" (default), "procedural" (offline, see
+ * procedural-provider.cjs) and "openai" (any OpenAI-compatible endpoint, see
+ * http-provider.cjs). Anything else is loaded as a module path that exports a
+ * provider object. Configurable built-ins also take a settings object with a
+ * `type`, e.g. { type: 'openai', baseUrl, model, apiKeyEnv } or { type: 'whisk', tokenFile }.
+ */
+
+const path = require('path');
+
+const whisk = require('./whisk-client.cjs');
+const { createHttpProvider } = require('./http-provider.cjs');
+
+const REQUIRED_METHODS = ['available', 'generate', 'generateWithReferences', 'uploadReference'];
+
+/**
+ * Whisk provider; the token is re-read before every request, so refreshing it
+ * mid-build takes effect immediately
+ * @param {{ tokenFile?: string }} [settings] - token file (see whisk.tokenStatus())
+ * @returns {object} provider
+ */
+function createWhiskProvider(settings = {}) {
+  const tokenOptions = { tokenFile: settings.tokenFile };
+
+  // Access token, or a 401-style failure explaining why there is none
+  function token() {
+    const status = whisk.tokenStatus(tokenOptions);
+    return status.usable ? { accessToken: status.accessToken } : { success: false, error: status.message, status: 401 };
+  }
+
+  return {
+    name: 'whisk',
+
+    async available() {
+      const status = whisk.tokenStatus(tokenOptions);
+      if (!status.usable) return { ok: false, reason: status.message };
+      return status.state === whisk.TOKEN_STATE.EXPIRING ? { ok: true, warning: status.message } : { ok: true };
+    },
+
+    async generate(prompt, { aspectRatio = '16:9', seed } = {}) {
+      const auth = token();
+      if (!auth.accessToken) return auth;
+      return whisk.generateImage(prompt, aspectRatio, auth.accessToken, { seed });
+    },
+
+    async generateWithReferences(prompt, refs, { aspectRatio = '16:9', seed } = {}) {
+      const auth = token();
+      if (!auth.accessToken) return auth;
+      return whisk.generateWithReference(prompt, aspectRatio, auth.accessToken, refs, { seed });
+    },
+
+    async uploadReference(base64) {
+      const auth = token();
+      if (!auth.accessToken) return auth;
+      const result = await whisk.uploadAndAnalyze(base64, 'MEDIA_CATEGORY_STYLE', auth.accessToken);
+      if (!result.success) return result;
+      return {
+        success: true,
+        ref: { category: 'MEDIA_CATEGORY_STYLE', mediaId: result.mediaId, caption: result.caption },
+      };
+    },
+
+    model(refCount) {
+      return whisk.imageModelFor(refCount);
+    },
+  };
+}
+
+// Factories take the settings object ({ type, ... }), or nothing when named by a string
+const BUILTIN = {
+  whisk: settings => createWhiskProvider(settings),
+  procedural: () => require('./procedural-provider.cjs'),
+  openai: settings => createHttpProvider(settings),
+};
+
+function checkProvider(provider, label) {
+  if (!provider || typeof provider.name !== 'string') {
+    throw new Error(`Image provider ${label} must export an object with a name`);
+  }
+  const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Image provider ${label} is missing ${missing.join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Resolve a provider reference
+ * @param {string|object} [spec] - built-in name, module path, settings object with a built-in
+ *   `type`, or provider object (default: "whisk")
+ * @returns {object} provider
+ */
+function resolveProvider(spec = 'whisk') {
+  if (typeof spec === 'object' && typeof spec.generate !== 'function') {
+    if (!BUILTIN[spec.type]) {
+      throw new Error(`Unknown image provider type "${spec.type}" (built-in: ${Object.keys(BUILTIN).join(', ')})`);
+    }
+    const { type, ...settings } = spec;
+    return checkProvider(BUILTIN[type](settings), `"${type}"`);
+  }
+  if (typeof spec === 'object') {
+    return checkProvider(spec, 'object');
+  }
+  if (BUILTIN[spec]) {
+    return BUILTIN[spec]();
+  }
+  const modulePath = path.resolve(spec);
+  let provider;
+  try {
+    provider = require(modulePath);
+  } catch (err) {
+    throw new Error(`Unknown image provider "${spec}" (built-in: ${Object.keys(BUILTIN).join(', ')}, or a module path): ${err.message.split('\n')[0]}`);
+  }
+  return checkProvider(provider, `"${spec}"`);
+}
+
+function builtinProviderNames() {
+  return Object.keys(BUILTIN);
+}
+
+module.exports = { resolveProvider, builtinProviderNames, createWhiskProvider };
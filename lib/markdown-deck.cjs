@@ -0,0 +1,296 @@
+/**
+ * Markdown importer - turns a markdown outline into a deck config
+ *
+ *   ---
+ *   name: q4-review              front matter (YAML): name, style, theme and any
+ *   style: dark navy gradients   other deck config key (brand, provider, seed, ...)
+ *   theme: corporate
+ *   ---
+ *
+ *   # Q4 Review                  title slide; the next lines are subtitle and date
+ *   Results and outlook
+ *
+ *   ## Highlights                content slide; list items (or paragraphs) are bullets
+ *   - Revenue up **23%**
+ *
+ *   ```notes                     speaker notes for the current slide (`notes:` works too)
+ *   Thank the EMEA team
+ *   ```
+ *
+ *   ---                          slide break
+ *
+ *   ## Revenue by quarter        a table of numbers becomes a data slide with a bar chart
+ *   | Quarter | 2025 | 2026 |    (list items like "**$4.2M** Revenue" become its metrics);
+ *   |---------|-----:|-----:|    any other table becomes a table slide
+ *   | Q1      | 3.1  | 4.2  |
+ *
+ * Every `#`/`##` heading starts a slide, so `---` is only needed between
+ * slides that share no heading change. Inline markdown (bold, code, links) is
+ * reduced to its text. Content that has no slide to go to - a code block, a
+ * list or a third paragraph on a title slide, text before the first heading -
+ * is reported in `warnings` with its line number.
+ *
+ * CLI: node lib/markdown-deck.cjs talk.md [--json]   prints the deck config (YAML by default)
+ * Build: node lib/build-presentation.cjs --from-markdown talk.md
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { stripInlineMarkup } = require('./notes.cjs');
+
+const FENCE = /^\s*(`{3,}|~{3,})\s*([^`\s]*)/;
+const BREAK = /^\s*(-{3,}|\*{3,}|_{3,})\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const NOTES_FENCE = /^notes:?$/i;
+const NUMBER = /^[-+]?\d{1,3}(?:,\d{3})*(?:\.\d+)?%?$|^[-+]?\d+(?:\.\d+)?%?$/;
+const METRIC = /^(?:\*\*|__)(.+?)(?:\*\*|__)\s*[-–—:]?\s*(.+)$/;
+const MAX_METRICS = 3;
+
+/**
+ * Text of inline markdown: emphasis, code and link markup removed
+ */
+function inlineText(text) {
+  return stripInlineMarkup(text.replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1'))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.replace(/\\\|/g, '|').trim());
+}
+
+/**
+ * Header, column alignments and rows of a pipe table (null when the separator row is missing)
+ */
+function parseTable(lines) {
+  if (lines.length < 2 || !/^[\s|:-]+$/.test(lines[1])) return null;
+  const header = splitRow(lines[0]).map(inlineText);
+  const align = splitRow(lines[1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+  const rows = lines.slice(2).map(line => {
+    const cells = splitRow(line).map(inlineText);
+    return header.map((_, k) => cells[k] ?? '');
+  });
+  return { header, align, rows };
+}
+
+function toNumber(cell) {
+  return parseFloat(cell.replace(/[,%]/g, ''));
+}
+
+// A table whose value columns are all plain numbers (the first column names the categories)
+function isNumericTable({ header, rows }) {
+  return header.length >= 2 && rows.length > 0 && rows.every(row => row.slice(1).every(cell => NUMBER.test(cell)));
+}
+
+/**
+ * Slide object for a collected section
+ */
+function toSlide(section, warn) {
+  const notes = section.notes.length > 0 ? section.notes.join('\n\n') : undefined;
+  const at = `line ${section.line}`;
+
+  if (section.level === 1) {
+    if (section.items.length > 0 || section.table) {
+      warn(section.line, `${at}: lists and tables on a title slide ("# ${section.title}") are ignored; use ## for a content slide`);
+    }
+    const [subtitle, date, ...extra] = section.paragraphs;
+    if (extra.length > 0) {
+      warn(section.line, `${at}: a title slide ("# ${section.title}") takes a subtitle and a date; ${extra.length} more paragraph(s) ignored`);
+    }
+    return { type: 'title', title: section.title, subtitle, date, notes };
+  }
+
+  if (section.table && isNumericTable(section.table)) {
+    const { header, rows } = section.table;
+    const metrics = [];
+    for (const item of section.items) {
+      const match = item.match(METRIC);
+      if (match && metrics.length < MAX_METRICS) {
+        metrics.push({ value: inlineText(match[1]), label: inlineText(match[2]) });
+      } else {
+        warn(section.line, `${at}: list item "${inlineText(item)}" is not a metric ("**value** label", at most ${MAX_METRICS}); ignored`);
+      }
+    }
+    return {
+      type: 'data',
+      title: section.title,
+      metrics: metrics.length > 0 ? metrics : undefined,
+      chartLabel: section.paragraphs[0],
+      chart: {
+        type: 'bar',
+        categories: rows.map(row => row[0]),
+        series: header.slice(1).map((name, k) => ({ name, values: rows.map(row => toNumber(row[k + 1])) })),
+      },
+      notes,
+    };
+  }
+
+  if (section.table) {
+    if (section.items.length > 0 || section.paragraphs.length > 0) {
+      warn(section.line, `${at}: text next to the table on "${section.title}" is ignored`);
+    }
+    const { header, align, rows } = section.table;
+    return {
+      type: 'table',
+      title: section.title,
+      columns: header.map((name, k) => (align[k] ? { header: name, align: align[k] } : name)),
+      rows,
+      notes,
+    };
+  }
+
+  return {
+    type: 'content',
+    title: section.title,
+    bullets: (section.items.length > 0 ? section.items : section.paragraphs).map(inlineText),
+    notes,
+  };
+}
+
+/**
+ * Convert a markdown outline to a deck config
+ * @param {string} markdown
+ * @param {{name?: string}} [options] - name used when the front matter has none (e.g. the file name)
+ * @returns {{deck: {name?: string, style?: string, theme?: string|object, slides: object[]},
+ *   warnings: {line: number, message: string}[]}} deck ready for buildPresentation() (after adding
+ *   style when the front matter has none); warnings list content that was skipped
+ */
+function markdownToDeck(markdown, options = {}) {
+  const lines = String(markdown).split(/\r?\n/);
+  const warnings = [];
+  const warn = (line, message) => warnings.push({ line, message });
+
+  let frontMatter = {};
+  let i = 0;
+  if (lines[0] !== undefined && lines[0].trim() === '---') {
+    const end = lines.findIndex((line, k) => k > 0 && /^(---|\.\.\.)\s*$/.test(line));
+    if (end > 0) {
+      frontMatter = yaml.load(lines.slice(1, end).join('\n')) || {};
+      if (typeof frontMatter !== 'object' || Array.isArray(frontMatter)) {
+        throw new Error('Markdown front matter must be a YAML mapping (name, style, theme, ...)');
+      }
+      i = end + 1;
+    }
+  }
+
+  const slides = [];
+  let section = null;
+  let paragraph = [];
+  // Title slides take lines one by one (subtitle, date); elsewhere a paragraph is one bullet
+  const flushParagraph = () => {
+    if (paragraph.length > 0 && section) {
+      const texts = section.level === 1 ? paragraph : [paragraph.join(' ')];
+      section.paragraphs.push(...texts.map(inlineText));
+    }
+    paragraph = [];
+  };
+  const finish = () => {
+    flushParagraph();
+    if (section && section.title) {
+      slides.push(toSlide(section, warn));
+    } else if (section && (section.items.length || section.paragraphs.length || section.table)) {
+      warn(section.line, `line ${section.line}: content without a # or ## heading is skipped`);
+    }
+    section = null;
+  };
+  const ensureSection = lineNo => {
+    if (!section) section = { level: 0, title: '', line: lineNo, paragraphs: [], items: [], table: null, notes: [] };
+    return section;
+  };
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    const lineNo = i + 1;
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const close = lines.findIndex((l, k) => k > i && l.trim().startsWith(fence[1]));
+      const end = close === -1 ? lines.length : close;
+      const body = lines.slice(i + 1, end).join('\n');
+      if (NOTES_FENCE.test(fence[2])) {
+        flushParagraph();
+        ensureSection(lineNo).notes.push(body.trim());
+      } else {
+        warn(lineNo, `line ${lineNo}: code block skipped (slides have no code layout); use \`\`\`notes for speaker notes`);
+      }
+      i = end;
+      continue;
+    }
+    if (BREAK.test(line)) {
+      finish();
+      continue;
+    }
+    const heading = line.match(HEADING);
+    if (heading && heading[1].length <= 2) {
+      finish();
+      section = { level: heading[1].length, title: inlineText(heading[2]), line: lineNo, paragraphs: [], items: [], table: null, notes: [] };
+      continue;
+    }
+    if (TABLE_ROW.test(line)) {
+      flushParagraph();
+      const start = i;
+      while (i + 1 < lines.length && TABLE_ROW.test(lines[i + 1])) i++;
+      const table = parseTable(lines.slice(start, i + 1));
+      const target = ensureSection(start + 1);
+      if (!table) {
+        warn(start + 1, `line ${start + 1}: table without a |---| separator row skipped`);
+      } else if (target.table) {
+        warn(start + 1, `line ${start + 1}: second table on one slide skipped; separate slides with ---`);
+      } else {
+        target.table = table;
+      }
+      continue;
+    }
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      flushParagraph();
+      ensureSection(lineNo).items.push(item[1].trim());
+      continue;
+    }
+    if (line.trim() === '' || /^\s*<!--.*-->\s*$/.test(line)) {
+      flushParagraph();
+      continue;
+    }
+    ensureSection(lineNo);
+    // ### and deeper headings are plain text lines on the current slide
+    paragraph.push(heading ? heading[2] : line.trim());
+  }
+  finish();
+
+  if (frontMatter.slides) {
+    warn(1, 'line 1: front matter `slides` ignored; slides come from the markdown body');
+  }
+  const deck = { name: options.name, ...frontMatter, slides };
+  return { deck: JSON.parse(JSON.stringify(deck)), warnings };
+}
+
+// CLI: node lib/markdown-deck.cjs talk.md [--json]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  if (!file) {
+    console.log('Usage: node lib/markdown-deck.cjs talk.md [--json]');
+    console.log('Prints the deck config converted from a markdown outline (YAML, or JSON with --json).');
+    process.exit(1);
+  }
+  try {
+    const { deck, warnings } = markdownToDeck(fs.readFileSync(file, 'utf-8'), { name: path.basename(file, path.extname(file)) });
+    for (const warning of warnings) console.warn(`Warning: ${file}: ${warning.message}`);
+    process.stdout.write(args.includes('--json') ? `${JSON.stringify(deck, null, 2)}\n` : yaml.dump(deck, { lineWidth: 120 }));
+  } catch (err) {
+    console.error(`${file}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { markdownToDeck };
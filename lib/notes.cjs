@@ -0,0 +1,43 @@
+/**
+ * Speaker notes - converts a slide's `notes` markdown to presenter-notes text
+ *
+ * PowerPoint notes are plain text, so simple markdown is flattened:
+ *   # Heading        -> Heading
+ *   - item / * item  -> • item (indentation kept)
+ *   **bold**, *em*   -> bold, em
+ *   `code`           -> code
+ *   [text](url)      -> text (url)
+ */
+
+/**
+ * Remove inline emphasis and code markup: **bold**, __bold__, *em*, _em_, `code`
+ * (shared with lib/markdown-deck.cjs)
+ * @param {string} text
+ * @returns {string}
+ */
+function stripInlineMarkup(text) {
+  return text
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])([*_])(?!\s)(.+?)(?<!\s)\2(?![\w*])/g, '$1$3')
+    .replace(/`([^`]+)`/g, '$1');
+}
+
+/**
+ * @param {string} markdown
+ * @returns {string} plain text for the PPTX notes page ('' when empty)
+ */
+function markdownToNotes(markdown) {
+  if (!markdown) return '';
+
+  return String(markdown)
+    .split(/\r?\n/)
+    .map(line => stripInlineMarkup(line
+      .replace(/^\s*#{1,6}\s+/, '')
+      .replace(/^(\s*)[-*+]\s+/, '$1• ')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '$1 ($2)'))
+      .replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/^\n+|\n+$/g, '');
+}
+
+module.exports = { markdownToNotes, stripInlineMarkup };
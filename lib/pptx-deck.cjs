@@ -0,0 +1,539 @@
+/**
+ * PowerPoint importer - turns an existing .pptx into a deck config
+ *
+ * Legacy decks are restyled by importing their text and rebuilding it with a
+ * new style and AI backgrounds:
+ *   node lib/build-presentation.cjs --from-pptx legacy.pptx --style "warm minimalist"
+ *
+ * The .pptx (a zip of OOXML parts) is unpacked in memory. Per slide, in
+ * presentation order, the importer reads the title, the text of every other
+ * shape (with bullet levels), tables, charts (cached values) and the speaker
+ * notes, then picks the closest built-in slide type:
+ *   table        the slide has a table (header row -> columns)
+ *   data         the slide has a chart, or its text is 1-3 metrics ("$4.2M" + "Revenue")
+ *   closing      "Thank you" / "Questions" / "Contact" headings, or a last slide with contact details
+ *   title        a title layout, a heading alone (section header), or a short first slide
+ *   features     three heading + description groups
+ *   content      everything else; paragraphs become bullets
+ *
+ * Pictures, shapes without text, footers, dates and slide numbers are left
+ * out (the new backgrounds and brand kit replace them): footer placeholders,
+ * and short small-print text boxes along the top and bottom edges, such as a
+ * brand kit's footer, confidentiality label or page number. Hidden slides, slides
+ * without text and content that does not fit the chosen type are reported in
+ * `warnings`. Text is kept as written, so long legacy text may need editing
+ * before the deck passes validation - print the config to review it first:
+ *
+ * CLI: node lib/pptx-deck.cjs legacy.pptx [--json]   prints the deck config (YAML by default)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const yaml = require('js-yaml');
+
+// OOXML lengths are in EMU: 914400 per inch, 12700 per point
+const EMU_PER_PT = 12700;
+// Shapes whose tops are within this distance read as one row (left to right)
+const ROW_TOLERANCE_PT = 8;
+// Text boxes entirely within this fraction of the slide height from the top or bottom edge,
+// with at most two lines of CHROME_TEXT characters in at most CHROME_FONT pt, are footers and labels
+const EDGE_BAND = 0.1;
+const CHROME_TEXT = 40;
+const CHROME_FONT = 14;
+const DEFAULT_SLIDE_HEIGHT_PT = 405;
+const MAX_METRICS = 3;
+const MAX_COLUMNS = 8;
+const MAX_CONTACT_LINES = 4;
+const SHORT_LINE = 60;
+const FEATURE_TITLE = 28;
+const SKIPPED_PLACEHOLDERS = ['dt', 'ftr', 'sldNum', 'hdr', 'pic', 'chart', 'tbl', 'media', 'clipArt', 'sldImg'];
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+const CHART_KINDS = {
+  barChart: 'bar', bar3DChart: 'bar', areaChart: 'line', area3DChart: 'line',
+  lineChart: 'line', line3DChart: 'line', pieChart: 'pie', pie3DChart: 'pie',
+  ofPieChart: 'pie', doughnutChart: 'doughnut',
+};
+const METRIC_VALUE = /^[-+~]?[$€£¥]?\d[\d.,]*(?:\s?(?:%|[kKmMbBx]|bn|\+))*$/;
+const METRIC_LINE = /^([-+~]?[$€£¥]?\d[\d.,]*(?:\s?(?:%|[kKmMbBx]|bn|\+))*)\s*[-–—:]?\s+(\D.{0,39})$/;
+const SLIDE_NUMBER = /^(\d+)(\s*(\/|of)\s*\d+)?$/i;
+const CLOSING_HEADING = /\b(thank(s| you)|questions?|q\s?&\s?a|contact|get in touch)\b/i;
+const CONTACT_LINE = /@|https?:\/\/|www\.|\+?\d[\d\s().-]{6,}\d/;
+
+// === Zip ===
+
+/**
+ * Entries of a zip archive, inflated on first read
+ * @param {Buffer} buffer
+ * @returns {{names: string[], read: function(string): Buffer|null}}
+ */
+function openZip(buffer) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('not a .pptx file (no zip directory found)');
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('corrupt zip directory');
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      size: buffer.readUInt32LE(offset + 20),
+      local: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return {
+    names: [...entries.keys()],
+    read(name) {
+      const entry = entries.get(name);
+      if (!entry) return null;
+      if (entry.size === 0xffffffff || entry.local === 0xffffffff) throw new Error(`${name}: zip64 archives are not supported`);
+      const start = entry.local + 30 + buffer.readUInt16LE(entry.local + 26) + buffer.readUInt16LE(entry.local + 28);
+      const data = buffer.subarray(start, start + entry.size);
+      if (entry.method === 0) return data;
+      if (entry.method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`${name}: unsupported zip compression method ${entry.method}`);
+    },
+  };
+}
+
+// === XML ===
+
+function unescapeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function attr(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? unescapeXml(match[1]) : undefined;
+}
+
+// Top-level elements of one kind, e.g. every <p:sp>...</p:sp> of a slide
+function elements(xml, tag) {
+  return xml.match(new RegExp(`<${tag}\\b[^>]*?(?:/>|>[\\s\\S]*?</${tag}>)`, 'g')) || [];
+}
+
+/**
+ * Relationships of a part: id -> {type, target}, targets resolved to zip paths
+ */
+function readRels(zip, partPath) {
+  const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  const xml = zip.read(relsPath);
+  const rels = new Map();
+  if (!xml) return rels;
+  for (const tag of xml.toString('utf-8').match(/<Relationship\b[^>]*>/g) || []) {
+    const target = attr(tag, 'Target') || '';
+    rels.set(attr(tag, 'Id'), {
+      type: (attr(tag, 'Type') || '').split('/').pop(),
+      target: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target)),
+    });
+  }
+  return rels;
+}
+
+/**
+ * Paragraphs of a text body: text, bullet level, largest font size (pt) and
+ * whether it is a slide number field. With `lineBreaks`, line breaks (<a:br/>,
+ * or newlines inside the text as PptxGenJS writes notes) and indentation are kept.
+ */
+function readParagraphs(xml, { lineBreaks = false } = {}) {
+  return elements(xml, 'a:p').map(p => {
+    const raw = unescapeXml(
+      (p.match(/<a:t(?:\s[^>]*)?>[^<]*<\/a:t>|<a:br\/>|<a:tab\/>/g) || [])
+        .map(part => (part.startsWith('<a:t') ? part.replace(/<[^>]*>/g, '') : (part === '<a:br/>' && lineBreaks ? '\n' : ' ')))
+        .join('')
+    );
+    const text = lineBreaks
+      ? raw.split(/\r?\n|\r/).map(line => line.replace(/\s+$/, '')).join('\n').replace(/^\n+|\n+$/g, '')
+      : raw.replace(/\s+/g, ' ').trim();
+    const pPr = p.match(/<a:pPr\b[^>]*>/);
+    const sizes = (p.match(/<a:(?:rPr|endParaRPr)\b[^>]*\ssz="(\d+)"/g) || []).map(tag => Number(attr(tag, 'sz')) / 100);
+    return {
+      text,
+      level: Number((pPr && attr(pPr[0], 'lvl')) || 0),
+      size: sizes.length > 0 ? Math.max(...sizes) : null,
+      slideNumber: /<a:fld\b[^>]*\stype="slidenum"/.test(p),
+    };
+  }).filter(p => p.text);
+}
+
+/**
+ * Position and height (pt) of a shape; null when it inherits them from its layout
+ */
+function readPosition(xml) {
+  const off = xml.match(/<a:off\b[^>]*>/);
+  if (!off) return null;
+  const ext = xml.match(/<a:ext\b[^>]*\scy="\d+"[^>]*>/);
+  return {
+    x: Number(attr(off[0], 'x')) / EMU_PER_PT,
+    y: Number(attr(off[0], 'y')) / EMU_PER_PT,
+    h: ext ? Number(attr(ext[0], 'cy')) / EMU_PER_PT : 0,
+  };
+}
+
+/**
+ * Whether a text box is slide chrome: short small print in the top or bottom edge band
+ * (footer, confidentiality label, page number, company name)
+ */
+function isEdgeChrome(paragraphs, position, slideHeight) {
+  if (!position || paragraphs.length > 2) return false;
+  if (!paragraphs.every(p => p.text.length <= CHROME_TEXT && (p.size == null || p.size <= CHROME_FONT))) return false;
+  const band = slideHeight * EDGE_BAND;
+  return position.y + position.h <= band || position.y >= slideHeight - band;
+}
+
+function readTable(xml) {
+  return elements(xml, 'a:tr').map(tr => elements(tr, 'a:tc')
+    .filter(tc => !/\shMerge="1"/.test(tc.slice(0, tc.indexOf('>'))))
+    .map(tc => readParagraphs(tc).map(p => p.text).join(' ')));
+}
+
+/**
+ * Cached points of a data reference, indexed by `c:pt@idx` (sparse where points are missing)
+ * @returns {{points: string[], count: number}} count: the cache's `c:ptCount` (or the highest index + 1)
+ */
+function cachedPoints(xml) {
+  const points = [];
+  for (const pt of elements(xml || '', 'c:pt')) {
+    const v = pt.match(/<c:v>([^<]*)<\/c:v>/);
+    if (v) points[Number(attr(pt, 'idx'))] = unescapeXml(v[1]);
+  }
+  const ptCount = (xml || '').match(/<c:ptCount\b[^>]*>/);
+  return { points, count: Math.max(points.length, ptCount ? Number(attr(ptCount[0], 'val')) || 0 : 0) };
+}
+
+/**
+ * Chart spec (see schemas/deck.schema.json `chart`) from a chart part's cached values.
+ * Every series gets one value per category: missing points become 0 and points beyond
+ * the last category are dropped, each reported in `problems`.
+ * @returns {{chart: object|null, problems: string[]}} problems: why the chart was skipped or changed
+ */
+function readChart(xml) {
+  const plot = (xml.match(/<c:(\w+Chart)>/) || [])[1];
+  if (!plot) return { chart: null, problems: ['chart without a plot skipped'] };
+  const cached = [];
+  let categories = null;
+  for (const ser of elements(xml, 'c:ser')) {
+    const tx = ser.match(/<c:tx>([\s\S]*?)<\/c:tx>/);
+    const cat = ser.match(/<c:(?:cat|xVal)>([\s\S]*?)<\/c:(?:cat|xVal)>/);
+    const val = ser.match(/<c:(?:val|yVal)>([\s\S]*?)<\/c:(?:val|yVal)>/);
+    const values = cachedPoints(val && val[1]);
+    if (values.points.length === 0) continue;
+    if (!categories && cat) {
+      const labels = cachedPoints(cat[1]);
+      if (labels.count > 0) categories = Array.from({ length: labels.count }, (_, k) => labels.points[k] ?? '');
+    }
+    const name = tx && (tx[1].match(/<c:v>([^<]*)<\/c:v>/) || tx[1].match(/<a:t>([^<]*)<\/a:t>/));
+    cached.push({ name: name ? unescapeXml(name[1]) : `Series ${cached.length + 1}`, ...values });
+  }
+  if (cached.length === 0) return { chart: null, problems: [`${plot} without cached values skipped`] };
+  if (!categories) {
+    categories = Array.from({ length: Math.max(...cached.map(c => c.count)) }, (_, k) => String(k + 1));
+  }
+
+  const problems = [];
+  const series = cached.map(({ name, points }) => {
+    const values = categories.map((_, k) => (points[k] == null ? null : Number(points[k]) || 0));
+    const missing = values.filter(v => v === null).length;
+    const extra = points.slice(categories.length).filter(v => v != null).length;
+    if (missing > 0) problems.push(`chart series "${name}" has no value for ${missing} of ${categories.length} categories; imported as 0`);
+    if (extra > 0) problems.push(`chart series "${name}" has ${extra} value(s) beyond the ${categories.length} categories; dropped`);
+    return { name, values: values.map(v => v ?? 0) };
+  });
+  if (!CHART_KINDS[plot]) problems.push(`${plot} is not supported; imported as a bar chart`);
+  return { chart: { type: CHART_KINDS[plot] || 'bar', categories, series }, problems };
+}
+
+// === Slides ===
+
+/**
+ * Title, text blocks, tables, charts and notes of one slide part
+ * @param {number} number - 1-based slide number, to drop page numbers typed as text ("3 / 12")
+ * @param {number} slideHeight - in pt, for the edge bands footers and labels sit in
+ */
+function readSlide(zip, slidePath, number, slideHeight) {
+  const xml = zip.read(slidePath).toString('utf-8');
+  const rels = readRels(zip, slidePath);
+  const slide = {
+    hidden: /<p:sld\b[^>]*\sshow="0"/.test(xml), title: null, subtitle: false, blocks: [], tables: [], charts: [], pictures: 0, notes: null,
+  };
+
+  for (const sp of elements(xml, 'p:sp')) {
+    const ph = sp.match(/<p:ph\b[^>]*>/);
+    const phType = ph ? (attr(ph[0], 'type') || 'body') : null;
+    if (SKIPPED_PLACEHOLDERS.includes(phType)) continue;
+    const paragraphs = readParagraphs(sp).filter(p => !p.slideNumber && Number((p.text.match(SLIDE_NUMBER) || [])[1]) !== number);
+    if (paragraphs.length === 0) continue;
+    const position = readPosition(sp);
+    if (!phType && isEdgeChrome(paragraphs, position, slideHeight)) continue;
+    if (TITLE_PLACEHOLDERS.includes(phType) && !slide.title) {
+      slide.title = { text: paragraphs.map(p => p.text).join(' '), centered: phType === 'ctrTitle' };
+    } else {
+      slide.subtitle = slide.subtitle || phType === 'subTitle';
+      slide.blocks.push({ paragraphs, position });
+    }
+  }
+  for (const frame of elements(xml, 'p:graphicFrame')) {
+    if (frame.includes('<a:tbl>')) {
+      const rows = readTable(frame).filter(row => row.some(cell => cell));
+      if (rows.length > 0) slide.tables.push(rows);
+    }
+    const chartRef = frame.match(/<c:chart\b[^>]*\sr:id="([^"]+)"/);
+    const rel = chartRef && rels.get(chartRef[1]);
+    const chartXml = rel && zip.read(rel.target);
+    if (chartXml) slide.charts.push(readChart(chartXml.toString('utf-8')));
+  }
+  slide.pictures = elements(xml, 'p:pic').length;
+
+  const notesRel = [...rels.values()].find(rel => rel.type === 'notesSlide');
+  const notesXml = notesRel && zip.read(notesRel.target);
+  if (notesXml) {
+    const body = elements(notesXml.toString('utf-8'), 'p:sp')
+      .filter(sp => /<p:ph\b[^>]*\stype="body"/.test(sp))
+      .flatMap(sp => readParagraphs(sp, { lineBreaks: true }).map(p => `${'  '.repeat(p.level)}${p.level > 0 ? '- ' : ''}${p.text}`));
+    if (body.length > 0) slide.notes = body.join('\n');
+  }
+
+  // Reading order: rows top to bottom, left to right within a row (document order without positions)
+  if (slide.blocks.every(block => block.position)) {
+    slide.blocks.sort((a, b) => (Math.abs(a.position.y - b.position.y) > ROW_TOLERANCE_PT
+      ? a.position.y - b.position.y
+      : a.position.x - b.position.x));
+  }
+  // Without a title placeholder, the title is the block in the largest font (or the first one-liner);
+  // big numbers are metrics, not titles
+  if (!slide.title && slide.blocks.length > 0) {
+    const sized = slide.blocks.map(block => (block.paragraphs.every(p => METRIC_VALUE.test(p.text))
+      ? -1
+      : Math.max(...block.paragraphs.map(p => p.size || 0))));
+    const largest = Math.max(...sized);
+    let pick = sized.filter(size => size === largest).length === 1 && largest > 0 ? sized.indexOf(largest) : -1;
+    if (pick === -1 && slide.blocks[0].paragraphs.length === 1) pick = 0;
+    if (pick !== -1 && slide.blocks[pick].paragraphs.length <= 2) {
+      slide.title = { text: slide.blocks[pick].paragraphs.map(p => p.text).join(' '), centered: false };
+      slide.blocks.splice(pick, 1);
+    }
+  }
+  return slide;
+}
+
+/**
+ * Metrics in lines like "$4.2M Revenue", a value line followed by its label line,
+ * or a row of values above a row of labels
+ * @returns {{metrics: {value: string, label: string}[], rest: string[]}} rest: lines that are not part of a metric
+ */
+function readMetrics(lines) {
+  const half = lines.length / 2;
+  if (half >= 1 && half <= MAX_METRICS && lines.every((line, k) => METRIC_VALUE.test(line) === k < half)) {
+    return { metrics: lines.slice(0, half).map((value, k) => ({ value, label: lines[half + k] })), rest: [] };
+  }
+  const metrics = [];
+  const rest = [];
+  for (let i = 0; i < lines.length; i++) {
+    const inline = lines[i].match(METRIC_LINE);
+    if (METRIC_VALUE.test(lines[i]) && i + 1 < lines.length && !METRIC_VALUE.test(lines[i + 1])) {
+      metrics.push({ value: lines[i], label: lines[++i] });
+    } else if (inline) {
+      metrics.push({ value: inline[1], label: inline[2] });
+    } else {
+      rest.push(lines[i]);
+    }
+  }
+  return { metrics, rest };
+}
+
+/**
+ * Three {title, description} groups: one block per feature, or heading/description block pairs,
+ * or one list with three top-level items and their sub-items
+ */
+function readFeatures(blocks) {
+  const toFeature = ([head, ...rest]) => (head.text.length <= FEATURE_TITLE && rest.length > 0
+    ? { title: head.text, description: rest.map(p => p.text).join(' ') }
+    : null);
+  let groups = [];
+  if (blocks.length === 3) {
+    groups = blocks.map(block => block.paragraphs);
+  } else if (blocks.length === 6 && blocks.every(block => block.paragraphs.length === 1)) {
+    // Cards side by side read as a row of headings then a row of descriptions: pair them by column
+    const row = blocks.slice(0, 3);
+    const sideBySide = row.every(block => block.position && Math.abs(block.position.y - row[0].position.y) <= ROW_TOLERANCE_PT);
+    groups = sideBySide
+      ? row.map(head => {
+        const below = blocks.slice(3).reduce((best, block) => (Math.abs(block.position.x - head.position.x) < Math.abs(best.position.x - head.position.x) ? block : best));
+        return [...head.paragraphs, ...below.paragraphs];
+      })
+      : [0, 2, 4].map(k => [...blocks[k].paragraphs, ...blocks[k + 1].paragraphs]);
+  } else if (blocks.length === 1) {
+    for (const p of blocks[0].paragraphs) {
+      if (p.level === 0) groups.push([p]);
+      else if (groups.length > 0) groups[groups.length - 1].push(p);
+    }
+  }
+  const features = groups.map(toFeature);
+  return features.length === 3 && features.every(Boolean) ? features : null;
+}
+
+/**
+ * Closest slide type for one imported slide
+ * @returns {{slide: object, reason: string}|null} null when the slide has nothing to import
+ */
+function toSlide(source, { index, count }, warn) {
+  const at = `slide ${index + 1}`;
+  const lines = source.blocks.flatMap(block => block.paragraphs.map(p => p.text));
+  let title = source.title && source.title.text;
+  const notes = source.notes || undefined;
+
+  if (!title && lines.length === 0 && source.tables.length === 0 && source.charts.length === 0) {
+    warn(index, `${at}: no text to import${source.pictures > 0 ? ` (${source.pictures} picture${source.pictures > 1 ? 's' : ''})` : ''}; skipped`);
+    return null;
+  }
+  if (!title) {
+    title = lines.shift() || `Slide ${index + 1}`;
+    warn(index, `${at}: no title found; using "${title}"`);
+  }
+
+  if (source.tables.length > 0) {
+    if (source.tables.length > 1) warn(index, `${at}: ${source.tables.length} tables; only the first is imported`);
+    if (lines.length > 0) warn(index, `${at}: text next to the table is not imported`);
+    const [header, ...rows] = source.tables[0];
+    if (header.length > MAX_COLUMNS) warn(index, `${at}: table has ${header.length} columns; only the first ${MAX_COLUMNS} are imported`);
+    const width = Math.min(header.length, MAX_COLUMNS);
+    return {
+      slide: {
+        type: 'table',
+        title,
+        columns: header.slice(0, width),
+        rows: (rows.length > 0 ? rows : [header.map(() => '')]).map(row => Array.from({ length: width }, (_, k) => row[k] ?? '')),
+        notes,
+      },
+      reason: 'table',
+    };
+  }
+
+  for (const { problems } of source.charts) {
+    for (const problem of problems) warn(index, `${at}: ${problem}`);
+  }
+  const charts = source.charts.filter(c => c.chart);
+  const { metrics, rest } = readMetrics(lines);
+  const metricsOnly = metrics.length > 0 && metrics.length <= MAX_METRICS && rest.length === 0;
+  if (charts.length > 0 || metricsOnly) {
+    if (charts.length > 1) warn(index, `${at}: ${charts.length} charts; only the first is imported`);
+    if (metrics.length > MAX_METRICS) warn(index, `${at}: ${metrics.length} metrics; only the first ${MAX_METRICS} are imported`);
+    const [label, ...unused] = rest;
+    if (unused.length > 0) warn(index, `${at}: ${unused.length} line(s) of text next to the chart are not imported`);
+    return {
+      slide: {
+        type: 'data',
+        title,
+        metrics: metrics.length > 0 ? metrics.slice(0, MAX_METRICS) : undefined,
+        chartLabel: label,
+        chart: charts[0] && charts[0].chart,
+        notes,
+      },
+      reason: charts.length > 0 ? 'chart' : 'metrics',
+    };
+  }
+
+  const shortLines = lines.length <= MAX_CONTACT_LINES && lines.every(line => line.length <= SHORT_LINE);
+  const isLast = index === count - 1;
+  if (title.length <= 40 && shortLines && (CLOSING_HEADING.test(title) || (isLast && lines.some(line => CONTACT_LINE.test(line))))) {
+    return {
+      slide: { type: 'closing', heading: title, contactLines: lines.length > 0 ? lines : undefined, notes },
+      reason: CLOSING_HEADING.test(title) ? 'closing heading' : 'contact lines',
+    };
+  }
+
+  // Title layouts, section headers (a heading alone) and a first slide with at most two short lines
+  const firstSlide = index === 0 && lines.length <= 2 && shortLines;
+  if (source.title?.centered || source.subtitle || lines.length === 0 || firstSlide) {
+    if (lines.length > 2) warn(index, `${at}: ${lines.length - 2} line(s) after the subtitle and date are not imported`);
+    const [subtitle, date] = lines;
+    const reason = source.title?.centered || source.subtitle ? 'title layout' : (lines.length === 0 ? 'heading only' : 'first slide');
+    return { slide: { type: 'title', title, subtitle, date, notes }, reason };
+  }
+
+  const features = readFeatures(source.blocks);
+  if (features) {
+    return { slide: { type: 'features', title, features, notes }, reason: 'three heading + description groups' };
+  }
+
+  return { slide: { type: 'content', title, bullets: lines, notes }, reason: 'text' };
+}
+
+/**
+ * Convert a .pptx to a deck config
+ * @param {Buffer} buffer - .pptx file contents
+ * @param {{name?: string}} [options] - deck name (e.g. the file name)
+ * @returns {{deck: {name?: string, slides: object[]}, warnings: {slide: number, message: string}[],
+ *   mapping: {slide: number, part: string, type: string|null, reason: string}[]}} deck ready for
+ *   buildPresentation() once a style is added; mapping says which type each source slide became and why
+ * @throws {Error} when the file is not a readable .pptx
+ */
+function pptxToDeck(buffer, options = {}) {
+  const zip = openZip(buffer);
+  const presentation = zip.read('ppt/presentation.xml');
+  if (!presentation) throw new Error('not a PowerPoint file (ppt/presentation.xml missing)');
+
+  const size = presentation.toString('utf-8').match(/<p:sldSz\b[^>]*>/);
+  const slideHeight = size ? Number(attr(size[0], 'cy')) / EMU_PER_PT : DEFAULT_SLIDE_HEIGHT_PT;
+  const rels = readRels(zip, 'ppt/presentation.xml');
+  const parts = (presentation.toString('utf-8').match(/<p:sldId\b[^>]*>/g) || [])
+    .map(tag => rels.get(attr(tag, 'r:id')))
+    .filter(rel => rel && rel.type === 'slide' && zip.names.includes(rel.target))
+    .map(rel => rel.target);
+
+  const warnings = [];
+  const warn = (index, message) => warnings.push({ slide: index + 1, message });
+  const slides = [];
+  const mapping = [];
+  parts.forEach((part, index) => {
+    const source = readSlide(zip, part, index + 1, slideHeight);
+    if (source.hidden) {
+      warn(index, `slide ${index + 1}: hidden; skipped`);
+      mapping.push({ slide: index + 1, part, type: null, reason: 'hidden' });
+      return;
+    }
+    const result = toSlide(source, { index, count: parts.length }, warn);
+    mapping.push({ slide: index + 1, part, type: result ? result.slide.type : null, reason: result ? result.reason : 'no text' });
+    if (result) slides.push(result.slide);
+  });
+
+  const deck = { name: options.name, slides };
+  return { deck: JSON.parse(JSON.stringify(deck)), warnings, mapping };
+}
+
+// CLI: node lib/pptx-deck.cjs legacy.pptx [--json]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  if (!file) {
+    console.log('Usage: node lib/pptx-deck.cjs legacy.pptx [--json]');
+    console.log('Prints the deck config imported from a PowerPoint file (YAML, or JSON with --json).');
+    console.log('Add a style and rebuild: node lib/build-presentation.cjs --from-pptx legacy.pptx --style "<style>"');
+    process.exit(1);
+  }
+  try {
+    const { deck, warnings, mapping } = pptxToDeck(fs.readFileSync(file), { name: path.basename(file, path.extname(file)) });
+    for (const entry of mapping) {
+      console.warn(`Slide ${entry.slide} (${path.posix.basename(entry.part)}): ${entry.type || 'skipped'} - ${entry.reason}`);
+    }
+    for (const warning of warnings) console.warn(`Warning: ${file}: ${warning.message}`);
+    process.stdout.write(args.includes('--json') ? `${JSON.stringify(deck, null, 2)}\n` : yaml.dump(deck, { lineWidth: 120 }));
+  } catch (err) {
+    console.error(`${file}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { pptxToDeck, openZip };
@@ -0,0 +1,216 @@
+/**
+ * Procedural image provider - offline, deterministic backgrounds drawn with Sharp
+ *
+ * Implements the provider interface (see image-providers.cjs) without any
+ * network access, for tests and offline builds:
+ *   deck config: provider: procedural    CLI: --provider procedural
+ *
+ * The style prompt drives the result: hex codes and color words ("navy",
+ * "neon", "gold") form the palette, keywords pick the pattern (mesh gradient,
+ * noise/grain, or geometric shapes), and "dark"/"light" shift the tones.
+ * Reference images contribute their dominant colors. The same prompt, seed
+ * and references always give the same image.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const SIZES = {
+  '16:9': [1920, 1080],
+  '4:3': [1600, 1200],
+  '1:1': [1080, 1080],
+  '3:4': [1200, 1600],
+  '9:16': [1080, 1920],
+};
+
+const COLOR_WORDS = {
+  black: '#0b0b12', white: '#f4f4f8', gray: '#6b7280', grey: '#6b7280', silver: '#c0c4cc',
+  red: '#c62828', crimson: '#a3122a', orange: '#ef6c00', amber: '#ffb300', gold: '#d4a72c',
+  yellow: '#fdd835', lime: '#9ccc65', green: '#2e7d32', emerald: '#10b981', mint: '#7fe0c4',
+  teal: '#00897b', cyan: '#00bcd4', turquoise: '#1fbfb8', blue: '#1e5bd8', navy: '#0f1e4a',
+  indigo: '#3f3d9e', violet: '#7c4dff', purple: '#6a1b9a', magenta: '#d81b60', pink: '#ec4899',
+  rose: '#e11d48', coral: '#ff7f6e', peach: '#ffb38a', beige: '#d8c8a8', brown: '#6d4c41',
+  copper: '#b87333', bronze: '#8c6a3f', neon: '#39ff14', pastel: '#b8c8f0', sand: '#d9c7a0',
+};
+
+const PATTERN_KEYWORDS = {
+  geometric: /geometr|polygon|triang|hexagon|grid|lines|angular|low.?poly|isometric/i,
+  noise: /noise|grain|texture|film|paper|concrete|gritty/i,
+  mesh: /gradient|mesh|soft|blur|aurora|glow|fluid|smooth|bokeh/i,
+};
+const PATTERNS = Object.keys(PATTERN_KEYWORDS);
+
+function hashInt(text) {
+  return crypto.createHash('sha256').update(text).digest().readUInt32BE(0);
+}
+
+// mulberry32: small, seedable PRNG
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function rgbToHex([r, g, b]) {
+  return '#' + [r, g, b].map(v => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, '0')).join('');
+}
+
+function shade(hex, amount) {
+  const target = amount < 0 ? 0 : 255;
+  return rgbToHex(hexToRgb(hex).map(v => v + (target - v) * Math.abs(amount)));
+}
+
+function hslToHex(h, s, l) {
+  const a = s * Math.min(l, 1 - l);
+  const f = n => {
+    const k = (n + h / 30) % 12;
+    return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return rgbToHex([f(0), f(8), f(4)]);
+}
+
+/**
+ * Palette of 4 colors from the prompt (and reference colors)
+ */
+function palette(prompt, refColors) {
+  const found = [...refColors];
+  for (const hex of prompt.match(/#[0-9a-fA-F]{6}\b/g) || []) found.push(hex.toLowerCase());
+  for (const word of prompt.toLowerCase().match(/[a-z]+/g) || []) {
+    if (COLOR_WORDS[word]) found.push(COLOR_WORDS[word]);
+  }
+
+  // Fill up with analogous hues derived from the prompt text
+  const hue = hashInt(prompt) % 360;
+  for (let i = 0; found.length < 4; i++) {
+    found.push(hslToHex((hue + i * 35) % 360, 0.55, 0.45));
+  }
+
+  const tone = /\b(?:light|bright|pastel|airy|white)\b/i.test(prompt) ? 0.35 : (/\b(?:dark|night|moody|deep)\b/i.test(prompt) ? -0.45 : 0);
+  return [...new Set(found)].slice(0, 4).map(c => (tone ? shade(c, tone) : c));
+}
+
+function pickPattern(prompt, random) {
+  const matched = PATTERNS.filter(p => PATTERN_KEYWORDS[p].test(prompt));
+  const choices = matched.length > 0 ? matched : PATTERNS;
+  return choices[Math.floor(random() * choices.length)];
+}
+
+function baseGradient(width, height, colors) {
+  return `<defs>
+      <linearGradient id="base" x1="0%" y1="0%" x2="100%" y2="100%">
+        <stop offset="0%" stop-color="${colors[0]}"/>
+        <stop offset="100%" stop-color="${colors[1]}"/>
+      </linearGradient>
+      <radialGradient id="vignette" cx="50%" cy="50%" r="75%">
+        <stop offset="60%" stop-color="#000000" stop-opacity="0"/>
+        <stop offset="100%" stop-color="#000000" stop-opacity="0.45"/>
+      </radialGradient>
+    </defs>
+    <rect width="${width}" height="${height}" fill="url(#base)"/>`;
+}
+
+function meshLayer(width, height, colors, random) {
+  const blobs = [];
+  for (let i = 0; i < 6; i++) {
+    const r = height * (0.3 + random() * 0.4);
+    blobs.push(`<circle cx="${random() * width}" cy="${random() * height}" r="${r}" fill="${colors[i % colors.length]}" opacity="${0.35 + random() * 0.35}"/>`);
+  }
+  return `<filter id="soft" x="-50%" y="-50%" width="200%" height="200%"><feGaussianBlur stdDeviation="${height / 8}"/></filter>
+    <g filter="url(#soft)">${blobs.join('')}</g>`;
+}
+
+function noiseLayer(width, height, colors, random, seed) {
+  const frequency = (0.5 + random() * 0.4).toFixed(2);
+  return `${meshLayer(width, height, colors.slice(1), random)}
+    <filter id="grain"><feTurbulence type="fractalNoise" baseFrequency="${frequency}" numOctaves="3" seed="${seed % 10000}"/>
+      <feColorMatrix type="saturate" values="0"/></filter>
+    <rect width="${width}" height="${height}" filter="url(#grain)" opacity="0.18"/>`;
+}
+
+function geometricLayer(width, height, colors, random) {
+  const shapes = [];
+  for (let i = 0; i < 14; i++) {
+    const cx = random() * width;
+    const cy = random() * height;
+    const size = height * (0.15 + random() * 0.45);
+    const points = [0, 1, 2].map(k => {
+      const angle = random() * Math.PI * 2 / 3 + k * Math.PI * 2 / 3;
+      return `${(cx + Math.cos(angle) * size).toFixed(1)},${(cy + Math.sin(angle) * size).toFixed(1)}`;
+    }).join(' ');
+    shapes.push(`<polygon points="${points}" fill="${colors[i % colors.length]}" opacity="${(0.12 + random() * 0.3).toFixed(2)}"/>`);
+  }
+  for (let i = 0; i < 6; i++) {
+    const y = random() * height;
+    shapes.push(`<line x1="0" y1="${y}" x2="${width}" y2="${y + (random() - 0.5) * height}" stroke="${colors[3]}" stroke-opacity="0.25" stroke-width="2"/>`);
+  }
+  return shapes.join('');
+}
+
+/**
+ * Render one image as base64 PNG
+ */
+async function render(prompt, { aspectRatio = '16:9', seed, refColors = [] }) {
+  const usedSeed = seed ?? Math.floor(Math.random() * 2147483647);
+  const [width, height] = SIZES[aspectRatio] || SIZES['16:9'];
+  const random = rng(usedSeed ^ hashInt(prompt));
+  const colors = palette(prompt, refColors);
+  const pattern = pickPattern(prompt, random);
+
+  const layers = {
+    mesh: () => meshLayer(width, height, colors, random),
+    noise: () => noiseLayer(width, height, colors, random, usedSeed),
+    geometric: () => geometricLayer(width, height, colors, random),
+  };
+  const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    ${baseGradient(width, height, colors)}
+    ${layers[pattern]()}
+    <rect width="${width}" height="${height}" fill="url(#vignette)"/>
+  </svg>`;
+
+  const png = await sharp(Buffer.from(svg)).png().toBuffer();
+  return { success: true, images: [png.toString('base64')], seed: usedSeed };
+}
+
+module.exports = {
+  name: 'procedural',
+
+  async available() {
+    return { ok: true };
+  },
+
+  generate(prompt, opts = {}) {
+    return render(prompt, opts);
+  },
+
+  generateWithReferences(prompt, refs, opts = {}) {
+    return render(prompt, { ...opts, refColors: refs.flatMap(ref => ref.colors) });
+  },
+
+  async uploadReference(base64) {
+    try {
+      // stats() reads the input as-is, so flatten greyscale, alpha and CMYK references to sRGB pixels first
+      const { data, info } = await sharp(Buffer.from(base64, 'base64')).removeAlpha().toColourspace('srgb')
+        .raw().toBuffer({ resolveWithObject: true });
+      const { width, height, channels: bands } = info;
+      const { dominant, channels } = await sharp(data, { raw: { width, height, channels: bands } }).stats();
+      const mean = rgbToHex(channels.map(c => c.mean));
+      return { success: true, ref: { colors: [rgbToHex([dominant.r, dominant.g, dominant.b]), mean] } };
+    } catch (error) {
+      return { success: false, error: error.message, status: 400 };
+    }
+  },
+
+  model() {
+    return 'procedural-v1';
+  },
+};
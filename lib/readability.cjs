@@ -0,0 +1,216 @@
+/**
+ * Readability - background analysis and adaptive overlays
+ *
+ * Templates darken (or lighten) the background under their text with an
+ * overlay in the theme's overlay color. A fixed opacity is too weak on bright,
+ * busy images and needlessly heavy on dark ones, so before rendering each
+ * slide the orchestrator samples the background under the template's text
+ * region (registry `textRegion`, see template-registry.cjs) and picks:
+ *   - the lowest overlay opacity at which the text meets the WCAG contrast
+ *     target (4.5:1 by default) on 95% of the region's pixels
+ *   - the text color: the theme's, or - when that needs a much heavier
+ *     overlay or cannot reach the target - text and overlay colors swapped
+ *
+ * Deck config:
+ *   readability: { target: 4.5, minOpacity: 0.2, maxOpacity: 0.85 }
+ *   readability: false    (fixed theme overlays, no analysis)
+ *
+ * Contrast follows WCAG 2.x: relative luminance of sRGB colors, ratio
+ * (L1 + 0.05) / (L2 + 0.05). Overlays are blended in sRGB like CSS rgba().
+ */
+
+const fs = require('fs');
+const sharp = require('sharp');
+
+const { SLIDE_W, SLIDE_H } = require('./slide-templates.cjs');
+const { mergeTheme } = require('./themes.cjs');
+
+const DEFAULTS = { target: 4.5, minOpacity: 0.2, maxOpacity: 0.85 };
+const OPACITY_STEP = 0.05;
+// Share of the text region's pixels that must meet the target
+const COVERAGE = 0.95;
+// Swapped colors are used only when they save at least this much overlay opacity
+const SWAP_MARGIN = 0.2;
+// Accent colors below this contrast against the swapped overlay follow the text color
+const ACCENT_MIN_CONTRAST = 3;
+// Background sampled at 1 pixel per SAMPLE_PT points
+const SAMPLE_PT = 2;
+
+// sRGB channel (0-255) -> linear light
+const LINEAR = Array.from({ length: 256 }, (_, v) => {
+  const c = v / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+});
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.replace('#', ''), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function luminance([r, g, b]) {
+  return 0.2126 * LINEAR[Math.round(r)] + 0.7152 * LINEAR[Math.round(g)] + 0.0722 * LINEAR[Math.round(b)];
+}
+
+/**
+ * WCAG contrast ratio of two #rrggbb colors
+ * @returns {number} 1-21
+ */
+function contrastRatio(hexA, hexB) {
+  const a = luminance(hexToRgb(hexA));
+  const b = luminance(hexToRgb(hexB));
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+function round(value, digits = 2) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Settings from the deck's `readability` value
+ * @param {boolean|object} [value] - false disables; an object overrides DEFAULTS
+ * @returns {object|null} null when disabled
+ */
+function readabilitySettings(value) {
+  if (value === false) return null;
+  const settings = { ...DEFAULTS, ...(typeof value === 'object' && value ? value : {}) };
+  if (settings.minOpacity > settings.maxOpacity) {
+    throw new Error(`readability.minOpacity (${settings.minOpacity}) is above maxOpacity (${settings.maxOpacity})`);
+  }
+  return settings;
+}
+
+/**
+ * Sample the background under a text region, cropped like CSS `background-size: cover`
+ * @param {string} imagePath
+ * @param {{left: number, top: number, width: number, height: number}} region - in pt on the 720x405 slide
+ * @returns {Promise<{pixels: Uint8Array, count: number, luminance: {mean: number, p5: number, p95: number}, busyness: number}>}
+ *   RGB triplets; busyness is the luminance standard deviation (0 flat - 0.5 high contrast detail)
+ */
+async function sampleRegion(imagePath, region) {
+  const width = Math.round(SLIDE_W / SAMPLE_PT);
+  const height = Math.round(SLIDE_H / SAMPLE_PT);
+  const left = Math.max(0, Math.min(width - 1, Math.round(region.left / SAMPLE_PT)));
+  const top = Math.max(0, Math.min(height - 1, Math.round(region.top / SAMPLE_PT)));
+  const extract = {
+    left,
+    top,
+    width: Math.max(1, Math.min(width - left, Math.round(region.width / SAMPLE_PT))),
+    height: Math.max(1, Math.min(height - top, Math.round(region.height / SAMPLE_PT))),
+  };
+
+  // Read through a buffer: libvips caches file inputs, and backgrounds are rewritten in place (smart-crop.cjs)
+  const slide = await sharp(fs.readFileSync(imagePath))
+    .resize(width, height, { fit: 'cover', position: 'centre' })
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer();
+  const pixels = await sharp(slide, { raw: { width, height, channels: 3 } }).extract(extract).raw().toBuffer();
+
+  const count = pixels.length / 3;
+  const values = new Float64Array(count);
+  let sum = 0;
+  for (let i = 0; i < count; i++) {
+    values[i] = luminance([pixels[i * 3], pixels[i * 3 + 1], pixels[i * 3 + 2]]);
+    sum += values[i];
+  }
+  const mean = sum / count;
+  let variance = 0;
+  for (const v of values) variance += (v - mean) ** 2;
+  values.sort();
+
+  return {
+    pixels,
+    count,
+    luminance: { mean: round(mean, 3), p5: round(values[Math.floor(count * 0.05)], 3), p95: round(values[Math.floor(count * 0.95)], 3) },
+    busyness: round(Math.sqrt(variance / count), 3),
+  };
+}
+
+/**
+ * Contrast met by COVERAGE of the sampled pixels with the overlay applied
+ */
+function coveredContrast(sample, text, overlay, opacity) {
+  const textLum = luminance(hexToRgb(text));
+  const tint = hexToRgb(overlay).map(c => c * opacity);
+  const { pixels, count } = sample;
+  const ratios = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    const lum = luminance([
+      tint[0] + pixels[i * 3] * (1 - opacity),
+      tint[1] + pixels[i * 3 + 1] * (1 - opacity),
+      tint[2] + pixels[i * 3 + 2] * (1 - opacity),
+    ]);
+    ratios[i] = (Math.max(lum, textLum) + 0.05) / (Math.min(lum, textLum) + 0.05);
+  }
+  ratios.sort();
+  return ratios[Math.floor(count * (1 - COVERAGE))];
+}
+
+/**
+ * Lowest opacity meeting the target for one text/overlay pair,
+ * or the best result at maxOpacity when none does
+ */
+function fitOpacity(sample, text, overlay, settings) {
+  const steps = Math.round((settings.maxOpacity - settings.minOpacity) / OPACITY_STEP);
+  let contrast = 0;
+  let opacity = settings.minOpacity;
+  for (let step = 0; step <= steps; step++) {
+    opacity = round(Math.min(settings.maxOpacity, settings.minOpacity + step * OPACITY_STEP));
+    contrast = coveredContrast(sample, text, overlay, opacity);
+    if (contrast >= settings.target) {
+      return { text, overlay, opacity, contrast, meetsTarget: true };
+    }
+  }
+  return { text, overlay, opacity, contrast, meetsTarget: false };
+}
+
+/**
+ * Pick overlay opacity and text color for one slide
+ * @param {string} imagePath - slide background
+ * @param {{left: number, top: number, width: number, height: number, overlay: 'opacity'|'panelOpacity'}} region
+ * @param {object} theme - resolved deck theme
+ * @param {object} settings - from readabilitySettings()
+ * @returns {Promise<{textColor: string, overlayColor: string, opacity: number, overlay: string, contrast: number,
+ *   target: number, meetsTarget: boolean, swapped: boolean, luminance: object, busyness: number}>}
+ */
+async function assessReadability(imagePath, region, theme, settings) {
+  const sample = await sampleRegion(imagePath, region);
+  const own = fitOpacity(sample, theme.colors.text, theme.colors.overlay, settings);
+  const swapped = fitOpacity(sample, theme.colors.overlay, theme.colors.text, settings);
+
+  const useSwapped = swapped.meetsTarget
+    ? (!own.meetsTarget || own.opacity - swapped.opacity >= SWAP_MARGIN)
+    : (!own.meetsTarget && swapped.contrast > own.contrast);
+  const pick = useSwapped ? swapped : own;
+
+  return {
+    textColor: pick.text,
+    overlayColor: pick.overlay,
+    opacity: pick.opacity,
+    overlay: region.overlay || 'opacity',
+    contrast: round(pick.contrast),
+    target: settings.target,
+    meetsTarget: pick.meetsTarget,
+    swapped: useSwapped,
+    luminance: sample.luminance,
+    busyness: sample.busyness,
+  };
+}
+
+/**
+ * Deck theme with one slide's overlay opacity and colors applied
+ * @param {object} theme - resolved deck theme
+ * @param {object} assessment - from assessReadability()
+ * @returns {object} theme for this slide's template and brand elements
+ */
+function readableTheme(theme, assessment) {
+  const colors = { text: assessment.textColor, overlay: assessment.overlayColor };
+  if (assessment.swapped && contrastRatio(theme.colors.accent, assessment.overlayColor) < ACCENT_MIN_CONTRAST) {
+    colors.accent = assessment.textColor;
+  }
+  return mergeTheme(theme, { colors, overlay: { [assessment.overlay]: assessment.opacity } });
+}
+
+module.exports = { readabilitySettings, assessReadability, readableTheme, contrastRatio, sampleRegion };
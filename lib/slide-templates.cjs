@@ -1,38 +1,76 @@
 /**
  * Slide HTML templates for AI-background presentations
- * Each function returns an HTML string (720pt x 405pt, Arial, UTF-8)
+ * Each function returns an HTML string (720pt x 405pt, theme fonts, UTF-8)
  *
  * html2pptx rules:
  *   - body background-image → slide background
  *   - <div> with background/border → shape (no text, no bg-image)
  *   - <p>, <h1>-<h6>, <ul>, <ol> → text elements
  *   - class="placeholder" → extracted as chart/table areas
+ *
+ * Auto-fit (lib/autofit.cjs) passes `fit: { scale, titleLines }` in slide data:
+ * font sizes are multiplied by `scale`, and content below a wrapped title moves
+ * down by the extra title lines. `data-max-bottom` (pt) marks the lowest edge a
+ * text element may reach before auto-fit treats it as overflowing.
+ *
+ * Colors, fonts, overlay opacities and card styling come from the resolved
+ * theme passed as `theme` in slide data (lib/themes.cjs; default: dark).
+ *
+ * Custom templates registered via registerTemplate() can build on the exported
+ * wrapSlide(), fitParams(), rgba() and esc() helpers.
  */
 
+const DEFAULT_THEME = require('../themes/dark.json');
+
 const SLIDE_W = 720;
 const SLIDE_H = 405;
 
-function baseStyles() {
+// Table placeholder rectangle (pt) - shared with lib/tables.cjs for row fitting
+const TABLE_AREA = { top: 90, left: 32, width: 656, height: 275 };
+
+/**
+ * Font sizing and reflow helpers for a slide's auto-fit parameters
+ */
+function fitParams(fit) {
+  const scale = (fit && fit.scale) || 1;
+  const titleLines = (fit && fit.titleLines) || 1;
+  return {
+    pt: size => Math.round(size * scale * 10) / 10,
+    // Extra height taken by a title that wraps past its first line
+    titleShift: (fontSize, lineHeight) => Math.round((titleLines - 1) * fontSize * scale * lineHeight * 10) / 10,
+  };
+}
+
+/**
+ * CSS rgba() for a theme color (#rrggbb) at the given opacity
+ */
+function rgba(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${alpha})`;
+}
+
+function baseStyles(theme) {
   return `
     * { margin: 0; padding: 0; box-sizing: border-box; }
     body {
       width: ${SLIDE_W}pt;
       height: ${SLIDE_H}pt;
-      font-family: Arial, Helvetica, sans-serif;
-      color: #ffffff;
+      font-family: ${theme.fonts.body};
+      color: ${theme.colors.text};
       overflow: hidden;
       position: relative;
       background-size: cover;
       background-position: center;
     }
+    h1, h2 { font-family: ${theme.fonts.heading}; }
   `;
 }
 
-function wrapSlide(bgImagePath, overlayDivs, innerHtml, extraStyles) {
+function wrapSlide(bgImagePath, overlayDivs, innerHtml, extraStyles, theme = DEFAULT_THEME) {
   return `<!DOCTYPE html>
 <html lang="ru">
 <head><meta charset="UTF-8"><style>
-${baseStyles()}
+${baseStyles(theme)}
 ${extraStyles || ''}
 </style></head>
 <body style="background-image: url('${bgImagePath}');">
@@ -43,34 +81,38 @@ ${innerHtml}
 
 /**
  * Title slide - centered title, subtitle, date
- * Full dark overlay (0.45 opacity)
+ * Full-slide overlay (theme overlay opacity)
  */
-function titleSlide({ bgImage, title, subtitle, date }) {
+function titleSlide({ bgImage, title, subtitle, date, fit, theme = DEFAULT_THEME }) {
+  const { pt, titleShift } = fitParams(fit);
+  const dy = titleShift(38, 1.2);
   const extra = `
-    .overlay { position: absolute; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.45); }
-    h1 { position: absolute; top: 140pt; left: 60pt; width: 600pt; text-align: center; font-size: 38pt; font-weight: 700; line-height: 1.2; }
-    .subtitle { position: absolute; top: 200pt; left: 80pt; width: 560pt; text-align: center; font-size: 19pt; font-weight: 400; line-height: 1.4; color: rgba(255,255,255,0.9); }
-    .date { position: absolute; top: 260pt; left: 80pt; width: 560pt; text-align: center; font-size: 13pt; color: rgba(255,255,255,0.7); }
+    .overlay { position: absolute; top: 0; left: 0; width: 100%; height: 100%; background: ${rgba(theme.colors.overlay, theme.overlay.opacity)}; }
+    h1 { position: absolute; top: 140pt; left: 60pt; width: 600pt; text-align: center; font-size: ${pt(38)}pt; font-weight: 700; line-height: 1.2; }
+    .subtitle { position: absolute; top: ${200 + dy}pt; left: 80pt; width: 560pt; text-align: center; font-size: ${pt(19)}pt; font-weight: 400; line-height: 1.4; color: ${rgba(theme.colors.text, 0.9)}; }
+    .date { position: absolute; top: ${260 + dy}pt; left: 80pt; width: 560pt; text-align: center; font-size: ${pt(13)}pt; color: ${rgba(theme.colors.text, 0.7)}; }
   `;
   const inner = `
 <h1>${esc(title)}</h1>
 ${subtitle ? `<p class="subtitle">${esc(subtitle)}</p>` : ''}
 ${date ? `<p class="date">${esc(date)}</p>` : ''}
   `;
-  return wrapSlide(bgImage, '<div class="overlay"></div>', inner, extra);
+  return wrapSlide(bgImage, '<div class="overlay"></div>', inner, extra, theme);
 }
 
 /**
  * Content slide - title + bullet list
  * Left 65% overlay for text area
  */
-function contentSlide({ bgImage, title, bullets }) {
+function contentSlide({ bgImage, title, bullets, fit, theme = DEFAULT_THEME }) {
+  const { pt, titleShift } = fitParams(fit);
+  const dy = titleShift(26, 1.2);
   const extra = `
-    .overlay { position: absolute; top: 0; left: 0; width: 65%; height: 100%; background: rgba(0,0,0,0.45); }
-    h2 { position: absolute; top: 36pt; left: 32pt; width: 410pt; font-size: 26pt; font-weight: 700; line-height: 1.2; }
-    ul { position: absolute; top: 85pt; left: 32pt; width: 410pt; list-style: none; padding: 0; }
-    li { font-size: 15pt; line-height: 1.5; margin-bottom: 10pt; padding-left: 20pt; position: relative; }
-    li::before { content: "\\2022"; position: absolute; left: 0; color: rgba(255,255,255,0.7); }
+    .overlay { position: absolute; top: 0; left: 0; width: 65%; height: 100%; background: ${rgba(theme.colors.overlay, theme.overlay.opacity)}; }
+    h2 { position: absolute; top: 36pt; left: 32pt; width: 410pt; font-size: ${pt(26)}pt; font-weight: 700; line-height: 1.2; }
+    ul { position: absolute; top: ${85 + dy}pt; left: 32pt; width: 410pt; list-style: none; padding: 0; }
+    li { font-size: ${pt(15)}pt; line-height: 1.5; margin-bottom: ${pt(10)}pt; padding-left: 20pt; position: relative; }
+    li::before { content: "\\2022"; position: absolute; left: 0; color: ${rgba(theme.colors.accent, 0.7)}; }
   `;
   const bulletHtml = (bullets || [])
     .map(b => `  <li>${esc(b)}</li>`)
@@ -81,23 +123,22 @@ function contentSlide({ bgImage, title, bullets }) {
 ${bulletHtml}
 </ul>
   `;
-  return wrapSlide(bgImage, '<div class="overlay"></div>', inner, extra);
+  return wrapSlide(bgImage, '<div class="overlay"></div>', inner, extra, theme);
 }
 
 /**
  * Data slide - metrics on the left, chart placeholder on the right
  * Left column 42% overlay
  */
-function dataSlide({ bgImage, title, metrics, chartLabel }) {
+function dataSlide({ bgImage, title, metrics, chartLabel, fit, theme = DEFAULT_THEME }) {
+  const { pt, titleShift } = fitParams(fit);
+  const dy = titleShift(24, 1.2);
+  const metricTops = [85, 150, 215].map(top => top + dy);
   const extra = `
-    .overlay { position: absolute; top: 0; left: 0; width: 42%; height: 100%; background: rgba(0,0,0,0.50); }
-    h2 { position: absolute; top: 32pt; left: 28pt; width: 270pt; font-size: 24pt; font-weight: 700; line-height: 1.2; }
-    .m0-val { position: absolute; top: 85pt; left: 28pt; width: 270pt; font-size: 28pt; font-weight: 700; }
-    .m0-lbl { position: absolute; top: 115pt; left: 28pt; width: 270pt; font-size: 12pt; color: rgba(255,255,255,0.75); }
-    .m1-val { position: absolute; top: 150pt; left: 28pt; width: 270pt; font-size: 28pt; font-weight: 700; }
-    .m1-lbl { position: absolute; top: 180pt; left: 28pt; width: 270pt; font-size: 12pt; color: rgba(255,255,255,0.75); }
-    .m2-val { position: absolute; top: 215pt; left: 28pt; width: 270pt; font-size: 28pt; font-weight: 700; }
-    .m2-lbl { position: absolute; top: 245pt; left: 28pt; width: 270pt; font-size: 12pt; color: rgba(255,255,255,0.75); }
+    .overlay { position: absolute; top: 0; left: 0; width: 42%; height: 100%; background: ${rgba(theme.colors.overlay, theme.overlay.panelOpacity)}; }
+    h2 { position: absolute; top: 32pt; left: 28pt; width: 270pt; font-size: ${pt(24)}pt; font-weight: 700; line-height: 1.2; }
+    ${metricTops.map((top, i) => `.m${i}-val { position: absolute; top: ${top}pt; left: 28pt; width: 270pt; font-size: ${pt(28)}pt; font-weight: 700; color: ${theme.colors.accent}; }
+    .m${i}-lbl { position: absolute; top: ${top + 30}pt; left: 28pt; width: 270pt; font-size: ${pt(12)}pt; color: ${rgba(theme.colors.text, 0.75)}; }`).join('\n    ')}
     .placeholder {
       position: absolute; top: 60pt; left: 320pt; width: 370pt; height: 285pt;
       background: rgba(128,128,128,0.3); border-radius: 8pt;
@@ -116,26 +157,28 @@ function dataSlide({ bgImage, title, metrics, chartLabel }) {
 ${metricsHtml}
 <div class="placeholder" id="chart-area"></div>
   `;
-  return wrapSlide(bgImage, '<div class="overlay"></div>', inner, extra);
+  return wrapSlide(bgImage, '<div class="overlay"></div>', inner, extra, theme);
 }
 
 /**
  * Features slide - 3 cards on background
  * Upper band overlay for title
  */
-function featuresSlide({ bgImage, title, features }) {
+function featuresSlide({ bgImage, title, features, fit, theme = DEFAULT_THEME }) {
+  const { pt } = fitParams(fit);
+  const cardBg = rgba(theme.card.background, theme.card.opacity);
   const extra = `
-    .overlay { position: absolute; top: 0; left: 0; width: 100%; height: 80pt; background: rgba(0,0,0,0.50); }
-    h2 { position: absolute; top: 24pt; left: 32pt; width: 656pt; font-size: 24pt; font-weight: 700; text-align: center; line-height: 1.2; }
-    .card0 { position: absolute; top: 110pt; left: 32pt; width: 200pt; height: 250pt; background: rgba(255,255,255,0.92); border-radius: 8pt; }
-    .card1 { position: absolute; top: 110pt; left: 260pt; width: 200pt; height: 250pt; background: rgba(255,255,255,0.92); border-radius: 8pt; }
-    .card2 { position: absolute; top: 110pt; left: 488pt; width: 200pt; height: 250pt; background: rgba(255,255,255,0.92); border-radius: 8pt; }
-    .ct0 { position: absolute; top: 140pt; left: 48pt; width: 168pt; font-size: 14pt; font-weight: 700; color: #1a1a2e; text-align: center; }
-    .cd0 { position: absolute; top: 170pt; left: 48pt; width: 168pt; font-size: 11pt; line-height: 1.4; color: rgba(26,26,46,0.8); text-align: center; }
-    .ct1 { position: absolute; top: 140pt; left: 276pt; width: 168pt; font-size: 14pt; font-weight: 700; color: #1a1a2e; text-align: center; }
-    .cd1 { position: absolute; top: 170pt; left: 276pt; width: 168pt; font-size: 11pt; line-height: 1.4; color: rgba(26,26,46,0.8); text-align: center; }
-    .ct2 { position: absolute; top: 140pt; left: 504pt; width: 168pt; font-size: 14pt; font-weight: 700; color: #1a1a2e; text-align: center; }
-    .cd2 { position: absolute; top: 170pt; left: 504pt; width: 168pt; font-size: 11pt; line-height: 1.4; color: rgba(26,26,46,0.8); text-align: center; }
+    .overlay { position: absolute; top: 0; left: 0; width: 100%; height: 80pt; background: ${rgba(theme.colors.overlay, theme.overlay.panelOpacity)}; }
+    h2 { position: absolute; top: 24pt; left: 32pt; width: 656pt; font-size: ${pt(24)}pt; font-weight: 700; text-align: center; line-height: 1.2; }
+    .card0 { position: absolute; top: 110pt; left: 32pt; width: 200pt; height: 250pt; background: ${cardBg}; border-radius: ${theme.card.radius}pt; }
+    .card1 { position: absolute; top: 110pt; left: 260pt; width: 200pt; height: 250pt; background: ${cardBg}; border-radius: ${theme.card.radius}pt; }
+    .card2 { position: absolute; top: 110pt; left: 488pt; width: 200pt; height: 250pt; background: ${cardBg}; border-radius: ${theme.card.radius}pt; }
+    .ct0 { position: absolute; top: 140pt; left: 48pt; width: 168pt; font-size: ${pt(14)}pt; font-weight: 700; font-family: ${theme.fonts.heading}; color: ${theme.card.title}; text-align: center; }
+    .cd0 { position: absolute; top: 170pt; left: 48pt; width: 168pt; font-size: ${pt(11)}pt; line-height: 1.4; color: ${rgba(theme.card.text, 0.8)}; text-align: center; }
+    .ct1 { position: absolute; top: 140pt; left: 276pt; width: 168pt; font-size: ${pt(14)}pt; font-weight: 700; font-family: ${theme.fonts.heading}; color: ${theme.card.title}; text-align: center; }
+    .cd1 { position: absolute; top: 170pt; left: 276pt; width: 168pt; font-size: ${pt(11)}pt; line-height: 1.4; color: ${rgba(theme.card.text, 0.8)}; text-align: center; }
+    .ct2 { position: absolute; top: 140pt; left: 504pt; width: 168pt; font-size: ${pt(14)}pt; font-weight: 700; font-family: ${theme.fonts.heading}; color: ${theme.card.title}; text-align: center; }
+    .cd2 { position: absolute; top: 170pt; left: 504pt; width: 168pt; font-size: ${pt(11)}pt; line-height: 1.4; color: ${rgba(theme.card.text, 0.8)}; text-align: center; }
   `;
 
   const f = (features || []).slice(0, 3);
@@ -144,30 +187,31 @@ function featuresSlide({ bgImage, title, features }) {
   for (let i = 0; i < f.length; i++) {
     cardsHtml += `<div class="card${i}"></div>\n`;
     textsHtml += `<p class="ct${i}">${esc(f[i].title)}</p>\n`;
-    textsHtml += `<p class="cd${i}">${esc(f[i].description)}</p>\n`;
+    textsHtml += `<p class="cd${i}" data-max-bottom="352">${esc(f[i].description)}</p>\n`;
   }
 
   const inner = `
-<h2>${esc(title)}</h2>
+<h2 data-max-bottom="80">${esc(title)}</h2>
 ${cardsHtml}
 ${textsHtml}
   `;
-  return wrapSlide(bgImage, '<div class="overlay"></div>', inner, extra);
+  return wrapSlide(bgImage, '<div class="overlay"></div>', inner, extra, theme);
 }
 
 /**
  * Closing slide - centered "thank you" + contact info
- * Full dark overlay (0.45 opacity)
+ * Full-slide overlay (theme overlay opacity)
  */
-function closingSlide({ bgImage, heading, contactLines }) {
+function closingSlide({ bgImage, heading, contactLines, fit, theme = DEFAULT_THEME }) {
+  const { pt, titleShift } = fitParams(fit);
   const lines = contactLines || [];
   const lineCount = lines.length;
-  const startTop = 220;
+  const startTop = 220 + titleShift(36, 1.2);
 
   const extra = `
-    .overlay { position: absolute; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.45); }
-    h1 { position: absolute; top: 150pt; left: 60pt; width: 600pt; text-align: center; font-size: 36pt; font-weight: 700; line-height: 1.2; }
-    ${lines.map((_, i) => `.cl${i} { position: absolute; top: ${startTop + i * 28}pt; left: 80pt; width: 560pt; text-align: center; font-size: 15pt; color: rgba(255,255,255,0.85); line-height: 1.5; }`).join('\n    ')}
+    .overlay { position: absolute; top: 0; left: 0; width: 100%; height: 100%; background: ${rgba(theme.colors.overlay, theme.overlay.opacity)}; }
+    h1 { position: absolute; top: 150pt; left: 60pt; width: 600pt; text-align: center; font-size: ${pt(36)}pt; font-weight: 700; line-height: 1.2; }
+    ${lines.map((_, i) => `.cl${i} { position: absolute; top: ${startTop + i * pt(28)}pt; left: 80pt; width: 560pt; text-align: center; font-size: ${pt(15)}pt; color: ${rgba(theme.colors.text, 0.85)}; line-height: 1.5; }`).join('\n    ')}
   `;
 
   const linesHtml = lines
@@ -178,7 +222,29 @@ function closingSlide({ bgImage, heading, contactLines }) {
 <h1>${esc(heading || 'Thank you')}</h1>
 ${linesHtml}
   `;
-  return wrapSlide(bgImage, '<div class="overlay"></div>', inner, extra);
+  return wrapSlide(bgImage, '<div class="overlay"></div>', inner, extra, theme);
+}
+
+/**
+ * Table slide - title band + table placeholder
+ * Rows are emitted as a native table by lib/tables.cjs
+ */
+function tableSlide({ bgImage, title, fit, theme = DEFAULT_THEME }) {
+  const { pt } = fitParams(fit);
+  const extra = `
+    .overlay { position: absolute; top: 0; left: 0; width: 100%; height: 70pt; background: ${rgba(theme.colors.overlay, theme.overlay.panelOpacity)}; }
+    h2 { position: absolute; top: 20pt; left: 32pt; width: 656pt; font-size: ${pt(24)}pt; font-weight: 700; line-height: 1.2; }
+    .placeholder {
+      position: absolute; top: ${TABLE_AREA.top}pt; left: ${TABLE_AREA.left}pt;
+      width: ${TABLE_AREA.width}pt; height: ${TABLE_AREA.height}pt;
+      background: rgba(128,128,128,0.3); border-radius: 8pt;
+    }
+  `;
+  const inner = `
+<h2 data-max-bottom="70">${esc(title)}</h2>
+<div class="placeholder" id="table-area"></div>
+  `;
+  return wrapSlide(bgImage, '<div class="overlay"></div>', inner, extra, theme);
 }
 
 function esc(str) {
@@ -196,6 +262,13 @@ module.exports = {
   dataSlide,
   featuresSlide,
   closingSlide,
+  tableSlide,
+  // Helpers for custom templates (see lib/template-registry.cjs)
+  wrapSlide,
+  fitParams,
+  rgba,
+  esc,
   SLIDE_W,
   SLIDE_H,
+  TABLE_AREA,
 };
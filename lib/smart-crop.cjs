@@ -0,0 +1,118 @@
+/**
+ * Smart crop - fit generated backgrounds to the slide and keep busy areas off the text
+ *
+ * Providers return whatever size they like (DALL-E 3: 1792x1024, Whisk: close
+ * to 16:9), and prompts can only ask for "a darker left area". After each
+ * background is generated (or taken from the cache) it is:
+ *   1. resized to exact slide pixels (1920x1080), cropping what does not fit
+ *      by saliency ('attention', default), detail ('entropy') or from the center
+ *   2. optionally mirrored, when the flipped image puts less detail under the
+ *      template's text region (registry `textRegion`, e.g. the left 65% of a
+ *      content slide) - the busy part of the image moves to the other side
+ *
+ * Deck config:
+ *   crop: { strategy: attention, mirror: true }
+ *   crop: false    (backgrounds used as the provider returned them)
+ *
+ * The background cache keeps the provider's original image, so changing these
+ * settings reprocesses cached backgrounds instead of regenerating them.
+ */
+
+const fs = require('fs');
+const sharp = require('sharp');
+
+const { SLIDE_W, SLIDE_H } = require('./slide-templates.cjs');
+
+const SLIDE_PX = { width: 1920, height: 1080 };
+const STRATEGIES = {
+  attention: sharp.strategy.attention,
+  entropy: sharp.strategy.entropy,
+  center: 'centre',
+};
+const DEFAULTS = { strategy: 'attention', mirror: false };
+// Detail map resolution: 1 cell per DETAIL_PT points
+const DETAIL_PT = 4;
+// Mirror only when the text region gets at least this much less detail
+const MIRROR_GAIN = 0.15;
+
+/**
+ * Settings from the deck's `crop` value
+ * @param {boolean|object} [value] - false disables; an object overrides DEFAULTS
+ * @returns {{strategy: string, mirror: boolean}|null} null when disabled
+ */
+function cropSettings(value) {
+  if (value === false) return null;
+  const settings = { ...DEFAULTS, ...(typeof value === 'object' && value ? value : {}) };
+  if (!STRATEGIES[settings.strategy]) {
+    throw new Error(`Unknown crop strategy "${settings.strategy}" (expected ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+  return settings;
+}
+
+/**
+ * Gradient magnitude per cell of a greyscale thumbnail
+ * @returns {Promise<{cells: Float64Array, width: number, height: number}>}
+ */
+async function detailMap(image) {
+  const width = Math.round(SLIDE_W / DETAIL_PT);
+  const height = Math.round(SLIDE_H / DETAIL_PT);
+  const grey = await sharp(image).resize(width, height, { fit: 'fill' }).greyscale().raw().toBuffer();
+  const cells = new Float64Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const dx = x + 1 < width ? grey[i + 1] - grey[i] : 0;
+      const dy = y + 1 < height ? grey[i + width] - grey[i] : 0;
+      cells[i] = Math.abs(dx) + Math.abs(dy);
+    }
+  }
+  return { cells, width, height };
+}
+
+/**
+ * Mean detail inside a region (pt), optionally at its horizontally mirrored position
+ */
+function regionDetail({ cells, width, height }, region, mirrored) {
+  const left = mirrored ? SLIDE_W - region.left - region.width : region.left;
+  const x0 = Math.max(0, Math.floor(left / DETAIL_PT));
+  const x1 = Math.min(width, Math.ceil((left + region.width) / DETAIL_PT));
+  const y0 = Math.max(0, Math.floor(region.top / DETAIL_PT));
+  const y1 = Math.min(height, Math.ceil((region.top + region.height) / DETAIL_PT));
+  let sum = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) sum += cells[y * width + x];
+  }
+  return sum / Math.max(1, (x1 - x0) * (y1 - y0));
+}
+
+/**
+ * Resize a background to slide pixels in place, mirroring it when that clears the text region
+ * @param {string} filePath - PNG written by the provider (overwritten)
+ * @param {{strategy: string, mirror: boolean}} settings - from cropSettings()
+ * @param {{left: number, top: number, width: number, height: number}|null} [textRegion] - template text area (pt)
+ * @returns {Promise<{mirrored: boolean, detail?: {text: number, mirrored: number}}>} detail: mean gradient
+ *   under the text region as generated and at the mirrored position (when mirroring was considered)
+ */
+async function fitBackground(filePath, settings, textRegion) {
+  // Read through a buffer: libvips caches file inputs, and the same path is rewritten here
+  const input = await sharp(fs.readFileSync(filePath))
+    .resize(SLIDE_PX.width, SLIDE_PX.height, { fit: 'cover', position: STRATEGIES[settings.strategy] })
+    .png()
+    .toBuffer();
+
+  if (!settings.mirror || !textRegion) {
+    await sharp(input).toFile(filePath);
+    return { mirrored: false };
+  }
+
+  const map = await detailMap(input);
+  const detail = { text: regionDetail(map, textRegion, false), mirrored: regionDetail(map, textRegion, true) };
+  const mirrored = detail.mirrored < detail.text * (1 - MIRROR_GAIN);
+  await (mirrored ? sharp(input).flop() : sharp(input)).toFile(filePath);
+  return {
+    mirrored,
+    detail: { text: Math.round(detail.text * 10) / 10, mirrored: Math.round(detail.mirrored * 10) / 10 },
+  };
+}
+
+module.exports = { cropSettings, fitBackground, SLIDE_PX };
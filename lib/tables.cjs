@@ -0,0 +1,203 @@
+/**
+ * Native PowerPoint tables for table slides
+ *
+ * A table slide carries:
+ *   {
+ *     type: 'table',
+ *     title: 'Regional results',
+ *     columns: ['Region', { header: 'Revenue', align: 'right', width: 2 }],
+ *     rows: [['EMEA', '$1.2M'], ['APAC', '$0.9M']],
+ *     zebra: true,               // optional, default true
+ *     headerColor: '#1a1a2e',    // optional header fill
+ *     fontSize: 12,              // optional, disables font shrinking
+ *   }
+ *
+ * Rows are fitted into the template's table area (TABLE_AREA) before
+ * backgrounds are generated: the font shrinks from MAX_FONT to MIN_FONT,
+ * and rows that still do not fit continue on "<title> (cont.)" slides.
+ * Row heights are estimated from text length, so fitting is approximate.
+ * Header, row, zebra, text and border colors come from the theme's `table` section.
+ */
+
+const { TABLE_AREA } = require('./slide-templates.cjs');
+const { primaryFont } = require('./themes.cjs');
+const DEFAULT_THEME = require('../themes/dark.json');
+
+const MAX_FONT = 14;
+const MIN_FONT = 9;
+const LINE_HEIGHT = 1.2;
+const CHAR_WIDTH = 0.52; // average glyph width as a fraction of font size (Arial)
+
+// Cell margins in inches: [top, right, bottom, left]
+const CELL_MARGIN = [0.04, 0.08, 0.04, 0.08];
+
+const PT_PER_IN = 72;
+
+function toHex(color) {
+  return String(color).replace(/^#/, '').toUpperCase();
+}
+
+/**
+ * Normalize `columns` entries (string shorthand or object) to { header, align, width }
+ */
+function normalizeColumns(columns) {
+  return columns.map(col => (typeof col === 'string'
+    ? { header: col, align: 'left', width: 1 }
+    : { header: col.header, align: col.align || 'left', width: col.width || 1 }));
+}
+
+/**
+ * Column widths in inches, proportional to each column's `width` weight
+ */
+function columnWidths(columns, totalWidthIn) {
+  const total = columns.reduce((sum, c) => sum + c.width, 0);
+  return columns.map(c => (c.width / total) * totalWidthIn);
+}
+
+function estimateLines(text, fontSize, widthIn) {
+  const usablePt = (widthIn - CELL_MARGIN[1] - CELL_MARGIN[3]) * PT_PER_IN;
+  const charsPerLine = Math.max(1, Math.floor(usablePt / (fontSize * CHAR_WIDTH)));
+  return String(text).split('\n').reduce(
+    (lines, part) => lines + Math.max(1, Math.ceil(part.length / charsPerLine)),
+    0
+  );
+}
+
+function rowHeight(cells, fontSize, widths) {
+  const lines = Math.max(...cells.map((cell, i) => estimateLines(cell, fontSize, widths[i])));
+  return (lines * fontSize * LINE_HEIGHT) / PT_PER_IN + CELL_MARGIN[0] + CELL_MARGIN[2];
+}
+
+/**
+ * Pad rows to the column count; extra cells are dropped (deck validation reports them)
+ */
+function normalizeRows(spec, columnCount) {
+  return spec.rows.map(row => [
+    ...row.slice(0, columnCount).map(cell => (cell == null ? '' : String(cell))),
+    ...Array(Math.max(0, columnCount - row.length)).fill(''),
+  ]);
+}
+
+/**
+ * Split rows into pages that fit the table area at a given font size
+ */
+function paginateRows(header, rows, fontSize, widths, areaHeightIn) {
+  const headerH = rowHeight(header, fontSize, widths);
+  const pages = [];
+  let page = [];
+  let used = headerH;
+
+  for (const row of rows) {
+    const h = rowHeight(row, fontSize, widths);
+    if (page.length > 0 && used + h > areaHeightIn) {
+      pages.push(page);
+      page = [];
+      used = headerH;
+    }
+    page.push(row);
+    used += h;
+  }
+  pages.push(page);
+  return pages;
+}
+
+/**
+ * Choose a font size and split rows into pages for the table area
+ * @param {object} spec - table slide object
+ * @returns {{ fontSize: number, pages: string[][][] }}
+ */
+function fitTable(spec) {
+  const columns = normalizeColumns(spec.columns);
+  const widths = columnWidths(columns, TABLE_AREA.width / PT_PER_IN);
+  const areaHeightIn = TABLE_AREA.height / PT_PER_IN;
+  const header = columns.map(c => c.header);
+  const rows = normalizeRows(spec, columns.length);
+
+  if (spec.fontSize) {
+    return { fontSize: spec.fontSize, pages: paginateRows(header, rows, spec.fontSize, widths, areaHeightIn) };
+  }
+
+  for (let fontSize = MAX_FONT; fontSize >= MIN_FONT; fontSize--) {
+    const pages = paginateRows(header, rows, fontSize, widths, areaHeightIn);
+    if (pages.length === 1) return { fontSize, pages };
+  }
+  return { fontSize: MIN_FONT, pages: paginateRows(header, rows, MIN_FONT, widths, areaHeightIn) };
+}
+
+/**
+ * Expand table slides whose rows overflow into continuation slides.
+ * Each resulting table slide carries the rows it shows and a fixed `fontSize`;
+ * speaker notes and the slide's own `seed` stay on the first slide.
+ * @param {object[]} slides
+ * @returns {object[]}
+ */
+function paginateTableSlides(slides) {
+  const result = [];
+  for (const slide of slides) {
+    if (slide.type !== 'table' || !Array.isArray(slide.columns) || !Array.isArray(slide.rows)) {
+      result.push(slide);
+      continue;
+    }
+    const { fontSize, pages } = fitTable(slide);
+    const { seed, ...continuation } = slide;
+    pages.forEach((rows, i) => {
+      result.push({
+        ...(i === 0 ? slide : continuation),
+        title: i === 0 ? slide.title : `${slide.title} (cont.)`,
+        notes: i === 0 ? slide.notes : undefined,
+        rows,
+        fontSize,
+      });
+    });
+  }
+  return result;
+}
+
+/**
+ * Draw a table slide's rows as a native table inside a placeholder rectangle
+ * @param {object} slide - PptxGenJS slide returned by html2pptx
+ * @param {object} spec - table slide object (after paginateTableSlides)
+ * @param {{x: number, y: number, w: number, h: number}} rect - placeholder position in inches
+ * @param {object} [theme] - resolved theme (default: dark)
+ */
+function addTable(slide, spec, rect, theme = DEFAULT_THEME) {
+  const colors = theme.table;
+  const columns = normalizeColumns(spec.columns);
+  const widths = columnWidths(columns, rect.w);
+  const fontSize = spec.fontSize || fitTable(spec).fontSize;
+  const zebra = spec.zebra !== false;
+  const border = { type: 'solid', pt: 0.5, color: toHex(colors.border) };
+
+  const headerRow = columns.map(col => ({
+    text: col.header,
+    options: {
+      bold: true,
+      color: toHex(colors.headerText),
+      fill: { color: toHex(spec.headerColor || colors.header) },
+      align: col.align,
+    },
+  }));
+
+  const bodyRows = normalizeRows(spec, columns.length).map((row, r) => row.map((cell, c) => ({
+    text: cell,
+    options: {
+      color: toHex(colors.text),
+      fill: { color: toHex(zebra && r % 2 === 1 ? colors.zebra : colors.row) },
+      align: columns[c].align,
+    },
+  })));
+
+  slide.addTable([headerRow, ...bodyRows], {
+    x: rect.x,
+    y: rect.y,
+    w: rect.w,
+    colW: widths,
+    fontSize,
+    fontFace: primaryFont(theme.fonts.body),
+    valign: 'middle',
+    margin: CELL_MARGIN,
+    border,
+  });
+}
+
+module.exports = { addTable, fitTable, paginateTableSlides };
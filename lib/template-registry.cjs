@@ -0,0 +1,183 @@
+/**
+ * Slide template registry
+ *
+ * Every slide type - built-in or user-supplied - is registered here with:
+ *   render           (slideData) => HTML string (see slide-templates.cjs helpers)
+ *   bgInstruction    text appended to the background prompt for this type
+ *   schema           JSON Schema (subset, see deck-schema.cjs) for the slide object
+ *   fallbackGradient { from, via, to } colors for the offline gradient background,
+ *                    used when the theme has no gradient for the type
+ *   fit              auto-fit limits: { minScale, split } (see autofit.cjs)
+ *   textRegion       where the text sits on its overlay: { left, top, width, height } in pt and
+ *                    which theme opacity the overlay uses ('opacity' or 'panelOpacity');
+ *                    enables adaptive overlays (see readability.cjs)
+ *
+ * Custom layouts:
+ *   const { registerTemplate } = require('./lib/build-presentation.cjs');
+ *   registerTemplate('quote', { render: ({ bgImage, quote, theme }) => '...', bgInstruction: '...' });
+ *
+ * or a directory of modules, each exporting one definition (or an array) with a `type`:
+ *   node lib/build-presentation.cjs --config deck.yaml --templates ./my-templates
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const templates = require('./slide-templates.cjs');
+const DECK_SCHEMA = require('../schemas/deck.schema.json');
+
+const DEFAULT_FIT = { minScale: 0.8 };
+const TYPE_PATTERN = /^[a-z][a-z0-9-]*$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const registry = new Map();
+const loadedFiles = new Set();
+
+/**
+ * Register a slide type
+ * @param {string} type - slide `type` value (lowercase, e.g. "quote")
+ * @param {object} def
+ * @param {function(object): string} def.render - returns slide HTML
+ * @param {string} [def.bgInstruction] - background prompt hint
+ * @param {object} [def.schema] - slide object schema (default: any object)
+ * @param {{from: string, via: string, to: string}} [def.fallbackGradient] - hex colors
+ * @param {{minScale?: number, split?: string}} [def.fit] - auto-fit limits
+ * @param {{left: number, top: number, width: number, height: number, overlay?: 'opacity'|'panelOpacity'}} [def.textRegion]
+ *   - text area (pt) sampled for adaptive overlay opacity; without it the theme's fixed overlay is used
+ */
+function registerTemplate(type, def) {
+  if (typeof type !== 'string' || !TYPE_PATTERN.test(type)) {
+    throw new Error(`Invalid template type "${type}" (use lowercase letters, digits and dashes)`);
+  }
+  if (registry.has(type)) {
+    throw new Error(`Template "${type}" is already registered`);
+  }
+  if (!def || typeof def.render !== 'function') {
+    throw new Error(`Template "${type}" needs a render(slideData) function`);
+  }
+  const gradient = def.fallbackGradient;
+  if (gradient && !['from', 'via', 'to'].every(k => COLOR_PATTERN.test(gradient[k] || ''))) {
+    throw new Error(`Template "${type}" fallbackGradient needs #rrggbb colors for from, via and to`);
+  }
+  const region = def.textRegion;
+  if (region && !(['left', 'top', 'width', 'height'].every(k => typeof region[k] === 'number')
+    && ['opacity', 'panelOpacity', undefined].includes(region.overlay))) {
+    throw new Error(`Template "${type}" textRegion needs numeric left, top, width and height (pt) and overlay 'opacity' or 'panelOpacity'`);
+  }
+
+  registry.set(type, {
+    type,
+    render: def.render,
+    bgInstruction: def.bgInstruction || '',
+    schema: def.schema || { type: 'object' },
+    fallbackGradient: gradient || null,
+    fit: { ...DEFAULT_FIT, ...(def.fit || {}) },
+    textRegion: region ? { overlay: 'opacity', ...region } : null,
+  });
+}
+
+/**
+ * @param {string} type
+ * @returns {object|null} registered definition, or null for unknown types
+ */
+function getTemplate(type) {
+  return registry.get(type) || null;
+}
+
+function templateTypes() {
+  return [...registry.keys()];
+}
+
+/**
+ * Register every template module (.js/.cjs) in a directory
+ * Each module exports a definition with a `type` field, or an array of them.
+ * Files already loaded are skipped, so the same directory can be passed twice.
+ * @param {string} dir
+ * @returns {string[]} types registered by this call
+ */
+function loadTemplates(dir) {
+  const absDir = path.resolve(dir);
+  if (!fs.existsSync(absDir) || !fs.statSync(absDir).isDirectory()) {
+    throw new Error(`Templates directory not found: ${absDir}`);
+  }
+
+  const registered = [];
+  const files = fs.readdirSync(absDir)
+    .filter(f => f.endsWith('.js') || f.endsWith('.cjs'))
+    .sort();
+
+  for (const file of files) {
+    const filePath = path.join(absDir, file);
+    if (loadedFiles.has(filePath)) continue;
+
+    const exported = require(filePath);
+    const defs = Array.isArray(exported) ? exported : [exported];
+    for (const def of defs) {
+      if (!def || !def.type) {
+        throw new Error(`${filePath}: template module must export { type, render, ... } or an array of them`);
+      }
+      registerTemplate(def.type, def);
+      registered.push(def.type);
+    }
+    loadedFiles.add(filePath);
+  }
+  return registered;
+}
+
+// === Built-in templates ===
+// Their fallback gradients come from the theme (themes/*.json `gradients`)
+
+registerTemplate('title', {
+  render: templates.titleSlide,
+  bgInstruction: 'Central focal point, slightly darker edges, space for centered text',
+  schema: DECK_SCHEMA.definitions.titleSlide,
+  fit: { minScale: 0.7 },
+  textRegion: { left: 60, top: 130, width: 600, height: 160, overlay: 'opacity' },
+});
+
+registerTemplate('content', {
+  render: templates.contentSlide,
+  bgInstruction: 'Subtle, not distracting, darker left area for text overlay',
+  schema: DECK_SCHEMA.definitions.contentSlide,
+  fit: { minScale: 0.8, split: 'bullets' },
+  textRegion: { left: 24, top: 24, width: 444, height: 340, overlay: 'opacity' },
+});
+
+registerTemplate('data', {
+  render: templates.dataSlide,
+  bgInstruction: 'Clean, professional, muted tones, will not compete with charts',
+  schema: DECK_SCHEMA.definitions.dataSlide,
+  fit: { minScale: 0.8 },
+  textRegion: { left: 20, top: 24, width: 282, height: 270, overlay: 'panelOpacity' },
+});
+
+registerTemplate('features', {
+  render: templates.featuresSlide,
+  bgInstruction: 'Subtle pattern, even lighting for placing white cards on top',
+  schema: DECK_SCHEMA.definitions.featuresSlide,
+  fit: { minScale: 0.75 },
+  textRegion: { left: 32, top: 16, width: 656, height: 56, overlay: 'panelOpacity' },
+});
+
+registerTemplate('closing', {
+  render: templates.closingSlide,
+  bgInstruction: 'Warm, inviting, central focal point, space for centered text',
+  schema: DECK_SCHEMA.definitions.closingSlide,
+  fit: { minScale: 0.75 },
+  textRegion: { left: 60, top: 140, width: 600, height: 200, overlay: 'opacity' },
+});
+
+registerTemplate('table', {
+  render: templates.tableSlide,
+  bgInstruction: 'Calm, low contrast, even lighting, will sit behind a data table',
+  schema: DECK_SCHEMA.definitions.tableSlide,
+  fit: { minScale: 0.8 },
+  textRegion: { left: 32, top: 12, width: 656, height: 52, overlay: 'panelOpacity' },
+});
+
+module.exports = {
+  registerTemplate,
+  getTemplate,
+  templateTypes,
+  loadTemplates,
+};
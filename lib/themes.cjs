@@ -0,0 +1,109 @@
+/**
+ * Themes - fonts, colors, overlay strength, card/chart/table styling and
+ * fallback gradients shared by every slide template
+ *
+ * Built-in themes live in themes/*.json (dark, light, corporate). A theme can
+ * be referenced by name, by path to a JSON file, or passed as an object.
+ * User themes start from `extends` (default "dark") and override only the
+ * values they set; the merged result is validated against
+ * schemas/theme.schema.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const THEME_SCHEMA = require('../schemas/theme.schema.json');
+const { validateValue, formatIssue } = require('./deck-schema.cjs');
+
+const THEMES_DIR = path.resolve(__dirname, '..', 'themes');
+const DEFAULT_THEME = 'dark';
+
+function builtinThemeNames() {
+  return fs.readdirSync(THEMES_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => path.basename(f, '.json'))
+    .sort();
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge `override` into `base`; arrays and scalars replace
+ */
+function mergeTheme(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeTheme(base[key], value) : value;
+  }
+  return result;
+}
+
+function checkTheme(theme, label) {
+  const issues = validateValue(theme, THEME_SCHEMA, '', THEME_SCHEMA);
+  if (issues.length > 0) {
+    throw new Error(`Invalid theme ${label}: ${issues.map(formatIssue).join('; ')}`);
+  }
+  return theme;
+}
+
+function loadBuiltinTheme(name) {
+  const filePath = path.join(THEMES_DIR, `${name}.json`);
+  return checkTheme(JSON.parse(fs.readFileSync(filePath, 'utf-8')), `"${name}"`);
+}
+
+/**
+ * First family of a CSS font-family list, as PowerPoint's fontFace
+ * (matches how html2pptx maps rendered text)
+ */
+function primaryFont(fontFamily) {
+  return fontFamily.split(',')[0].replace(/['"]/g, '').trim();
+}
+
+/**
+ * Resolve a theme reference to a complete, validated theme object
+ * @param {string|object} [theme] - built-in name, path to a .json file, or theme object
+ *   (default: "dark")
+ * @returns {object} theme matching schemas/theme.schema.json
+ */
+function resolveTheme(theme) {
+  if (theme == null) {
+    return loadBuiltinTheme(DEFAULT_THEME);
+  }
+
+  let userTheme = theme;
+  let label = 'object';
+  if (typeof theme === 'string') {
+    if (builtinThemeNames().includes(theme)) {
+      return loadBuiltinTheme(theme);
+    }
+    const filePath = path.resolve(theme);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Unknown theme "${theme}" (built-in: ${builtinThemeNames().join(', ')}, or a path to a .json file)`);
+    }
+    try {
+      userTheme = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (err) {
+      throw new Error(`${filePath}: ${err.message}`);
+    }
+    label = filePath;
+  }
+
+  if (!isPlainObject(userTheme)) {
+    throw new Error(`Invalid theme ${label}: must be an object`);
+  }
+
+  const baseName = userTheme.extends || DEFAULT_THEME;
+  if (!builtinThemeNames().includes(baseName)) {
+    throw new Error(`Invalid theme ${label}: extends unknown theme "${baseName}"`);
+  }
+  const merged = mergeTheme(loadBuiltinTheme(baseName), userTheme);
+  if (!userTheme.name) {
+    merged.name = typeof theme === 'string' ? path.basename(theme, '.json') : `${baseName}-custom`;
+  }
+  delete merged.extends;
+  return checkTheme(merged, label);
+}
+
+module.exports = { resolveTheme, builtinThemeNames, mergeTheme, primaryFont, THEMES_DIR };
@@ -1,6 +1,15 @@
 /**
  * Whisk API client - CJS port from whisk-proxy TypeScript source
  * Provides image generation via Google Whisk (IMAGEN 3.5, GEM_PIX, R2I)
+ *
+ * Failed requests return { success: false, error, status?, retryAfterMs? };
+ * classifyFailure() sorts them into FAILURE kinds and withRetry() retries the
+ * retryable ones (429, 5xx, network errors) with exponential backoff.
+ *
+ * The token comes from WHISK_TOKEN (a bare access token), else from a token
+ * file: `tokenFile` option, WHISK_TOKEN_FILE, or ~/.whisk-proxy/token.json.
+ * tokenStatus() says why a token is unusable; `node lib/whisk-client.cjs
+ * status` prints it.
  */
 
 const fs = require('fs');
@@ -9,6 +18,19 @@ const os = require('os');
 
 const TOKEN_FILE = path.join(os.homedir(), '.whisk-proxy', 'token.json');
 
+// Tokens with less time left than this are reported as expiring soon
+const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+
+const TOKEN_STATE = {
+  OK: 'ok',
+  EXPIRING: 'expiring-soon',
+  EXPIRED: 'expired',
+  MISSING: 'missing',
+  INVALID: 'invalid',
+};
+
+const REFRESH_HINT = 'run /opt/homebrew/bin/whisk to sign in again';
+
 const ENDPOINTS = {
   generate: 'https://aisandbox-pa.googleapis.com/v1/whisk:generateImage',
   recipe: 'https://aisandbox-pa.googleapis.com/v1/whisk:runImageRecipe',
@@ -33,18 +55,75 @@ const ASPECT_RATIO_MAP = {
   IMAGE_ASPECT_RATIO_PORTRAIT: 'IMAGE_ASPECT_RATIO_PORTRAIT',
 };
 
+const FAILURE = {
+  RETRYABLE: 'retryable',
+  AUTH: 'auth',
+  CONTENT_POLICY: 'content-policy',
+  OTHER: 'other',
+};
+
+// Markers in Whisk error bodies for prompts/images rejected by safety filters
+const CONTENT_POLICY_PATTERN = /UNSAFE|SAFETY|POLICY|BLOCKED|PROHIBITED/i;
+
+const RETRY_DEFAULTS = {
+  retries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+/**
+ * Model used for a request with refCount reference images
+ * @param {number} refCount
+ * @returns {string}
+ */
+function imageModelFor(refCount) {
+  if (refCount === 0) return MODELS.default;
+  return refCount === 1 ? MODELS.refSingle : MODELS.refMultiple;
+}
+
 function normalizeAspectRatio(ratio) {
   return ASPECT_RATIO_MAP[ratio] || 'IMAGE_ASPECT_RATIO_SQUARE';
 }
 
-function makeSessionId() {
-  return ';' + Date.now();
+// A fixed seed also fixes the session, so a seeded request is fully reproducible
+function makeSessionId(seed) {
+  return ';' + (seed ?? Date.now());
 }
 
 function makeSeed() {
   return Math.floor(Math.random() * 2147483647);
 }
 
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Retry-After header (seconds or HTTP date) in milliseconds
+ * @param {string|null} value
+ * @returns {number|undefined}
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return undefined;
+}
+
+/**
+ * Failure result for a non-OK HTTP response
+ */
+function httpFailure(response, error) {
+  return {
+    success: false,
+    error,
+    status: response.status,
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+  };
+}
+
 function authHeaders(token) {
   return {
     Authorization: `Bearer ${token}`,
@@ -53,27 +132,72 @@ function authHeaders(token) {
   };
 }
 
+function formatMinutes(ms) {
+  const minutes = Math.round(Math.abs(ms) / 60000);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
 /**
- * Load and validate Whisk token from ~/.whisk-proxy/token.json
- * @returns {{ accessToken: string, expiresAt: number } | null}
+ * Where the token comes from and whether it is usable
+ *   ok            - valid (expiresAt is null for WHISK_TOKEN, whose expiry is unknown)
+ *   expiring-soon - valid for less than 5 minutes; a long build may outlive it
+ *   expired, missing, invalid (unreadable JSON or no accessToken/expiresAt) - unusable
+ * @param {{ tokenFile?: string }} [options] - token file (default: WHISK_TOKEN_FILE or ~/.whisk-proxy/token.json)
+ * @returns {{ state: string, usable: boolean, source: 'env'|'file', file: string|null,
+ *   expiresAt: number|null, message: string, accessToken?: string }}
  */
-function loadToken() {
+function tokenStatus(options = {}) {
+  if (!options.tokenFile && process.env.WHISK_TOKEN) {
+    return {
+      state: TOKEN_STATE.OK, usable: true, source: 'env', file: null, expiresAt: null,
+      message: 'Whisk token from WHISK_TOKEN (expiry unknown)', accessToken: process.env.WHISK_TOKEN,
+    };
+  }
+
+  const file = options.tokenFile || process.env.WHISK_TOKEN_FILE || TOKEN_FILE;
+  const status = (state, message, extra = {}) => ({
+    state,
+    usable: state === TOKEN_STATE.OK || state === TOKEN_STATE.EXPIRING,
+    source: 'file',
+    file,
+    expiresAt: null,
+    message,
+    ...extra,
+  });
+
+  if (!fs.existsSync(file)) {
+    return status(TOKEN_STATE.MISSING, `No Whisk token at ${file}: ${REFRESH_HINT}`);
+  }
+  let data;
   try {
-    if (!fs.existsSync(TOKEN_FILE)) {
-      return null;
-    }
-    const data = JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf-8'));
-    if (!data.accessToken || !data.expiresAt) {
-      return null;
-    }
-    // Require at least 5 minutes remaining
-    if (data.expiresAt < Date.now() + 300000) {
-      return null;
-    }
-    return { accessToken: data.accessToken, expiresAt: data.expiresAt };
-  } catch {
-    return null;
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    return status(TOKEN_STATE.INVALID, `Whisk token file ${file} is not valid JSON (${err.message}): ${REFRESH_HINT}`);
+  }
+  if (!data || !data.accessToken || !Number.isFinite(data.expiresAt)) {
+    return status(TOKEN_STATE.INVALID, `Whisk token file ${file} lacks accessToken/expiresAt: ${REFRESH_HINT}`);
+  }
+
+  const remaining = data.expiresAt - Date.now();
+  const token = { expiresAt: data.expiresAt, accessToken: data.accessToken };
+  if (remaining <= 0) {
+    return status(TOKEN_STATE.EXPIRED, `Whisk token expired ${formatMinutes(remaining)} ago (${file}): ${REFRESH_HINT}`,
+      { expiresAt: data.expiresAt });
+  }
+  if (remaining < EXPIRY_WARNING_MS) {
+    return status(TOKEN_STATE.EXPIRING, `Whisk token expires in ${formatMinutes(remaining)} (${file}); refresh it before long builds`, token);
   }
+  return status(TOKEN_STATE.OK, `Whisk token valid for ${formatMinutes(remaining)} (${file})`, token);
+}
+
+/**
+ * Load the Whisk token (see tokenStatus() for sources and why it may be null)
+ * @param {{ tokenFile?: string }} [options]
+ * @returns {{ accessToken: string, expiresAt: number|null } | null}
+ */
+function loadToken(options = {}) {
+  const status = tokenStatus(options);
+  return status.usable ? { accessToken: status.accessToken, expiresAt: status.expiresAt } : null;
 }
 
 /**
@@ -81,23 +205,25 @@ function loadToken() {
  * @param {string} prompt
  * @param {string} aspectRatio - e.g. "16:9", "1:1"
  * @param {string} accessToken
- * @returns {Promise<{ success: boolean, images?: string[], error?: string }>}
+ * @param {{ seed?: number }} [options] - fixed seed (default: random)
+ * @returns {Promise<{ success: boolean, images?: string[], seed?: number, error?: string }>}
  */
-async function generateImage(prompt, aspectRatio, accessToken) {
+async function generateImage(prompt, aspectRatio, accessToken, options = {}) {
+  const seed = options.seed ?? makeSeed();
   try {
     const payload = {
       clientContext: {
         workflowId: '',
         tool: 'BACKBONE',
-        sessionId: makeSessionId(),
+        sessionId: makeSessionId(options.seed),
       },
       imageModelSettings: {
-        imageModel: MODELS.default,
+        imageModel: imageModelFor(0),
         aspectRatio: normalizeAspectRatio(aspectRatio),
       },
       prompt,
       mediaCategory: 'MEDIA_CATEGORY_BOARD',
-      seed: makeSeed(),
+      seed,
     };
 
     const response = await fetch(ENDPOINTS.generate, {
@@ -108,7 +234,7 @@ async function generateImage(prompt, aspectRatio, accessToken) {
 
     if (!response.ok) {
       const errorText = await response.text();
-      return { success: false, error: `HTTP ${response.status}: ${errorText}` };
+      return httpFailure(response, `HTTP ${response.status}: ${errorText}`);
     }
 
     const data = await response.json();
@@ -116,10 +242,10 @@ async function generateImage(prompt, aspectRatio, accessToken) {
 
     if (panels.length > 0 && panels[0].generatedImages?.length > 0) {
       const images = panels[0].generatedImages.map(img => img.encodedImage);
-      return { success: true, images };
+      return { success: true, images, seed };
     }
 
-    return { success: false, error: 'No image data in response' };
+    return { success: false, error: 'No image data in response', status: response.status };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -154,7 +280,7 @@ async function uploadReference(base64Data, category, accessToken) {
     });
 
     if (!response.ok) {
-      return { success: false, error: `Upload HTTP ${response.status}` };
+      return httpFailure(response, `Upload HTTP ${response.status}`);
     }
 
     const data = await response.json();
@@ -163,7 +289,7 @@ async function uploadReference(base64Data, category, accessToken) {
     if (mediaId) {
       return { success: true, mediaId };
     }
-    return { success: false, error: 'No Media ID returned' };
+    return { success: false, error: 'No Media ID returned', status: response.status };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -201,7 +327,7 @@ async function getCaptionForImage(base64Data, category, accessToken) {
     });
 
     if (!response.ok) {
-      return { success: false, error: `Caption HTTP ${response.status}` };
+      return httpFailure(response, `Caption HTTP ${response.status}`);
     }
 
     const data = await response.json();
@@ -222,9 +348,11 @@ async function getCaptionForImage(base64Data, category, accessToken) {
  * @param {string} aspectRatio
  * @param {string} accessToken
  * @param {{ category: string, mediaId: string, caption?: string }[]} references
- * @returns {Promise<{ success: boolean, images?: string[], error?: string }>}
+ * @param {{ seed?: number }} [options] - fixed seed (default: random)
+ * @returns {Promise<{ success: boolean, images?: string[], seed?: number, error?: string }>}
  */
-async function generateWithReference(prompt, aspectRatio, accessToken, references) {
+async function generateWithReference(prompt, aspectRatio, accessToken, references, options = {}) {
+  const seed = options.seed ?? makeSeed();
   try {
     const recipeMediaInputs = references.map(ref => ({
       caption: ref.caption || '',
@@ -238,15 +366,15 @@ async function generateWithReference(prompt, aspectRatio, accessToken, reference
       clientContext: {
         workflowId: '',
         tool: 'BACKBONE',
-        sessionId: makeSessionId(),
+        sessionId: makeSessionId(options.seed),
       },
       imageModelSettings: {
-        imageModel: references.length === 1 ? MODELS.refSingle : MODELS.refMultiple,
+        imageModel: imageModelFor(references.length),
         aspectRatio: normalizeAspectRatio(aspectRatio),
       },
       userInstruction: prompt,
       recipeMediaInputs,
-      seed: makeSeed(),
+      seed,
     };
 
     const response = await fetch(ENDPOINTS.recipe, {
@@ -257,7 +385,7 @@ async function generateWithReference(prompt, aspectRatio, accessToken, reference
 
     if (!response.ok) {
       const errorText = await response.text();
-      return { success: false, error: `HTTP ${response.status}: ${errorText}` };
+      return httpFailure(response, `HTTP ${response.status}: ${errorText}`);
     }
 
     const data = await response.json();
@@ -265,10 +393,10 @@ async function generateWithReference(prompt, aspectRatio, accessToken, reference
 
     if (panels.length > 0 && panels[0].generatedImages?.length > 0) {
       const images = panels[0].generatedImages.map(img => img.encodedImage);
-      return { success: true, images };
+      return { success: true, images, seed };
     }
 
-    return { success: false, error: 'No image data in response' };
+    return { success: false, error: 'No image data in response', status: response.status };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -292,7 +420,61 @@ async function uploadAndAnalyze(base64Data, category, accessToken) {
   if (uploadResult.success) {
     return { success: true, mediaId: uploadResult.mediaId, caption };
   }
-  return { success: false, error: uploadResult.error };
+  return uploadResult;
+}
+
+/**
+ * Classify a failed request result, by HTTP status first
+ *   auth           - 401/403: token expired or revoked
+ *   retryable      - 408, 429, 5xx or a network error (no HTTP status)
+ *   content-policy - prompt or image rejected by safety filters (a 400, or no
+ *                    status, whose error text names a policy block)
+ *   other          - anything else (not retried)
+ * @param {{ error?: string, status?: number }} result
+ * @returns {string} one of FAILURE
+ */
+function classifyFailure(result) {
+  const { status, error = '' } = result;
+  if (status === 401 || status === 403) return FAILURE.AUTH;
+  if (status === 408 || status === 429 || status >= 500) return FAILURE.RETRYABLE;
+  if ((status === undefined || status === 400) && CONTENT_POLICY_PATTERN.test(error)) return FAILURE.CONTENT_POLICY;
+  if (status === undefined) return FAILURE.RETRYABLE;
+  return FAILURE.OTHER;
+}
+
+/**
+ * Run a request, retrying retryable failures with exponential backoff.
+ * A Retry-After header on the response overrides the computed delay; both are
+ * capped at maxDelayMs.
+ * @param {function(): Promise<{ success: boolean }>} request - e.g. () => generateImage(...)
+ * @param {{ retries?: number, baseDelayMs?: number, maxDelayMs?: number,
+ *   onRetry?: function({ attempt: number, delayMs: number, error: string }): void }} [options]
+ * @returns {Promise<object>} the final result plus `attempts`, and `failure` (FAILURE kind) when unsuccessful
+ */
+async function withRetry(request, options = {}) {
+  const retries = options.retries ?? RETRY_DEFAULTS.retries;
+  const baseDelayMs = options.baseDelayMs ?? RETRY_DEFAULTS.baseDelayMs;
+  const maxDelayMs = options.maxDelayMs ?? RETRY_DEFAULTS.maxDelayMs;
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await request();
+    if (result.success) {
+      return { ...result, attempts: attempt };
+    }
+
+    const failure = classifyFailure(result);
+    if (failure !== FAILURE.RETRYABLE || attempt > retries) {
+      return { ...result, attempts: attempt, failure };
+    }
+
+    // Jitter spreads out parallel requests that failed together
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)) * (0.75 + Math.random() * 0.5);
+    const delayMs = Math.round(Math.min(maxDelayMs, result.retryAfterMs != null ? result.retryAfterMs : backoff));
+    if (options.onRetry) {
+      options.onRetry({ attempt, delayMs, error: result.error });
+    }
+    await sleep(delayMs);
+  }
 }
 
 /**
@@ -308,45 +490,65 @@ function saveBase64Image(base64Data, filePath) {
   fs.writeFileSync(filePath, Buffer.from(base64Data, 'base64'));
 }
 
-// CLI test mode: node lib/whisk-client.cjs test
+// CLI: node lib/whisk-client.cjs status [--token-file <path>] [--json] [--generate]
 if (require.main === module) {
   (async () => {
-    const cmd = process.argv[2];
-    if (cmd === 'test') {
-      const token = loadToken();
-      if (!token) {
-        console.error('No valid token found at', TOKEN_FILE);
-        process.exit(1);
-      }
-      const minutesLeft = Math.floor((token.expiresAt - Date.now()) / 60000);
-      console.log(`Token valid, expires in ${minutesLeft} minutes`);
+    const args = process.argv.slice(2);
+    if (args[0] !== 'status') {
+      console.log('Usage: node lib/whisk-client.cjs status [--token-file <path>] [--json] [--generate]');
+      console.log('');
+      console.log('Reports where the Whisk token comes from (WHISK_TOKEN, --token-file, WHISK_TOKEN_FILE,');
+      console.log(`${TOKEN_FILE}) and whether it is usable. Exits 1 when it is not.`);
+      console.log('--generate also requests one test image (saved to outputs/whisk-test.png).');
+      process.exit(args.length === 0 ? 0 : 1);
+    }
+    const options = {};
+    for (let i = 1; i < args.length; i++) {
+      if (args[i] === '--token-file' && args[i + 1]) { options.tokenFile = path.resolve(args[++i]); }
+    }
 
+    const { accessToken, ...status } = tokenStatus(options);
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(status, null, 2));
+    } else {
+      console.log(`Token: ${status.state}`);
+      console.log(status.message);
+      if (status.expiresAt) console.log(`Expires at: ${new Date(status.expiresAt).toISOString()}`);
+    }
+    if (!status.usable) process.exit(1);
+
+    if (args.includes('--generate')) {
       console.log('Testing image generation...');
       const result = await generateImage(
         'Abstract dark blue gradient background, subtle geometric shapes, 16:9',
         '16:9',
-        token.accessToken
+        accessToken
       );
       if (result.success) {
         const outPath = path.join(__dirname, '..', 'outputs', 'whisk-test.png');
         saveBase64Image(result.images[0], outPath);
         console.log(`Success! Saved to ${outPath}`);
       } else {
-        console.error('Generation failed:', result.error);
+        console.error(`Generation failed [${classifyFailure(result)}]:`, result.error);
         process.exit(1);
       }
-    } else {
-      console.log('Usage: node lib/whisk-client.cjs test');
     }
   })();
 }
 
 module.exports = {
   loadToken,
+  tokenStatus,
   generateImage,
   uploadReference,
   getCaptionForImage,
   generateWithReference,
   uploadAndAnalyze,
   saveBase64Image,
+  httpFailure,
+  classifyFailure,
+  withRetry,
+  imageModelFor,
+  FAILURE,
+  TOKEN_STATE,
 };
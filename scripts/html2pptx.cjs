@@ -8,6 +8,17 @@
  *   const { slide, placeholders } = await html2pptx('slide.html', pptx);
  *   slide.addChart(pptx.charts.LINE, data, placeholders[0]);
  *
+ *   // Speaker notes (plain text) go on the slide's notes page
+ *   await html2pptx('slide.html', pptx, { notes: 'Mention the Q4 numbers' });
+ *
+ *   // Reuse one browser (or page) instead of launching Chromium per call
+ *   const browser = await chromium.launch();
+ *   await html2pptx('slide.html', pptx, { browser });   // or { page }
+ *
+ *   // Render several slides concurrently, then add them in order
+ *   const extracted = await Promise.all(files.map(f => html2pptx.extract(f, { browser })));
+ *   for (let i = 0; i < files.length; i++) await html2pptx(files[i], pptx, { extracted: extracted[i] });
+ *
  *   await pptx.writeFile('output.pptx');
  *
  * FEATURES:
@@ -118,12 +129,13 @@ function validateTextBoxPosition(slideData, bodyDimensions) {
 }
 
 // Helper: Add background to slide
-async function addBackground(slideData, targetSlide, tmpDir) {
+// (backgroundPath replaces the image the HTML uses, e.g. with a compressed copy)
+async function addBackground(slideData, targetSlide, tmpDir, backgroundPath) {
   if (slideData.background.type === 'image' && slideData.background.path) {
     let imagePath = slideData.background.path.startsWith('file://')
       ? slideData.background.path.replace('file://', '')
       : slideData.background.path;
-    targetSlide.background = { path: imagePath };
+    targetSlide.background = { path: backgroundPath || imagePath };
   } else if (slideData.background.type === 'color' && slideData.background.value) {
     targetSlide.background = { color: slideData.background.value };
   }
@@ -913,43 +925,75 @@ async function extractSlideData(page) {
   });
 }
 
-async function html2pptx(htmlFile, pres, options = {}) {
+/**
+ * Render an HTML slide in Chromium and read its elements (no PPTX changes)
+ * @param {string} htmlFile
+ * @param {object} [options]
+ * @param {object} [options.browser] - shared Playwright browser; a page is opened and closed per call
+ * @param {object} [options.page] - shared Playwright page, left open for the caller
+ * @param {string} [options.tmpDir] - TMPDIR for a browser launched by this call
+ * @returns {Promise<{bodyDimensions: object, slideData: object}>}
+ */
+async function extract(htmlFile, options = {}) {
   const {
     tmpDir = process.env.TMPDIR || '/tmp',
-    slide = null
+    browser: sharedBrowser = null,
+    page: sharedPage = null
   } = options;
 
+  const filePath = path.isAbsolute(htmlFile) ? htmlFile : path.join(process.cwd(), htmlFile);
+
   try {
-    // Use Chrome on macOS, default Chromium on Unix
-    const launchOptions = { env: { TMPDIR: tmpDir } };
-    if (process.platform === 'darwin') {
-      launchOptions.channel = 'chrome';
+    let browser = null;
+    if (!sharedPage && !sharedBrowser) {
+      // Use Chrome on macOS, default Chromium on Unix
+      const launchOptions = { env: { TMPDIR: tmpDir } };
+      if (process.platform === 'darwin') {
+        launchOptions.channel = 'chrome';
+      }
+      browser = await chromium.launch(launchOptions);
     }
 
-    const browser = await chromium.launch(launchOptions);
-
-    let bodyDimensions;
-    let slideData;
-
-    const filePath = path.isAbsolute(htmlFile) ? htmlFile : path.join(process.cwd(), htmlFile);
-    const validationErrors = [];
-
+    const page = sharedPage || await (sharedBrowser || browser).newPage();
     try {
-      const page = await browser.newPage();
-
       await page.goto(`file://${filePath}`);
 
-      bodyDimensions = await getBodyDimensions(page);
+      const bodyDimensions = await getBodyDimensions(page);
 
       await page.setViewportSize({
         width: Math.round(bodyDimensions.width),
         height: Math.round(bodyDimensions.height)
       });
 
-      slideData = await extractSlideData(page);
+      const slideData = await extractSlideData(page);
+      return { bodyDimensions, slideData };
     } finally {
-      await browser.close();
+      if (browser) {
+        await browser.close();
+      } else if (!sharedPage) {
+        await page.close();
+      }
     }
+  } catch (error) {
+    if (!error.message.startsWith(htmlFile)) {
+      throw new Error(`${htmlFile}: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+async function html2pptx(htmlFile, pres, options = {}) {
+  const {
+    tmpDir = process.env.TMPDIR || '/tmp',
+    slide = null,
+    notes = null,
+    extracted = null,
+    backgroundPath = null
+  } = options;
+
+  try {
+    const { bodyDimensions, slideData } = extracted || await extract(htmlFile, options);
+    const validationErrors = [];
 
     // Collect all validation errors
     if (bodyDimensions.errors && bodyDimensions.errors.length > 0) {
@@ -980,8 +1024,9 @@ async function html2pptx(htmlFile, pres, options = {}) {
 
     const targetSlide = slide || pres.addSlide();
 
-    await addBackground(slideData, targetSlide, tmpDir);
+    await addBackground(slideData, targetSlide, tmpDir, backgroundPath);
     addElements(slideData, targetSlide, pres);
+    if (notes) targetSlide.addNotes(notes);
 
     return { slide: targetSlide, placeholders: slideData.placeholders };
   } catch (error) {
@@ -992,4 +1037,5 @@ async function html2pptx(htmlFile, pres, options = {}) {
   }
 }
 
-module.exports = html2pptx;
\ No newline at end of file
+module.exports = html2pptx;
+module.exports.extract = extract;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { autoFitSlides } = require('../lib/autofit.cjs');
+const { resolveTheme } = require('../lib/themes.cjs');
+
+test('continuation slides do not inherit the seed or notes', { timeout: 60000 }, async () => {
+  const bullets = Array.from({ length: 14 }, (_, i) => `Point ${i + 1}: a bullet long enough to wrap onto a second line of the slide`);
+  const { slides, report } = await autoFitSlides(
+    [{ type: 'content', title: 'Roadmap', bullets, seed: 42, notes: 'Intro only' }],
+    { theme: resolveTheme() }
+  );
+
+  assert.ok(slides.length > 1, 'the bullets are split');
+  assert.match(report[0].actions.at(-1), /^split 14 bullets/);
+  assert.equal(slides[0].seed, 42);
+  assert.equal(slides[0].notes, 'Intro only');
+  for (const rest of slides.slice(1)) {
+    assert.equal(rest.title, 'Roadmap (cont.)');
+    assert.equal('seed' in rest, false);
+    assert.equal(rest.notes, undefined);
+  }
+  assert.deepEqual(slides.flatMap(s => s.bullets), bullets);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  stableStringify, cacheKey, imageHash, cacheLookup, cacheStore, cacheStats, pruneCache, clearCache,
+} = require('../lib/bg-cache.cjs');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+}
+
+// Store a fake image of `size` bytes last used `ageDays` ago
+function storeEntry(dir, work, name, size, ageDays) {
+  const src = path.join(work, `${name}.png`);
+  fs.writeFileSync(src, Buffer.alloc(size, name));
+  const key = cacheKey({ provider: 'test', prompt: name });
+  cacheStore(dir, key, src, { seed: size });
+  const file = path.join(dir, key.slice(0, 2), `${key}.png`);
+  const time = new Date(Date.now() - ageDays * 86400000);
+  fs.utimesSync(file, time, time);
+  return key;
+}
+
+test('keys ignore property order and undefined values, but not the values', () => {
+  assert.equal(stableStringify({ b: [1, { d: 2, c: undefined }], a: null }), '{"a":null,"b":[1,{"d":2}]}');
+  assert.equal(cacheKey({ provider: 'whisk', prompt: 'p', seed: 1 }), cacheKey({ seed: 1, prompt: 'p', provider: 'whisk', model: undefined }));
+  assert.notEqual(cacheKey({ provider: 'whisk', prompt: 'p', seed: 1 }), cacheKey({ provider: 'whisk', prompt: 'p', seed: 2 }));
+  assert.match(cacheKey({}), /^[0-9a-f]{64}$/);
+});
+
+test('image hashes match for a file and its base64 data', () => {
+  const dir = tempDir();
+  try {
+    const file = path.join(dir, 'ref.png');
+    fs.writeFileSync(file, Buffer.from('not really a png'));
+    assert.equal(imageHash({ file }), imageHash({ base64: Buffer.from('not really a png').toString('base64') }));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('stored images are found again with their metadata; a disabled cache never hits', () => {
+  const work = tempDir();
+  const dir = path.join(work, 'cache');
+  try {
+    const key = storeEntry(dir, work, 'a', 10, 3);
+    const dest = path.join(work, 'out.png');
+    assert.deepEqual(cacheLookup(dir, key, dest), { seed: 10 });
+    assert.deepEqual(fs.readFileSync(dest), Buffer.alloc(10, 'a'));
+    assert.equal(cacheLookup(dir, cacheKey({ provider: 'test', prompt: 'other' }), dest), null);
+    assert.equal(cacheLookup(null, key, dest), null);
+    cacheStore(null, key, dest);
+    assert.deepEqual(cacheStats(dir), { dir, count: 1, bytes: 10 });
+  } finally {
+    fs.rmSync(work, { recursive: true, force: true });
+  }
+});
+
+test('a hit refreshes the entry, so pruning removes old and then least recently used entries', () => {
+  const work = tempDir();
+  const dir = path.join(work, 'cache');
+  try {
+    const old = storeEntry(dir, work, 'o', 100, 40);
+    storeEntry(dir, work, 'l', 100, 20);
+    storeEntry(dir, work, 'r', 100, 10);
+    const used = storeEntry(dir, work, 'u', 100, 30);
+    cacheLookup(dir, used, path.join(work, 'out.png'));
+
+    assert.deepEqual(pruneCache(dir, { maxAgeDays: 35 }), { removed: 1, freedBytes: 100 });
+    assert.equal(cacheLookup(dir, old, path.join(work, 'out.png')), null);
+    assert.equal(fs.existsSync(path.join(dir, old.slice(0, 2), `${old}.json`)), false);
+
+    // 'l' (20 days) goes first; 'u' was just used
+    assert.deepEqual(pruneCache(dir, { maxBytes: 250 }), { removed: 1, freedBytes: 100 });
+    assert.ok(cacheLookup(dir, used, path.join(work, 'out.png')));
+    assert.equal(cacheStats(dir).count, 2);
+
+    assert.deepEqual(clearCache(dir), { removed: 2, freedBytes: 200 });
+    assert.deepEqual(cacheStats(dir), { dir, count: 0, bytes: 0 });
+    assert.equal(cacheStats(path.join(work, 'missing')).count, 0);
+  } finally {
+    fs.rmSync(work, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyBrand, brandHtml, numberingUsesTotal } = require('../lib/brand.cjs');
+const { resolveTheme } = require('../lib/themes.cjs');
+
+const theme = resolveTheme('dark');
+const slide = (index, type = 'content') => ({ index, total: 12, type, theme });
+const texts = html => [...html.matchAll(/<p [^>]*>([^<]*)<\/p>/g)].map(match => match[1]);
+
+test('slide numbers fill {n} (1-based) and {total}; true means "{n}"', () => {
+  assert.deepEqual(texts(brandHtml({ numbering: '{n} / {total}' }, slide(0))), ['1 / 12']);
+  assert.deepEqual(texts(brandHtml({ numbering: 'Slide {n} of {total} ({n})' }, slide(8))), ['Slide 9 of 12 (9)']);
+  assert.deepEqual(texts(brandHtml({ numbering: true }, slide(4))), ['5']);
+  assert.equal(brandHtml({ numbering: false }, slide(4)), '');
+});
+
+test('numberingUsesTotal is true only for formats with {total}', () => {
+  assert.equal(numberingUsesTotal({ numbering: '{n} / {total}' }), true);
+  assert.equal(numberingUsesTotal({ numbering: '{n}' }), false);
+  assert.equal(numberingUsesTotal({ numbering: true }), false);
+  assert.equal(numberingUsesTotal(undefined), false);
+});
+
+test('footer, confidential label and logo, escaped; skipped types get nothing', () => {
+  const brand = { footer: 'R&D <Q4>', confidential: true, logo: '/tmp/logo.png', logoPosition: 'bottom-left', skip: ['title'] };
+  const html = brandHtml(brand, slide(1));
+  assert.deepEqual(texts(html), ['R&amp;D &lt;Q4&gt;', 'Confidential']);
+  assert.match(html, /<img src="\/tmp\/logo\.png" style="position: absolute; bottom: \d+pt; left: 16pt; height: 24pt;">/);
+  assert.deepEqual(texts(brandHtml({ confidential: 'Internal use only' }, slide(1))), ['Internal use only']);
+  assert.equal(brandHtml(brand, slide(0, 'title')), '');
+});
+
+test('applyBrand appends before </body> and leaves unbranded slides alone', () => {
+  const html = '<html><body><h1>Hi</h1></body></html>';
+  assert.equal(applyBrand(html, undefined, slide(0)), html);
+  assert.equal(applyBrand(html, { skip: ['content'], footer: 'x' }, slide(0)), html);
+  const branded = applyBrand(html, { numbering: '{n}/{total}' }, slide(2));
+  assert.match(branded, /<h1>Hi<\/h1><p [^>]*>3\/12<\/p>\n<\/body><\/html>$/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { deckHash, slideHash, readManifest, writeManifest, planRebuild } = require('../lib/build-manifest.cjs');
+
+const THEME = { name: 'dark' };
+const SLIDES = [
+  { type: 'title', title: 'Q4 Review' },
+  { type: 'content', title: 'Highlights', bullets: ['a', 'b'] },
+  { type: 'content', title: 'Risks', bullets: ['c'] },
+];
+
+/**
+ * Output dir holding a manifest (and its files) for a build of SLIDES
+ */
+function previousBuild(dir, hash) {
+  const entries = SLIDES.map((slide, i) => {
+    const background = path.join(dir, 'images', `bg-${i}-${slide.type}.png`);
+    const html = path.join(dir, `slide${i}-${slide.type}.html`);
+    fs.mkdirSync(path.dirname(background), { recursive: true });
+    fs.writeFileSync(background, `bg ${i}`);
+    fs.writeFileSync(html, `html ${i}`);
+    return {
+      type: slide.type, hash: slideHash(slide), background, backgroundHash: `hash ${i}`, backgroundSource: 'procedural',
+      seed: 100 + i, html,
+    };
+  });
+  writeManifest(dir, { deckHash: hash, slides: entries });
+  return readManifest(dir);
+}
+
+function withBuild(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  try {
+    const hash = deckHash({ style: 'calm', theme: THEME });
+    return fn({ dir, hash, manifest: previousBuild(dir, hash) });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const kept = plan => plan.map(entry => (entry.reuse ? entry.reuse.seed : null));
+
+test('an unchanged deck keeps every slide at its position', () => withBuild(({ dir, hash, manifest }) => {
+  const plan = planRebuild(manifest, { outputDir: dir, deckHash: hash, slides: SLIDES });
+  assert.deepEqual(kept(plan), [100, 101, 102]);
+  assert.ok(plan.every(entry => entry.moved === undefined));
+  assert.equal(plan[1].reuse.background, path.join(dir, 'images', 'bg-1-content.png'));
+  assert.equal(plan[1].reuse.html, path.join(dir, 'slide1-content.html'));
+}));
+
+test('an edited slide, or one listed in only, is rebuilt alone', () => withBuild(({ dir, hash, manifest }) => {
+  const edited = SLIDES.map((slide, i) => (i === 1 ? { ...slide, bullets: ['a', 'b', 'new'] } : slide));
+  assert.deepEqual(kept(planRebuild(manifest, { outputDir: dir, deckHash: hash, slides: edited })), [100, null, 102]);
+  assert.deepEqual(kept(planRebuild(manifest, { outputDir: dir, deckHash: hash, slides: SLIDES, only: [2] })), [100, 101, null]);
+}));
+
+test('inserting or removing a slide keeps the others, wherever they moved', () => withBuild(({ dir, hash, manifest }) => {
+  const inserted = [SLIDES[0], { type: 'content', title: 'New', bullets: ['x'] }, SLIDES[1], SLIDES[2]];
+  const plan = planRebuild(manifest, { outputDir: dir, deckHash: hash, slides: inserted });
+  assert.deepEqual(kept(plan), [100, null, 101, 102]);
+  assert.deepEqual(plan.map(entry => entry.moved), [undefined, undefined, 1, 2]);
+  assert.equal(plan[2].reuse.background, path.join(dir, 'images', 'bg-1-content.png'));
+
+  const removed = planRebuild(manifest, { outputDir: dir, deckHash: hash, slides: [SLIDES[0], SLIDES[2]] });
+  assert.deepEqual(kept(removed), [100, 102]);
+  assert.deepEqual(removed.map(entry => entry.moved), [undefined, 2]);
+
+  // Two identical slides each take their own previous entry
+  const doubled = planRebuild(manifest, { outputDir: dir, deckHash: hash, slides: [SLIDES[0], SLIDES[0]] });
+  assert.deepEqual(kept(doubled), [100, null]);
+}));
+
+test('a deck-wide change or a missing file rebuilds', () => withBuild(({ dir, hash, manifest }) => {
+  const restyled = deckHash({ style: 'loud', theme: THEME });
+  assert.notEqual(restyled, hash);
+  assert.deepEqual(kept(planRebuild(manifest, { outputDir: dir, deckHash: restyled, slides: SLIDES })), [null, null, null]);
+  assert.deepEqual(kept(planRebuild(null, { outputDir: dir, deckHash: hash, slides: SLIDES })), [null, null, null]);
+
+  fs.rmSync(path.join(dir, 'slide2-content.html'));
+  assert.deepEqual(kept(planRebuild(manifest, { outputDir: dir, deckHash: hash, slides: SLIDES })), [100, 101, null]);
+}));
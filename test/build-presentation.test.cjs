@@ -0,0 +1,243 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { chromium } = require('playwright');
+
+const { buildPresentation, BackgroundFallbackError } = require('../lib/build-presentation.cjs');
+const procedural = require('../lib/procedural-provider.cjs');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+/**
+ * Build a deck offline (procedural backgrounds, no cache) into a temp dir, removed afterwards
+ */
+async function build(deck, check) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  try {
+    const result = await buildPresentation({
+      name: 'test', style: 'test', provider: 'procedural', cache: false, outputBase: dir, logger: quiet, ...deck,
+    });
+    return await check(result, dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('strict: false skips a slide that cannot be rendered instead of crashing', { timeout: 120000 }, async () => {
+  await build({
+    strict: false,
+    slides: [
+      { type: 'title', title: 'Deck' },
+      { type: 'table', title: 'No columns', rows: [['a', 'b']] },
+      { type: 'content', title: 'Fine', bullets: ['ok'] },
+    ],
+  }, result => {
+    assert.equal(result.htmlFiles.length, 2);
+    assert.deepEqual(result.backgroundStatus.map(s => s.type), ['title', 'content']);
+    assert.deepEqual(result.warnings.map(w => w.path), ['slides[1].columns', 'slides[1]']);
+  });
+});
+
+test('auto-fit reports built slide numbers after skips, table pages and splits, with the deck slide', { timeout: 180000 }, async () => {
+  const bullets = Array.from({ length: 14 }, (_, i) => `Point ${i + 1}: a bullet long enough to wrap onto a second line of the slide`);
+  const lines = [];
+  await build({
+    strict: false,
+    logger: { ...quiet, log: line => lines.push(line) },
+    slides: [
+      { type: 'title', title: 'Deck' },
+      { type: 'table', title: 'No columns', rows: [['a', 'b']] },
+      { type: 'table', title: 'Regions', columns: ['Region', 'Revenue'], rows: Array.from({ length: 40 }, (_, i) => [`Region ${i + 1}`, `$${i}M`]) },
+      { type: 'content', title: 'Roadmap', bullets, notes: 'roadmap' },
+      { type: 'content', title: 'Plan', bullets, notes: 'plan' },
+    ],
+  }, result => {
+    assert.deepEqual(result.autofit.map(e => e.path), ['slides[3]', 'slides[4]']);
+    const [roadmap, plan] = result.autofit;
+    assert.ok(roadmap.index > 2, 'the table was paginated before the split slide');
+    assert.equal(result.notes[roadmap.index], 'roadmap');
+    assert.equal(result.notes[plan.index], 'plan');
+    assert.ok(lines.includes(`Auto-fit: Slide ${plan.index} (content, slides[4] in the deck): ${plan.actions.join('; ')}`));
+  });
+});
+
+test('inserting a slide rebuilds only that slide and renumbers the moved ones', { timeout: 180000 }, async () => {
+  const slides = [
+    { type: 'title', title: 'Deck' },
+    { type: 'content', title: 'First', bullets: ['a'] },
+    { type: 'content', title: 'Second', bullets: ['b'] },
+  ];
+  const brand = { numbering: '{n} / {total}' };
+  await build({ slides, brand }, async (first, dir) => {
+    const before = first.backgrounds.map(file => fs.readFileSync(file));
+    const inserted = [slides[0], { type: 'content', title: 'New', bullets: ['x'] }, slides[1], slides[2]];
+    const second = await buildPresentation({
+      name: 'test', style: 'test', provider: 'procedural', cache: false, outputBase: dir, logger: quiet, slides: inserted, brand,
+    });
+    assert.deepEqual(second.rebuilt, [1]);
+    assert.ok(fs.readFileSync(second.backgrounds[2]).equals(before[1]));
+    assert.ok(fs.readFileSync(second.backgrounds[3]).equals(before[2]));
+    assert.match(fs.readFileSync(second.htmlFiles[3], 'utf-8'), /4 \/ 4/);
+    assert.match(fs.readFileSync(second.htmlFiles[0], 'utf-8'), /1 \/ 4/);
+  });
+});
+
+test('a build launches one browser and renders at most `concurrency` pages at once', { timeout: 180000 }, async (t) => {
+  const launch = chromium.launch.bind(chromium);
+  let open = 0;
+  let peak = 0;
+  let pages = 0;
+  const launches = t.mock.method(chromium, 'launch', async (...args) => {
+    const browser = await launch(...args);
+    const newPage = browser.newPage.bind(browser);
+    browser.newPage = async (...pageArgs) => {
+      const page = await newPage(...pageArgs);
+      pages++;
+      peak = Math.max(peak, ++open);
+      page.once('close', () => { open--; });
+      return page;
+    };
+    return browser;
+  });
+
+  const slides = Array.from({ length: 5 }, (_, i) => ({ type: 'content', title: `Slide ${i + 1}`, bullets: ['a'] }));
+  await build({ slides, concurrency: 2 }, () => {
+    assert.equal(launches.mock.callCount(), 1);
+    // One page per slide for auto-fit and one for extraction, all closed again
+    assert.equal(pages, 10);
+    assert.equal(peak, 2);
+    assert.equal(open, 0);
+  });
+});
+
+test('fallback: error fails the build naming each gradient slide; warn reports them', { timeout: 180000 }, async () => {
+  // Content slide prompts are rejected; everything else is drawn offline
+  const provider = {
+    ...procedural,
+    name: 'picky',
+    generate: (prompt, opts) => (/darker left area/.test(prompt)
+      ? Promise.resolve({ success: false, error: 'PUBLIC_ERROR_UNSAFE_GENERATION', status: 400 })
+      : procedural.generate(prompt, opts)),
+  };
+  provider.generateWithReferences = (prompt, refs, opts) => provider.generate(prompt, opts);
+  const slides = [
+    { type: 'title', title: 'Deck' },
+    { type: 'content', title: 'Rejected', bullets: ['a'] },
+  ];
+
+  await assert.rejects(build({ provider, fallback: 'error', slides }, () => {}), error => {
+    assert.ok(error instanceof BackgroundFallbackError, error.stack);
+    assert.equal(error.message, '1 of 2 slides have no picky background (fallback: error):\n'
+      + '  - Slide 1 (content) [content-policy]: PUBLIC_ERROR_UNSAFE_GENERATION');
+    assert.deepEqual(error.summary.ai, [0]);
+    return true;
+  });
+
+  await build({ provider, fallback: 'warn', slides }, result => {
+    assert.equal(result.backgroundSummary.warning, '1 of 2 slides use gradient fallbacks instead of picky backgrounds');
+    assert.deepEqual(result.backgroundStatus.map(s => s.source), ['picky', 'fallback']);
+    assert.ok(fs.existsSync(result.pptxPath));
+  });
+});
+
+test('progress events cover every phase and slide, in order', { timeout: 180000 }, async () => {
+  const events = [];
+  const slides = [
+    { type: 'title', title: 'Deck' },
+    { type: 'content', title: 'Points', bullets: ['a'], subtitle: 'not a content field' },
+  ];
+  await build({ slides, strict: false, onProgress: event => events.push(event) }, result => {
+    const phases = ['validate', 'autofit', 'backgrounds', 'html', 'pptx', 'thumbnails'];
+    assert.deepEqual(events.filter(e => e.type === 'phase:start').map(e => e.phase), phases);
+    assert.deepEqual(events.filter(e => e.type === 'phase:end').map(e => e.phase), phases);
+    for (const phase of phases) {
+      const start = events.findIndex(e => e.type === 'phase:start' && e.phase === phase);
+      const end = events.findIndex(e => e.type === 'phase:end' && e.phase === phase);
+      assert.ok(start < end, phase);
+      assert.equal(events[end].durationMs, result.timings[phase]);
+    }
+    const inPhase = (phase, type) => {
+      const start = events.findIndex(e => e.type === 'phase:start' && e.phase === phase);
+      const end = events.findIndex(e => e.type === 'phase:end' && e.phase === phase);
+      return events.slice(start, end).filter(e => e.type === type);
+    };
+    assert.deepEqual(inPhase('backgrounds', 'background:done').map(e => [e.index, e.slideType, e.source, e.path]),
+      result.backgroundStatus.map((s, i) => [i, s.type, 'procedural', result.backgrounds[i]]));
+    assert.deepEqual(inPhase('pptx', 'slide:rendered').map(e => [e.index, e.html]), result.htmlFiles.map((html, i) => [i, html]));
+    assert.deepEqual(events.filter(e => e.type === 'warning' && e.source === 'validation').map(e => e.path),
+      result.warnings.map(w => w.path));
+    assert.ok(events.every((e, i) => i === 0 || e.elapsedMs >= events[i - 1].elapsedMs));
+  });
+});
+
+/**
+ * Run the CLI; resolves with its exit code and output
+ */
+function cli(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [path.join(__dirname, '..', 'lib', 'build-presentation.cjs'), ...args],
+      { timeout: 170000, maxBuffer: 16 * 1024 * 1024 },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+}
+
+test('--json prints one JSON document on stdout, for a build or a failure', { timeout: 180000 }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  try {
+    const config = path.join(dir, 'deck.json');
+    fs.writeFileSync(config, JSON.stringify({
+      name: 'json', style: 'test', provider: 'procedural', slides: [{ type: 'title', title: 'Deck' }],
+    }));
+    const built = await cli(['--config', config, '--no-cache', '--output', dir, '--json']);
+    assert.equal(built.code, 0, built.stderr);
+    const result = JSON.parse(built.stdout);
+    assert.equal(result.success, true);
+    assert.equal(result.pptxPath, path.join(dir, 'outputs', 'json', 'presentation.pptx'));
+    assert.equal(result.backgroundStatus.length, 1);
+    assert.match(built.stderr, /Building presentation: json/);
+
+    fs.writeFileSync(config, JSON.stringify({ name: 'json', style: 'test', slides: [{ type: 'title' }] }));
+    const failed = await cli(['--config', config, '--no-cache', '--output', dir, '--json']);
+    assert.equal(failed.code, 1);
+    const { success, error } = JSON.parse(failed.stdout);
+    assert.equal(success, false);
+    assert.equal(error.name, 'DeckValidationError');
+    assert.deepEqual(error.issues.map(issue => issue.path), ['slides[0].title']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('candidates keep several backgrounds per slide, and pick switches between them without generating', { timeout: 240000 }, async () => {
+  const slides = [{ type: 'title', title: 'Deck' }, { type: 'content', title: 'Points', bullets: ['a'] }];
+  await build({ slides, candidates: 2, seed: 5 }, async (first, dir) => {
+    const imagesDir = path.join(dir, 'outputs', 'test', 'images');
+    const bytes = file => fs.readFileSync(file);
+    for (const [i, status] of first.backgroundStatus.entries()) {
+      assert.equal(status.candidate, 0);
+      assert.deepEqual(status.candidates.map(c => path.basename(c.path)), [0, 1].map(k => `bg-${i}-${status.type}-${k}.png`));
+      assert.notEqual(status.candidates[0].seed, status.candidates[1].seed);
+      assert.ok(bytes(first.backgrounds[i]).equals(bytes(status.candidates[0].path)));
+      assert.ok(fs.existsSync(path.join(imagesDir, 'candidates', `bg-${i}-${status.type}-sheet.jpg`)));
+    }
+
+    const rebuild = extra => buildPresentation({
+      name: 'test', style: 'test', provider: 'procedural', cache: false, outputBase: dir, logger: quiet,
+      slides, candidates: 2, seed: 5, ...extra,
+    });
+    const picked = await rebuild({ pick: { 1: 1 } });
+    assert.deepEqual(picked.rebuilt, []);
+    assert.equal(picked.backgroundStatus[1].candidate, 1);
+    assert.equal(picked.backgroundStatus[1].seed, first.backgroundStatus[1].candidates[1].seed);
+    assert.ok(bytes(picked.backgrounds[1]).equals(bytes(first.backgroundStatus[1].candidates[1].path)));
+    assert.ok(bytes(picked.backgrounds[0]).equals(bytes(first.backgrounds[0])));
+
+    // The choice is kept by later builds, and unknown candidates are rejected
+    assert.equal((await rebuild({})).backgroundStatus[1].candidate, 1);
+    await assert.rejects(rebuild({ pick: { 0: 5 } }), /Slide 0 has no background candidate 5 \(available: 0-1\)/);
+  });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { addChart } = require('../lib/charts.cjs');
+const { checkDeck } = require('../lib/deck-schema.cjs');
+const { resolveTheme } = require('../lib/themes.cjs');
+
+const RECT = { x: 1, y: 2, w: 6, h: 3 };
+const pptx = { ChartType: { bar: 'BAR', line: 'LINE', pie: 'PIE', doughnut: 'DOUGHNUT' } };
+
+// Records addChart() calls the way a PptxGenJS slide receives them
+function draw(spec, theme) {
+  const calls = [];
+  addChart(pptx, { addChart: (...args) => calls.push(args) }, spec, RECT, theme);
+  assert.equal(calls.length, 1);
+  const [type, data, options] = calls[0];
+  return { type, data, options };
+}
+
+const revenue = {
+  categories: ['Q1', 'Q2', 2026],
+  series: [{ name: 'Revenue', values: [1, 2, 3], color: '#ff0000' }, { name: 'Costs', values: [0.5, 1, 1.5] }],
+};
+
+test('bar charts: column bars, one color per series, legend for several series', () => {
+  const { type, data, options } = draw({ type: 'bar', ...revenue, title: 'Revenue, $M' });
+  assert.equal(type, 'BAR');
+  assert.deepEqual(data, [
+    { name: 'Revenue', labels: ['Q1', 'Q2', '2026'], values: [1, 2, 3] },
+    { name: 'Costs', labels: ['Q1', 'Q2', '2026'], values: [0.5, 1, 1.5] },
+  ]);
+  assert.deepEqual({ x: options.x, y: options.y, w: options.w, h: options.h }, RECT);
+  assert.equal(options.barDir, 'col');
+  // A series' own color wins, then the theme palette
+  assert.deepEqual(options.chartColors, ['FF0000', 'FFB84F']);
+  assert.equal(options.showLegend, true);
+  assert.equal(options.showValue, false);
+  assert.equal(options.title, 'Revenue, $M');
+  assert.equal(options.titleColor, 'FFFFFF');
+  assert.equal(options.valGridLine.color, '5A5A6E');
+});
+
+test('line charts: line styling, explicit legend and value settings, theme text color', () => {
+  const theme = resolveTheme('light');
+  const { type, options } = draw({ type: 'line', ...revenue, colors: ['#00ff00', '#0000ff'], showLegend: false, showValues: true }, theme);
+  assert.equal(type, 'LINE');
+  assert.equal(options.lineSize, 2);
+  assert.equal(options.barDir, undefined);
+  assert.deepEqual(options.chartColors, ['FF0000', '0000FF']);
+  assert.equal(options.showLegend, false);
+  assert.equal(options.showValue, true);
+  assert.equal(options.catAxisLabelColor, theme.chart.text.replace('#', '').toUpperCase());
+  assert.equal(options.showTitle, undefined);
+});
+
+test('pie charts: first series only, one color per category, percentages', () => {
+  const { type, data, options } = draw({ type: 'pie', ...revenue, colors: ['#111111'] });
+  assert.equal(type, 'PIE');
+  assert.deepEqual(data.map(d => d.name), ['Revenue']);
+  assert.deepEqual(options.chartColors, ['111111', 'FFB84F', '5FD39B']);
+  assert.equal(options.showLegend, true);
+  assert.equal(options.showPercent, true);
+  assert.equal(options.valGridLine, undefined);
+  assert.equal(draw({ type: 'doughnut', ...revenue }).options.holeSize, 55);
+});
+
+test('series and categories must match in length', () => {
+  const chart = { type: 'bar', categories: ['a', 'b'], series: [{ name: 's', values: [1, 2, 3] }] };
+  assert.throws(() => draw(chart), /Chart series 0 \("s"\) has 3 values for 2 categories/);
+  assert.throws(() => draw({ ...chart, type: 'radar' }), /Unsupported chart type "radar"/);
+
+  // ...and the mismatch is reported by deck validation, before any background is generated
+  const deck = { name: 'd', style: 's', slides: [{ type: 'data', title: 'D', chart }] };
+  assert.deepEqual(checkDeck(deck).errors, [
+    { path: 'slides[0].chart.series[0]', message: 'has 3 values for 2 categories', fatal: true },
+  ]);
+  assert.deepEqual(checkDeck({ ...deck, strict: false }).skipped, [0]);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mapLimit } = require('../lib/concurrency.cjs');
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mapLimit keeps input order with at most `limit` calls in flight', async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await mapLimit([30, 5, 20, 1, 10, 2], 3, async (ms, i) => {
+    active++;
+    peak = Math.max(peak, active);
+    await tick(ms);
+    active--;
+    return `${i}:${ms}`;
+  });
+  assert.deepEqual(results, ['0:30', '1:5', '2:20', '3:1', '4:10', '5:2']);
+  assert.equal(peak, 3);
+});
+
+test('mapLimit treats limits below 1 as 1, and handles no items', async () => {
+  let active = 0;
+  let peak = 0;
+  await mapLimit([1, 2, 3], 0, async () => {
+    peak = Math.max(peak, ++active);
+    await tick(1);
+    active--;
+  });
+  assert.equal(peak, 1);
+  assert.deepEqual(await mapLimit([], 4, async () => 1), []);
+});
+
+test('mapLimit rejects with the first failure and starts no further calls', async () => {
+  const started = [];
+  await assert.rejects(mapLimit([0, 1, 2, 3, 4, 5], 2, async i => {
+    started.push(i);
+    await tick(i === 1 ? 5 : 20);
+    if (i === 1) throw new Error('slide 1 failed');
+  }), /slide 1 failed/);
+  // Slide 0 finishes after the failure, and its worker stops there
+  await tick(40);
+  assert.deepEqual(started, [0, 1]);
+});
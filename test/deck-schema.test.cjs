@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DECK_SCHEMA, DeckValidationError, checkDeck, validateDeck } = require('../lib/deck-schema.cjs');
+const { builtinProviderNames } = require('../lib/image-providers.cjs');
+const { createHttpProvider } = require('../lib/http-provider.cjs');
+
+const deck = extra => ({ name: 'd', style: 's', slides: [{ type: 'title', title: 'T' }], ...extra });
+
+test('every built-in provider is accepted as provider.type', () => {
+  assert.deepEqual([...DECK_SCHEMA.properties.provider.properties.type.enum].sort(), builtinProviderNames().sort());
+  for (const type of builtinProviderNames()) {
+    assert.deepEqual(validateDeck(deck({ provider: { type } })), [], type);
+  }
+  assert.match(validateDeck(deck({ provider: { type: 'dalle' } }))[0].path, /^provider\.type$/);
+});
+
+test('a provider object is passed through without validating it as settings', () => {
+  assert.deepEqual(validateDeck(deck({ provider: createHttpProvider({ apiKeyEnv: false }) })), []);
+  assert.deepEqual(validateDeck(deck({ provider: { generate: 'no' } })).map(issue => issue.path), ['provider.type']);
+});
+
+test('table rows with more cells than columns are errors, or warnings with strict: false', () => {
+  const table = { type: 'table', title: 'Results', columns: ['Region', 'Revenue'], rows: [['EMEA', '1.2'], ['APAC', '0.9', 'extra']] };
+  const strict = checkDeck(deck({ slides: [table] }));
+  assert.deepEqual(strict.errors.map(issue => issue.path), ['slides[0].rows[1]']);
+  assert.match(strict.errors[0].message, /3 cells for 2 columns/);
+
+  const lenient = checkDeck(deck({ slides: [table], strict: false }));
+  assert.deepEqual(lenient.errors, []);
+  assert.deepEqual(lenient.warnings.map(issue => issue.path), ['slides[0].rows[1]']);
+});
+
+test('issues carry the path of the offending value', () => {
+  const issues = validateDeck(deck({
+    slides: [{ type: 'title', title: 'T' }, { type: 'data', title: 'D', metrics: [{ label: 'no value' }] }, { type: 'nope' }],
+  }));
+  assert.deepEqual(issues.map(issue => issue.path), ['slides[1].metrics[0].value', 'slides[2].type']);
+  assert.equal(new DeckValidationError(issues).message,
+    'Invalid deck config (2 problems):\n  - slides[1].metrics[0].value missing\n  - slides[2].type unknown slide type "nope"');
+});
+
+test('strict decks fail on every issue; strict: false warns, skips unrenderable slides and keeps deck-level errors', () => {
+  const slides = [
+    { type: 'title', title: 'A title well over the sixty characters a title slide has room for' },
+    { type: 'table', title: 'No columns', rows: [['a']] },
+    { type: 'content', title: 'Bullets', bullets: 'not a list' },
+    { type: 'content', title: 'Fine', bullets: ['ok'] },
+  ];
+  const strict = checkDeck({ style: 's', slides });
+  assert.deepEqual(strict.errors.map(issue => issue.path), ['name', 'slides[0].title', 'slides[1].columns', 'slides[2].bullets']);
+  assert.deepEqual(strict.warnings, []);
+  assert.deepEqual(strict.skipped, []);
+
+  const lenient = checkDeck({ style: 's', strict: false, slides });
+  assert.deepEqual(lenient.errors.map(issue => issue.path), ['name']);
+  assert.deepEqual(lenient.warnings.map(issue => issue.path),
+    ['slides[0].title', 'slides[1].columns', 'slides[2].bullets', 'slides[1]', 'slides[2]']);
+  assert.match(lenient.warnings[3].message, /^skipped/);
+  // An over-long title is a layout budget: the slide still renders
+  assert.deepEqual(lenient.skipped, [1, 2]);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { generateBackgrounds } = require('../lib/build-presentation.cjs');
+const { resolveTheme } = require('../lib/themes.cjs');
+
+function stubProvider(generate) {
+  return {
+    name: 'stub',
+    references: false,
+    calls: 0,
+    async available() { return { ok: true }; },
+    async generate(...args) { this.calls++; return generate(...args); },
+    async generateWithReferences(...args) { this.calls++; return generate(...args); },
+    async uploadReference() { return { success: false, error: 'unused' }; },
+  };
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+}
+
+test('a provider returning no images fails the slide instead of looping', { timeout: 5000 }, async () => {
+  for (const candidates of [1, 3]) {
+    const provider = stubProvider(async () => ({ success: true, images: [] }));
+    const dir = tempDir();
+    try {
+      const { backgrounds, status } = await generateBackgrounds(
+        provider, dir, 'test style', [], [{ type: 'title', title: 'T' }], resolveTheme(), { candidates, retries: 0 }
+      );
+      assert.equal(provider.calls, 1);
+      assert.deepEqual(backgrounds, [null]);
+      assert.equal(status[0].failure, 'other');
+      assert.match(status[0].error, /returned no images/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+});
+
+test('a missing images array is treated the same way', { timeout: 5000 }, async () => {
+  const provider = stubProvider(async () => ({ success: true }));
+  const dir = tempDir();
+  try {
+    const { backgrounds, status } = await generateBackgrounds(
+      provider, dir, 'test style', [], [{ type: 'content', title: 'T', bullets: [] }], resolveTheme(), {}
+    );
+    assert.equal(provider.calls, 1);
+    assert.equal(backgrounds[0], null);
+    assert.match(status[0].error, /returned no images/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('log lines go to options.logger, not the console', { timeout: 5000 }, async (t) => {
+  const provider = stubProvider(async () => ({ success: false, error: 'boom', status: 500 }));
+  const lines = [];
+  const logger = { log: (...a) => lines.push(a.join(' ')), warn: (...a) => lines.push(a.join(' ')), error: (...a) => lines.push(a.join(' ')) };
+  const consoleLog = t.mock.method(console, 'log', () => {});
+  const dir = tempDir();
+  try {
+    await generateBackgrounds(
+      provider, dir, 'test style', [], [{ type: 'title', title: 'T' }], resolveTheme(), { retries: 0, logger }
+    );
+    assert.equal(consoleLog.mock.callCount(), 0);
+    assert.ok(lines.some(line => /boom/.test(line)), lines.join('\n'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an auth failure mid-build aborts, or fails once the wait for credentials runs out', { timeout: 5000 }, async () => {
+  const slides = [{ type: 'title', title: 'T' }, { type: 'content', title: 'C', bullets: ['a'] }];
+  for (const [options, message] of [
+    [{}, /stub authentication failed mid-build: token revoked\. Refresh the credentials and rerun\.$/],
+    [{ onAuthFailure: 'wait', authWaitMs: 0 }, /stub credentials were not refreshed within 0 min: token revoked$/],
+  ]) {
+    const provider = stubProvider(async () => ({ success: false, error: 'token revoked', status: 401 }));
+    const dir = tempDir();
+    try {
+      await assert.rejects(generateBackgrounds(provider, dir, 'test style', [], slides, resolveTheme(), {
+        retries: 3, logger: { log() {}, warn() {}, error() {} }, ...options,
+      }), message);
+      // Auth failures are not retried, and the other slides are not requested
+      assert.equal(provider.calls, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+});
+
+// === Seeds ===
+
+const sharp = require('sharp');
+
+// Provider echoing the seed it was asked for, with a 16x9 PNG
+function seedEcho() {
+  let png = null;
+  return stubProvider(async (prompt, { seed }) => {
+    png = png || (await sharp({ create: { width: 16, height: 9, channels: 3, background: '#203040' } }).png().toBuffer()).toString('base64');
+    return { success: true, images: [png], seed: seed ?? 999 };
+  });
+}
+
+test('a deck seed gives every slide a stable seed of its own; slide seeds win', { timeout: 10000 }, async () => {
+  const slides = [
+    { type: 'title', title: 'T' },
+    { type: 'content', title: 'A', bullets: [] },
+    { type: 'content', title: 'B', bullets: [] },
+    { type: 'content', title: 'C', bullets: [], seed: 7 },
+  ];
+  const seeds = async options => {
+    const dir = tempDir();
+    try {
+      const { status } = await generateBackgrounds(seedEcho(), dir, 'test style', [], slides, resolveTheme(), { crop: null, ...options });
+      return status.map(s => s.seed);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  const first = await seeds({ seed: 42 });
+  assert.deepEqual(await seeds({ seed: 42 }), first);
+  assert.equal(first[3], 7);
+  assert.equal(new Set(first).size, 4, 'slides of the same type get different seeds');
+  assert.ok(first.every(seed => Number.isInteger(seed) && seed >= 0 && seed < 2147483647));
+  assert.notDeepEqual((await seeds({ seed: 43 })).slice(0, 3), first.slice(0, 3));
+
+  // Without a deck seed the provider picks (here: 999); forced slides without their own seed do too
+  assert.deepEqual(await seeds({}), [999, 999, 999, 7]);
+  assert.deepEqual(await seeds({ seed: 42, force: [1, 3] }), [first[0], 999, first[2], 7]);
+});
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+
+const { createHttpProvider } = require('../lib/http-provider.cjs');
+const { buildPresentation } = require('../lib/build-presentation.cjs');
+const { withRetry, FAILURE } = require('../lib/whisk-client.cjs');
+
+const PNG_SIGNATURE = '89504e470d0a1a0a';
+
+function image(format) {
+  return sharp({ create: { width: 8, height: 8, channels: 3, background: '#204080' } })[format]().toBuffer();
+}
+
+function isPng(base64) {
+  return Buffer.from(base64, 'base64').subarray(0, 8).toString('hex') === PNG_SIGNATURE;
+}
+
+/**
+ * Local images/generations endpoint; `replies` are served in turn (the last one repeats)
+ * Each reply: { status?, headers?, body?: object, data?: (port) => object[] }
+ */
+async function stubServer(replies) {
+  const requests = [];
+  const files = { '/files/bg.jpg': await image('jpeg'), '/files/bg.webp': await image('webp') };
+  const server = http.createServer((req, res) => {
+    if (files[req.url]) {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      res.end(files[req.url]);
+      return;
+    }
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+      const reply = replies[Math.min(requests.length - 1, replies.length - 1)];
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+      res.end(JSON.stringify(reply.data ? { data: reply.data(server.address().port) } : reply.body || {}));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1` };
+}
+
+function provider(baseUrl, options = {}) {
+  return createHttpProvider({ baseUrl, apiKey: 'sk-test', apiKeyEnv: false, model: 'stub-model', ...options });
+}
+
+test('b64_json responses are returned as PNG', async () => {
+  const png = (await image('png')).toString('base64');
+  const stub = await stubServer([{ data: () => [{ b64_json: png }] }]);
+  try {
+    const result = await provider(stub.baseUrl).generate('a prompt', { aspectRatio: '16:9' });
+    assert.equal(result.success, true);
+    assert.equal(result.images[0], png);
+    const [request] = stub.requests;
+    assert.equal(request.url, '/v1/images/generations');
+    assert.equal(request.headers.authorization, 'Bearer sk-test');
+    assert.deepEqual(request.body, { model: 'stub-model', prompt: 'a prompt', n: 1, size: '1792x1024', response_format: 'b64_json' });
+  } finally {
+    stub.server.close();
+  }
+});
+
+test('url responses are downloaded, and JPEG and WebP are converted to PNG', async () => {
+  const jpeg = (await image('jpeg')).toString('base64');
+  const stub = await stubServer([{
+    data: port => [
+      { url: `http://127.0.0.1:${port}/files/bg.jpg` },
+      { url: `http://127.0.0.1:${port}/files/bg.webp` },
+      { b64_json: jpeg },
+    ],
+  }]);
+  try {
+    const result = await provider(stub.baseUrl, { responseFormat: 'url' }).generate('a prompt');
+    assert.equal(result.success, true);
+    assert.equal(result.images.length, 3);
+    for (const data of result.images) {
+      assert.ok(isPng(data));
+      assert.deepEqual(await sharp(Buffer.from(data, 'base64')).metadata().then(m => [m.width, m.height]), [8, 8]);
+    }
+    assert.equal(stub.requests[0].body.response_format, 'url');
+  } finally {
+    stub.server.close();
+  }
+});
+
+test('a 429 is retried after its Retry-After delay', async () => {
+  const png = (await image('png')).toString('base64');
+  const stub = await stubServer([
+    { status: 429, headers: { 'Retry-After': '0' }, body: { error: { message: 'Rate limit reached' } } },
+    { data: () => [{ b64_json: png }] },
+  ]);
+  try {
+    const delays = [];
+    const result = await withRetry(() => provider(stub.baseUrl).generate('a prompt'), {
+      baseDelayMs: 1, onRetry: ({ delayMs }) => delays.push(delayMs),
+    });
+    assert.equal(result.success, true);
+    assert.equal(result.attempts, 2);
+    assert.deepEqual(delays, [0]);
+    assert.equal(stub.requests.length, 2);
+  } finally {
+    stub.server.close();
+  }
+});
+
+test('a 401 is an auth failure and is not retried', async () => {
+  const stub = await stubServer([{ status: 401, body: { error: { message: 'Invalid API key' } } }]);
+  try {
+    const result = await withRetry(() => provider(stub.baseUrl).generate('a prompt'), { baseDelayMs: 1 });
+    assert.equal(result.success, false);
+    assert.equal(result.failure, FAILURE.AUTH);
+    assert.equal(result.status, 401);
+    assert.match(result.error, /Invalid API key/);
+    assert.equal(stub.requests.length, 1);
+  } finally {
+    stub.server.close();
+  }
+});
+
+test('available() reports a missing API key variable', async () => {
+  delete process.env.AI_PPTX_TEST_MISSING_KEY;
+  const availability = await createHttpProvider({ apiKeyEnv: 'AI_PPTX_TEST_MISSING_KEY' }).available();
+  assert.deepEqual(availability, { ok: false, reason: 'AI_PPTX_TEST_MISSING_KEY is not set' });
+});
+
+test('the CLI test mode retries a 429 like a build', async () => {
+  const png = (await image('png')).toString('base64');
+  const stub = await stubServer([
+    { status: 429, headers: { 'Retry-After': '0' }, body: { error: { message: 'Rate limit reached' } } },
+    { data: () => [{ b64_json: png }] },
+  ]);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  try {
+    const outPath = path.join(dir, 'test.png');
+    const stdout = await new Promise((resolve, reject) => {
+      execFile(process.execPath, [
+        path.join(__dirname, '..', 'lib', 'http-provider.cjs'), 'test', '--base-url', stub.baseUrl, '--api-key-env', 'AI_PPTX_TEST_KEY', '--output', outPath,
+      ], { env: { ...process.env, AI_PPTX_TEST_KEY: 'sk-test' }, timeout: 20000 }, (error, out) => (error ? reject(error) : resolve(out)));
+    });
+    assert.match(stdout, /Retrying/);
+    assert.match(stdout, /Success!/);
+    assert.ok(isPng(fs.readFileSync(outPath).toString('base64')));
+  } finally {
+    stub.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('without sendSeed the seed is not sent, not cached, and --seed warns', { timeout: 120000 }, async () => {
+  const png = (await image('png')).toString('base64');
+  const stub = await stubServer([{ data: () => [{ b64_json: png }] }]);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  try {
+    assert.equal(provider(stub.baseUrl).seeds, false);
+    assert.equal(provider(stub.baseUrl, { sendSeed: true }).seeds, true);
+
+    const warnings = [];
+    const deck = seed => ({
+      name: `seed-${seed}`, style: 'test', outputBase: dir, cache: path.join(dir, 'cache'), seed, autoFit: false,
+      provider: { type: 'openai', baseUrl: stub.baseUrl, apiKeyEnv: false, model: 'stub-model' },
+      logger: { log() {}, warn: message => warnings.push(message), error() {} },
+      slides: [{ type: 'title', title: 'Deck' }],
+    });
+    const first = await buildPresentation(deck(1));
+    assert.equal(stub.requests.length, 1);
+    assert.equal(stub.requests[0].body.seed, undefined);
+    assert.equal(first.backgroundStatus[0].seed, undefined);
+    assert.deepEqual(warnings, ['Warning: The openai provider does not take seeds; --seed and slide seeds have no effect']);
+
+    // Another seed would give the same image, so the cached one is used
+    const second = await buildPresentation(deck(2));
+    assert.equal(stub.requests.length, 1);
+    assert.equal(second.backgroundStatus[0].cached, true);
+  } finally {
+    stub.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const { imageSettings, compressionSteps, writeEmbeddedImages } = require('../lib/image-optimizer.cjs');
+const { buildPresentation } = require('../lib/build-presentation.cjs');
+const { openZip } = require('../lib/pptx-deck.cjs');
+
+test('imageSettings fills defaults, converts the budget and rejects bad values', () => {
+  assert.deepEqual(imageSettings(), { quality: 85, width: 1920, maxBytes: null });
+  assert.deepEqual(imageSettings({ quality: 70 }, 2.5), { quality: 70, width: 1920, maxBytes: 2621440 });
+  assert.equal(imageSettings(false), null);
+  assert.throws(() => imageSettings(false, 10), /maxDeckSizeMB needs image optimization/);
+  assert.throws(() => imageSettings({ quality: 0 }), /images\.quality must be 1-100/);
+  assert.throws(() => imageSettings({ width: 100 }), /images\.width must be at least 320/);
+  assert.throws(() => imageSettings({}, -1), /maxDeckSizeMB must be a positive number/);
+});
+
+test('compression tightens quality down to 45 before it reduces the resolution', () => {
+  const format = steps => steps.map(({ quality, width }) => `${quality}@${width}`);
+  assert.deepEqual(format(compressionSteps({ quality: 85, width: 1920 })),
+    ['85@1920', '75@1920', '65@1920', '55@1920', '45@1920', '45@1600', '45@1280', '45@960']);
+  assert.deepEqual(format(compressionSteps({ quality: 40, width: 1280 })), ['40@1280', '40@960']);
+});
+
+test('backgrounds are embedded as JPEG at the target width, never enlarged', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  try {
+    const large = path.join(dir, 'bg-0-title.png');
+    const small = path.join(dir, 'bg-1-content.png');
+    await sharp({ create: { width: 1920, height: 1080, channels: 4, background: { r: 30, g: 60, b: 120, alpha: 0.8 } } })
+      .png().toFile(large);
+    await sharp({ create: { width: 800, height: 450, channels: 3, background: '#204080' } }).png().toFile(small);
+
+    const assets = await writeEmbeddedImages([large, small], path.join(dir, 'embedded'), { quality: 60, width: 1280 });
+    assert.deepEqual(assets.map(a => [a.index, a.source, path.basename(a.path)]),
+      [[0, large, 'bg-0-title.jpg'], [1, small, 'bg-1-content.jpg']]);
+    const sizes = [];
+    for (const asset of assets) {
+      const { format, width, height, hasAlpha } = await sharp(asset.path).metadata();
+      sizes.push({ format, width, height, hasAlpha });
+      assert.equal(asset.bytes, fs.statSync(asset.path).size);
+    }
+    assert.deepEqual(sizes, [
+      { format: 'jpeg', width: 1280, height: 720, hasAlpha: false },
+      { format: 'jpeg', width: 800, height: 450, hasAlpha: false },
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a deck over budget is re-assembled at lower JPEG quality before any lower resolution', { timeout: 300000 }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  const lines = [];
+  const deck = {
+    name: 'budget', style: 'noise grain texture', seed: 7, provider: 'procedural', cache: false, outputBase: dir,
+    slides: Array.from({ length: 4 }, (_, i) => ({ type: 'content', title: `Slide ${i + 1}`, bullets: ['a'] })),
+    logger: { log: line => lines.push(line), warn() {}, error() {} },
+  };
+  try {
+    const first = await buildPresentation(deck);
+    assert.deepEqual({ ...first.deckSize, bytes: undefined },
+      { bytes: undefined, maxBytes: null, fits: true, quality: 85, width: 1920, passes: 1 });
+    // The PPTX carries the JPEGs, not the PNG backgrounds
+    const zip = openZip(fs.readFileSync(first.pptxPath));
+    const media = zip.names.filter(name => /^ppt\/media\/.+/.test(name));
+    assert.equal(media.length, 4);
+    for (const name of media) assert.equal(zip.read(name).subarray(0, 3).toString('hex'), 'ffd8ff', name);
+    assert.deepEqual(first.assets.map(asset => path.extname(asset.path)), ['.jpg', '.jpg', '.jpg', '.jpg']);
+
+    // A budget just under that size: one quality step down fits, at full width
+    const maxDeckSizeMB = (first.deckSize.bytes - 1) / (1024 * 1024);
+    lines.length = 0;
+    const second = await buildPresentation({ ...deck, maxDeckSizeMB });
+    const passes = lines.filter(line => /^ {2}Pass \d+:/.test(line)).map(line => line.match(/quality (\d+), (\d+)px/).slice(1).join('@'));
+    assert.deepEqual(passes, ['85@1920', '75@1920']);
+    assert.deepEqual({ ...second.deckSize, bytes: undefined, maxBytes: undefined },
+      { bytes: undefined, maxBytes: undefined, fits: true, quality: 75, width: 1920, passes: 2 });
+    assert.ok(second.deckSize.bytes <= second.deckSize.maxBytes);
+    assert.equal(second.deckSize.bytes, fs.statSync(second.pptxPath).size);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { markdownToDeck } = require('../lib/markdown-deck.cjs');
+const { markdownToNotes, stripInlineMarkup } = require('../lib/notes.cjs');
+const { validateDeck } = require('../lib/deck-schema.cjs');
+
+const OUTLINE = `---
+name: q4-review
+style: dark navy with soft gradients
+theme: corporate
+---
+
+# Q4 Review
+Results and outlook
+January 2026
+
+## Highlights
+- Revenue up **23%**
+- Three \`new\` [markets](https://example.com)
+
+\`\`\`notes
+Thank the **EMEA** team
+\`\`\`
+
+---
+
+## Revenue by quarter
+- **$4.2M** Revenue
+- **156** New clients
+
+| Quarter | 2025 | 2026 |
+|---------|-----:|-----:|
+| Q1      | 3.1  | 4.2  |
+| Q2      | 3.4  | 4.6  |
+
+## Regions
+| Region | Lead |
+|:-------|-----:|
+| EMEA   | Ana  |
+`;
+
+test('an outline maps to title, content, data and table slides', () => {
+  const { deck, warnings } = markdownToDeck(OUTLINE);
+  assert.deepEqual(warnings, []);
+  assert.equal(deck.name, 'q4-review');
+  assert.equal(deck.theme, 'corporate');
+  assert.deepEqual(deck.slides.map(s => s.type), ['title', 'content', 'data', 'table']);
+
+  const [title, content, data, table] = deck.slides;
+  assert.deepEqual(title, { type: 'title', title: 'Q4 Review', subtitle: 'Results and outlook', date: 'January 2026' });
+  assert.deepEqual(content.bullets, ['Revenue up 23%', 'Three new markets']);
+  assert.equal(content.notes, 'Thank the **EMEA** team');
+  assert.deepEqual(data.metrics, [{ value: '$4.2M', label: 'Revenue' }, { value: '156', label: 'New clients' }]);
+  assert.deepEqual(data.chart.categories, ['Q1', 'Q2']);
+  assert.deepEqual(data.chart.series, [{ name: '2025', values: [3.1, 3.4] }, { name: '2026', values: [4.2, 4.6] }]);
+  assert.deepEqual(table.rows, [['EMEA', 'Ana']]);
+
+  assert.deepEqual(validateDeck(deck), []);
+});
+
+test('title slide paragraphs beyond the subtitle and date are reported', () => {
+  const { deck, warnings } = markdownToDeck('# Launch\nSubtitle\nMay 2026\n\nA closing thought\n\nAnother one\n');
+  assert.equal(deck.slides[0].date, 'May 2026');
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0].line, 1);
+  assert.match(warnings[0].message, /line 1: .*"# Launch".*2 more paragraph\(s\) ignored/);
+});
+
+test('content without a slide is reported with its line', () => {
+  const { warnings } = markdownToDeck('Intro text\n\n# Title\n- a list\n');
+  assert.deepEqual(warnings.map(w => w.line), [1, 3]);
+});
+
+test('inline markup is stripped the same way in slides and notes', () => {
+  assert.equal(stripInlineMarkup('**bold**, __bold__, *em*, _em_ and `code`; snake_case and 2*3*4 stay'),
+    'bold, bold, em, em and code; snake_case and 2*3*4 stay');
+  const { deck } = markdownToDeck('## T\n- **a** _b_ `c`\n');
+  assert.deepEqual(deck.slides[0].bullets, ['a b c']);
+  assert.equal(markdownToNotes('# Notes\n- **a** _b_ `c` [link](https://x.y)'), 'Notes\n• a b c link (https://x.y)');
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { markdownToNotes } = require('../lib/notes.cjs');
+
+test('notes markdown is flattened to presenter-notes text', () => {
+  const cases = [
+    [undefined, ''],
+    ['', ''],
+    ['Plain sentence.', 'Plain sentence.'],
+    ['## Opening\nWelcome everyone', 'Opening\nWelcome everyone'],
+    ['- first\n* second\n+ third', '• first\n• second\n• third'],
+    ['- top\n  - nested\n    - deeper', '• top\n  • nested\n    • deeper'],
+    ['Read [the report](https://example.com/q4) first', 'Read the report (https://example.com/q4) first'],
+    ['\n\nPause here   \n\n\nThen continue\n\n', 'Pause here\n\n\nThen continue'],
+    ['Line one\r\nLine two', 'Line one\nLine two'],
+  ];
+  for (const [markdown, expected] of cases) assert.equal(markdownToNotes(markdown), expected, JSON.stringify(markdown));
+});
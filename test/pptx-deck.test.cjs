@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildPresentation } = require('../lib/build-presentation.cjs');
+const { pptxToDeck } = require('../lib/pptx-deck.cjs');
+const { checkDeck } = require('../lib/deck-schema.cjs');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+test('a branded deck built here re-imports without its footer, label or slide numbers, with its notes', { timeout: 180000 }, async () => {
+  const slides = [
+    { type: 'title', title: 'Q4 Review', subtitle: 'Results and outlook' },
+    {
+      type: 'content', title: 'Highlights', bullets: ['Revenue up 23%', 'Three new markets'],
+      notes: '## Talking points\n- **Revenue** beat the plan\n  - see [the report](https://example.com/q4)',
+    },
+    {
+      type: 'data',
+      title: 'Revenue',
+      metrics: [{ value: '$4.2M', label: 'Revenue' }, { value: '156', label: 'New clients' }],
+      chart: { type: 'bar', categories: ['Q1', 'Q2'], series: [{ name: '2026', values: [3, 4] }] },
+    },
+    { type: 'closing', heading: 'Thank You', contactLines: ['ceo@company.com'] },
+  ];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  try {
+    const { pptxPath, notes } = await buildPresentation({
+      name: 'round-trip', style: 'test', provider: 'procedural', cache: false, outputBase: dir, logger: quiet,
+      brand: { footer: 'Acme', confidential: true, numbering: '{n} / {total}' },
+      slides,
+    });
+    // Speaker notes are written as flattened markdown, and come back that way
+    const flattened = 'Talking points\n• Revenue beat the plan\n  • see the report (https://example.com/q4)';
+    assert.deepEqual(notes, ['', flattened, '', '']);
+    const { deck, warnings } = pptxToDeck(fs.readFileSync(pptxPath));
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(deck.slides, slides.map((slide, i) => (i === 1 ? { ...slide, notes: flattened } : slide)));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// === Zip reader ===
+
+const zlib = require('zlib');
+const PptxGenJS = require('pptxgenjs');
+const { openZip } = require('../lib/pptx-deck.cjs');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip archive of the given entries, stored (method 0) or deflated (8); with `descriptor` the local headers
+ * carry no sizes or CRC and a data descriptor follows each entry, as streaming zip writers produce
+ */
+function writeZip(files, { method, descriptor }) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of files) {
+    const nameBytes = Buffer.from(name, 'utf-8');
+    const data = method === 8 ? zlib.deflateRawSync(content) : content;
+    const crc = crc32(content);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(descriptor ? 0x0008 : 0, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(descriptor ? 0 : crc, 14);
+    local.writeUInt32LE(descriptor ? 0 : data.length, 18);
+    local.writeUInt32LE(descriptor ? 0 : content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const parts = [local, nameBytes, data];
+    if (descriptor) {
+      const dd = Buffer.alloc(16);
+      dd.writeUInt32LE(0x08074b50, 0);
+      dd.writeUInt32LE(crc, 4);
+      dd.writeUInt32LE(data.length, 8);
+      dd.writeUInt32LE(content.length, 12);
+      parts.push(dd);
+    }
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(descriptor ? 0x0008 : 0, 8);
+    entry.writeUInt16LE(method, 10);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(content.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBytes);
+    locals.push(...parts);
+    offset += parts.reduce((sum, part) => sum + part.length, 0);
+  }
+  const directory = Buffer.concat(central);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, eocd]);
+}
+
+async function pptxgenDeck() {
+  const pres = new PptxGenJS();
+  pres.layout = 'LAYOUT_16x9';
+  const first = pres.addSlide();
+  first.addText('Q4 Review', { x: 0.5, y: 1.5, w: 9, h: 1, fontSize: 40 });
+  first.addText('Results and outlook', { x: 0.5, y: 2.6, w: 9, h: 0.6, fontSize: 20 });
+  const second = pres.addSlide();
+  second.addText('Highlights', { x: 0.5, y: 0.4, w: 9, h: 0.8, fontSize: 32 });
+  second.addText([
+    { text: 'Revenue up 23%', options: { bullet: true, breakLine: true } },
+    { text: 'Three new markets', options: { bullet: true, breakLine: true } },
+    { text: 'Café & crème in 5 cities', options: { bullet: true } },
+  ], { x: 0.5, y: 1.5, w: 9, h: 2.5, fontSize: 18 });
+  second.addNotes('Thank the EMEA team\n\n- then questions');
+  return pres.write({ outputType: 'nodebuffer' });
+}
+
+const EXPECTED_SLIDES = [
+  { type: 'title', title: 'Q4 Review', subtitle: 'Results and outlook' },
+  { type: 'content', title: 'Highlights', bullets: ['Revenue up 23%', 'Three new markets', 'Café & crème in 5 cities'], notes: 'Thank the EMEA team\n\n- then questions' },
+];
+
+test('a PptxGenJS deck (stored entries) imports', async () => {
+  const { deck, warnings } = pptxToDeck(await pptxgenDeck(), { name: 'q4' });
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(deck, { name: 'q4', slides: EXPECTED_SLIDES });
+});
+
+test('deflated and data-descriptor entries read the same as stored ones', async () => {
+  const original = openZip(await pptxgenDeck());
+  const files = original.names.map(name => [name, original.read(name)]);
+  for (const options of [{ method: 8, descriptor: false }, { method: 8, descriptor: true }, { method: 0, descriptor: true }]) {
+    const zip = openZip(writeZip(files, options));
+    assert.deepEqual(zip.names, original.names);
+    for (const [name, content] of files) assert.ok(zip.read(name).equals(content), `${name} ${JSON.stringify(options)}`);
+    assert.deepEqual(pptxToDeck(writeZip(files, options)).deck.slides, EXPECTED_SLIDES, JSON.stringify(options));
+  }
+});
+
+test('files that are not a readable .pptx are rejected', () => {
+  assert.throws(() => pptxToDeck(Buffer.from('not a zip at all, just some text')), /not a \.pptx file/);
+  assert.throws(() => pptxToDeck(writeZip([['hello.txt', Buffer.from('hi')]], { method: 0 })), /ppt\/presentation\.xml missing/);
+  const bzip = writeZip([['ppt/presentation.xml', Buffer.from('<p:presentation/>')]], { method: 12 });
+  assert.throws(() => pptxToDeck(bzip), /unsupported zip compression method 12/);
+});
+
+test('chart series with missing or extra cached points get one value per category', async () => {
+  const pres = new PptxGenJS();
+  pres.layout = 'LAYOUT_16x9';
+  const slide = pres.addSlide();
+  slide.addText('Revenue', { x: 0.5, y: 0.3, w: 9, h: 0.8, fontSize: 32 });
+  const labels = ['Q1', 'Q2', 'Q3'];
+  slide.addChart(pres.ChartType.bar, [{ name: '2025', labels, values: [1, 2, 3] }, { name: '2026', labels, values: [4, 5, 6] }],
+    { x: 1, y: 1.5, w: 8, h: 3.5 });
+  const original = openZip(await pres.write({ outputType: 'nodebuffer' }));
+  // 2025 loses its Q2 point (a sparse cache), 2026 gains a fourth point without a category
+  const files = original.names.map(name => {
+    let content = original.read(name);
+    if (/^ppt\/charts\/chart\d+\.xml$/.test(name)) {
+      content = Buffer.from(content.toString('utf-8')
+        .replace('<c:pt idx="1"><c:v>2</c:v></c:pt>', '')
+        .replace('<c:pt idx="2"><c:v>6</c:v></c:pt>', '<c:pt idx="2"><c:v>6</c:v></c:pt><c:pt idx="3"><c:v>7</c:v></c:pt>'));
+    }
+    return [name, content];
+  });
+
+  const { deck, warnings } = pptxToDeck(writeZip(files, { method: 8, descriptor: false }), { name: 'charts' });
+  assert.deepEqual(deck.slides[0].chart, {
+    type: 'bar',
+    categories: labels,
+    series: [{ name: '2025', values: [1, 0, 3] }, { name: '2026', values: [4, 5, 6] }],
+  });
+  assert.deepEqual(warnings.map(w => w.message), [
+    'slide 1: chart series "2025" has no value for 1 of 3 categories; imported as 0',
+    'slide 1: chart series "2026" has 1 value(s) beyond the 3 categories; dropped',
+  ]);
+  assert.deepEqual(checkDeck({ ...deck, style: 'test' }).errors, []);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const procedural = require('../lib/procedural-provider.cjs');
+
+test('the same prompt and seed give identical bytes, another seed a different image', async () => {
+  const prompt = 'dark navy mesh gradient with gold glow';
+  const first = await procedural.generate(prompt, { seed: 42 });
+  const again = await procedural.generate(prompt, { seed: 42 });
+  const other = await procedural.generate(prompt, { seed: 43 });
+  assert.equal(first.seed, 42);
+  assert.equal(again.images[0], first.images[0]);
+  assert.notEqual(other.images[0], first.images[0]);
+});
+
+test('greyscale and transparent references yield RGB colors', async () => {
+  const pixel = background => ({ create: { width: 16, height: 16, channels: background.alpha ? 4 : 3, background } });
+  const grey = await sharp(pixel({ r: 128, g: 128, b: 128 })).toColourspace('b-w').png().toBuffer();
+  const greyAlpha = await sharp(pixel({ r: 200, g: 200, b: 200, alpha: 0.5 })).toColourspace('b-w').png().toBuffer();
+  const rgba = await sharp(pixel({ r: 255, g: 0, b: 0, alpha: 0.5 })).png().toBuffer();
+  assert.equal((await sharp(grey).metadata()).channels, 1);
+  assert.equal((await sharp(greyAlpha).metadata()).channels, 2);
+
+  const colors = async image => (await procedural.uploadReference(image.toString('base64'))).ref.colors;
+  assert.deepEqual(await colors(grey), ['#787878', '#808080']);
+  assert.deepEqual(await colors(greyAlpha), ['#c8c8c8', '#c8c8c8']);
+  assert.deepEqual(await colors(rgba), ['#f80808', '#ff0000']);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const { readabilitySettings, assessReadability, readableTheme, contrastRatio } = require('../lib/readability.cjs');
+const { resolveTheme } = require('../lib/themes.cjs');
+
+const REGION = { left: 40, top: 100, width: 640, height: 200 };
+
+async function withBackground(background, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  const file = path.join(dir, 'bg.png');
+  try {
+    await sharp({ create: { width: 192, height: 108, channels: 3, background } }).png().toFile(file);
+    return await fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('contrast ratios follow WCAG 2.x', () => {
+  assert.equal(contrastRatio('#000000', '#ffffff'), 21);
+  assert.equal(contrastRatio('#ffffff', '#000000'), 21);
+  assert.equal(contrastRatio('#3366cc', '#3366cc'), 1);
+  // #777 on white is the classic just-below-AA gray
+  assert.equal(Math.round(contrastRatio('#777777', '#ffffff') * 100) / 100, 4.48);
+  assert.equal(Math.round(contrastRatio('#767676', '#ffffff') * 100) / 100, 4.54);
+});
+
+test('settings: false disables, objects override the defaults', () => {
+  assert.equal(readabilitySettings(false), null);
+  assert.deepEqual(readabilitySettings(), { target: 4.5, minOpacity: 0.2, maxOpacity: 0.85 });
+  assert.deepEqual(readabilitySettings({ target: 7 }), { target: 7, minOpacity: 0.2, maxOpacity: 0.85 });
+  assert.throws(() => readabilitySettings({ minOpacity: 0.9 }), /minOpacity \(0.9\) is above maxOpacity/);
+});
+
+test('a dark background keeps the theme colors at the lightest overlay', async () => {
+  const result = await withBackground('#101010', file => assessReadability(file, REGION, resolveTheme('dark'), readabilitySettings()));
+  assert.equal(result.swapped, false);
+  assert.equal(result.textColor, '#ffffff');
+  assert.equal(result.opacity, 0.2);
+  assert.ok(result.meetsTarget && result.contrast >= 4.5);
+  assert.equal(result.busyness, 0);
+});
+
+test('a white background swaps to dark text over a light overlay', async () => {
+  const theme = resolveTheme('dark');
+  const result = await withBackground('#ffffff', file => assessReadability(file, REGION, theme, readabilitySettings()));
+  // White text would need a black overlay of at least 55%; black text meets the target at the minimum
+  assert.equal(result.swapped, true);
+  assert.equal(result.textColor, '#000000');
+  assert.equal(result.overlayColor, '#ffffff');
+  assert.equal(result.opacity, 0.2);
+  assert.equal(result.luminance.mean, 1);
+
+  const slideTheme = readableTheme(theme, result);
+  assert.equal(slideTheme.colors.text, '#000000');
+  assert.equal(slideTheme.colors.accent, '#000000', 'a white accent would vanish on the white overlay');
+  assert.equal(slideTheme.overlay.opacity, 0.2);
+});
+
+test('the opacity rises in steps until the target is met, or reports the best it reached', async () => {
+  const theme = resolveTheme('dark');
+  const gray = await withBackground('#bbbbbb', file => assessReadability(file, REGION, theme, readabilitySettings({ target: 3 })));
+  assert.equal(gray.swapped, false);
+  assert.ok(gray.opacity > 0.2 && gray.opacity < 0.85, String(gray.opacity));
+  assert.ok(gray.contrast >= 3);
+
+  const capped = await withBackground('#808080', file => assessReadability(
+    file, REGION, theme, readabilitySettings({ target: 21, minOpacity: 0.2, maxOpacity: 0.3 })
+  ));
+  assert.equal(capped.meetsTarget, false);
+  assert.equal(capped.opacity, 0.3);
+  assert.ok(capped.contrast < 21);
+});
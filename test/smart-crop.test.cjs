@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+
+const { cropSettings, fitBackground, SLIDE_PX } = require('../lib/smart-crop.cjs');
+
+// Left 65% of the slide (pt), where content slides put their text
+const TEXT_REGION = { left: 0, top: 0, width: 468, height: 405 };
+
+/**
+ * Provider-sized PNG, flat grey except for a striped (high-detail) band on one side
+ */
+async function busyOn(side, width = 1792, height = 1024) {
+  const band = Math.round(width * 0.3);
+  const stripes = Array.from({ length: Math.floor(band / 16) }, (_, i) =>
+    `<rect x="${(side === 'left' ? 0 : width - band) + i * 16}" y="0" width="8" height="${height}" fill="#ffffff"/>`).join('');
+  const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    <rect width="${width}" height="${height}" fill="#404040"/>${stripes}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+async function withImage(image, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  try {
+    const file = path.join(dir, 'bg.png');
+    fs.writeFileSync(file, image);
+    return await fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('cropSettings fills defaults, disables with false and rejects unknown strategies', () => {
+  assert.deepEqual(cropSettings(), { strategy: 'attention', mirror: false });
+  assert.deepEqual(cropSettings({ mirror: true }), { strategy: 'attention', mirror: true });
+  assert.equal(cropSettings(false), null);
+  assert.throws(() => cropSettings({ strategy: 'edges' }), /Unknown crop strategy "edges"/);
+});
+
+test('every strategy resizes provider images to slide pixels', async () => {
+  for (const [width, height] of [[1792, 1024], [1024, 1024], [1024, 1792]]) {
+    for (const strategy of ['attention', 'entropy', 'center']) {
+      await withImage(await busyOn('left', width, height), async file => {
+        assert.deepEqual(await fitBackground(file, { strategy, mirror: false }, TEXT_REGION), { mirrored: false });
+        const { width: w, height: h } = await sharp(fs.readFileSync(file)).metadata();
+        assert.deepEqual({ width: w, height: h }, SLIDE_PX, `${width}x${height} ${strategy}`);
+      });
+    }
+  }
+});
+
+test('mirroring moves detail out from under the text region, and only then', async () => {
+  const settings = { strategy: 'center', mirror: true };
+  await withImage(await busyOn('left'), async file => {
+    const result = await fitBackground(file, settings, TEXT_REGION);
+    assert.equal(result.mirrored, true);
+    assert.ok(result.detail.mirrored < result.detail.text);
+    // The stripes now sit on the right
+    const { data } = await sharp(fs.readFileSync(file)).greyscale().raw().toBuffer({ resolveWithObject: true });
+    const rowMax = (x0, x1) => Math.max(...data.subarray(x0, x1));
+    assert.equal(rowMax(0, 400), 0x40);
+    assert.equal(rowMax(1520, 1920), 0xff);
+  });
+  await withImage(await busyOn('right'), async file => {
+    assert.equal((await fitBackground(file, settings, TEXT_REGION)).mirrored, false);
+  });
+  // No text region (or mirror off): never mirrored
+  await withImage(await busyOn('left'), async file => {
+    assert.deepEqual(await fitBackground(file, settings, null), { mirrored: false });
+  });
+});
+
+test('the CLI rejects --mirror when cropping is off', async () => {
+  const run = args => new Promise(resolve => {
+    execFile(process.execPath, [path.join(__dirname, '..', 'lib', 'build-presentation.cjs'), ...args],
+      { timeout: 20000 }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stderr }));
+  });
+  const noCrop = await run(['--name', 'x', '--style', 'y', '--crop', 'none', '--mirror']);
+  assert.equal(noCrop.code, 1);
+  assert.match(noCrop.stderr, /--mirror cannot be combined with --crop none/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  try {
+    const config = path.join(dir, 'deck.json');
+    fs.writeFileSync(config, JSON.stringify({ name: 'x', style: 'y', crop: false, slides: [{ type: 'title', title: 'T' }] }));
+    const deckOff = await run(['--config', config, '--mirror']);
+    assert.equal(deckOff.code, 1);
+    assert.match(deckOff.stderr, /--mirror needs cropping, but the deck sets crop: false/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
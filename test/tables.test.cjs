@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fitTable, paginateTableSlides } = require('../lib/tables.cjs');
+
+const rows = count => Array.from({ length: count }, (_, i) => [`Region ${i + 1}`, `$${i}.0M`]);
+
+test('a short table fits on one slide at the largest font', () => {
+  const { fontSize, pages } = fitTable({ title: 'T', columns: ['Region', 'Revenue'], rows: rows(3) });
+  assert.equal(fontSize, 14);
+  assert.equal(pages.length, 1);
+});
+
+test('a long table shrinks to the smallest font, then continues on more slides', () => {
+  const slide = { type: 'table', title: 'Results', columns: ['Region', 'Revenue'], rows: rows(60), notes: 'Say hi', seed: 7 };
+  const slides = paginateTableSlides([{ type: 'title', title: 'Deck' }, slide]);
+
+  assert.equal(slides[0].type, 'title');
+  const tables = slides.slice(1);
+  assert.ok(tables.length > 1);
+  assert.ok(tables.every(s => s.fontSize === 9));
+  assert.deepEqual(tables.flatMap(s => s.rows), rows(60).map(row => row.map(String)));
+  assert.equal(tables[0].title, 'Results');
+  assert.equal(tables[0].notes, 'Say hi');
+  assert.equal(tables[0].seed, 7);
+  for (const rest of tables.slice(1)) {
+    assert.equal(rest.title, 'Results (cont.)');
+    assert.equal(rest.notes, undefined);
+    assert.equal('seed' in rest, false);
+  }
+});
+
+test('a fixed fontSize is kept and only paginates', () => {
+  const { fontSize, pages } = fitTable({ title: 'T', columns: ['A', 'B'], rows: rows(40), fontSize: 12 });
+  assert.equal(fontSize, 12);
+  assert.ok(pages.length > 1);
+});
+
+test('rows are padded to the column count and extra cells dropped instead of throwing', () => {
+  const { pages } = fitTable({ title: 'T', columns: ['A', 'B', 'C'], rows: [['1'], ['1', 2, null, 'extra']] });
+  assert.deepEqual(pages[0], [['1', '', ''], ['1', '2', '']]);
+});
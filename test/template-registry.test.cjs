@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { registerTemplate, getTemplate, templateTypes, loadTemplates } = require('../lib/template-registry.cjs');
+const { checkDeck } = require('../lib/deck-schema.cjs');
+
+const render = ({ title }) => `<body>${title}</body>`;
+
+test('built-in types are registered with defaults filled in', () => {
+  assert.deepEqual(templateTypes().slice(0, 3), ['title', 'content', 'data']);
+  assert.equal(getTemplate('nope'), null);
+
+  registerTemplate('test-minimal', { render });
+  const minimal = getTemplate('test-minimal');
+  assert.deepEqual(minimal.schema, { type: 'object' });
+  assert.deepEqual(minimal.fit, { minScale: 0.8 });
+  assert.equal(minimal.bgInstruction, '');
+  assert.equal(minimal.textRegion, null);
+
+  registerTemplate('test-region', { render, textRegion: { left: 0, top: 0, width: 100, height: 50 } });
+  assert.equal(getTemplate('test-region').textRegion.overlay, 'opacity');
+});
+
+test('invalid definitions are rejected with the reason', () => {
+  assert.throws(() => registerTemplate('Quote', { render }), /Invalid template type "Quote"/);
+  assert.throws(() => registerTemplate('content', { render }), /Template "content" is already registered/);
+  assert.throws(() => registerTemplate('test-no-render', {}), /needs a render\(slideData\) function/);
+  assert.throws(() => registerTemplate('test-gradient', { render, fallbackGradient: { from: '#000000', to: 'red' } }),
+    /fallbackGradient needs #rrggbb colors/);
+  assert.throws(() => registerTemplate('test-bad-region', { render, textRegion: { left: 0, top: 0, width: 10 } }),
+    /textRegion needs numeric left, top, width and height/);
+  assert.equal(getTemplate('test-no-render'), null);
+});
+
+test('a templates directory registers every module once, and its schemas validate decks', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  try {
+    const renderSource = 'render: ({ quote }) => `<body>${quote}</body>`';
+    fs.writeFileSync(path.join(dir, 'quote.cjs'), `module.exports = {
+      type: 'test-quote', ${renderSource},
+      schema: { type: 'object', required: ['type', 'quote'], properties: { type: { type: 'string' }, quote: { type: 'string' } } },
+    };`);
+    fs.writeFileSync(path.join(dir, 'pair.js'), `module.exports = [{ type: 'test-left', ${renderSource} }, { type: 'test-right', ${renderSource} }];`);
+    fs.writeFileSync(path.join(dir, 'README.md'), 'not a template');
+
+    assert.deepEqual(loadTemplates(dir), ['test-left', 'test-right', 'test-quote']);
+    assert.deepEqual(loadTemplates(dir), []);
+    assert.equal(getTemplate('test-quote').render({ quote: 'Less is more' }), '<body>Less is more</body>');
+
+    const deck = slides => ({ name: 'd', style: 's', slides });
+    assert.deepEqual(checkDeck(deck([{ type: 'test-quote', quote: 'Hi' }, { type: 'test-left' }])).errors, []);
+    assert.deepEqual(checkDeck(deck([{ type: 'test-quote' }])).errors.map(e => e.path), ['slides[0].quote']);
+
+    fs.writeFileSync(path.join(dir, 'broken.cjs'), 'module.exports = { render() {} };');
+    assert.throws(() => loadTemplates(dir), /broken\.cjs: template module must export \{ type, render, \.\.\. \}/);
+    assert.throws(() => loadTemplates(path.join(dir, 'missing')), /Templates directory not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
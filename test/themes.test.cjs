@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { resolveTheme, builtinThemeNames, primaryFont } = require('../lib/themes.cjs');
+
+test('built-in themes resolve by name, and dark is the default', () => {
+  assert.deepEqual(builtinThemeNames(), ['corporate', 'dark', 'light']);
+  for (const name of builtinThemeNames()) assert.equal(resolveTheme(name).name, name);
+  assert.deepEqual(resolveTheme(), resolveTheme('dark'));
+});
+
+test('user themes extend a built-in and override only what they set', () => {
+  const theme = resolveTheme({ extends: 'light', colors: { accent: '#ff6600' }, overlay: { opacity: 0.3 } });
+  const light = resolveTheme('light');
+  assert.equal(theme.name, 'light-custom');
+  assert.equal(theme.extends, undefined);
+  assert.deepEqual(theme.colors, { ...light.colors, accent: '#ff6600' });
+  assert.deepEqual(theme.overlay, { ...light.overlay, opacity: 0.3 });
+  assert.deepEqual(theme.gradients, light.gradients);
+  // Arrays replace rather than merge
+  assert.deepEqual(resolveTheme({ chart: { palette: ['#000000'] } }).chart.palette, ['#000000']);
+  assert.equal(resolveTheme({ name: 'acme' }).name, 'acme');
+});
+
+test('theme files are named after the file unless they set a name', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  try {
+    const file = path.join(dir, 'brand-blue.json');
+    fs.writeFileSync(file, JSON.stringify({ extends: 'corporate', colors: { accent: '#1e5bd8' } }));
+    const theme = resolveTheme(file);
+    assert.equal(theme.name, 'brand-blue');
+    assert.equal(theme.colors.accent, '#1e5bd8');
+    assert.equal(theme.fonts.heading, resolveTheme('corporate').fonts.heading);
+
+    fs.writeFileSync(file, '{ not json');
+    assert.throws(() => resolveTheme(file), error => error.message.startsWith(`${file}: `));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('unknown themes and invalid values are rejected', () => {
+  assert.throws(() => resolveTheme('neon'), /Unknown theme "neon" \(built-in: corporate, dark, light/);
+  assert.throws(() => resolveTheme({ extends: 'neon' }), /extends unknown theme "neon"/);
+  assert.throws(() => resolveTheme([]), /must be an object/);
+  assert.throws(() => resolveTheme({ colors: { text: 'white' } }), /Invalid theme object: .*colors\.text/);
+  assert.throws(() => resolveTheme({ overlay: { opacity: 2 } }), /Invalid theme object: .*overlay\.opacity/);
+});
+
+test('primaryFont takes the first family of a CSS list', () => {
+  assert.equal(primaryFont('"Segoe UI", Arial, sans-serif'), 'Segoe UI');
+  assert.equal(primaryFont('Georgia'), 'Georgia');
+});
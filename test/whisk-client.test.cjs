@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyFailure, withRetry, FAILURE } = require('../lib/whisk-client.cjs');
+
+// Request stub answering with the given results in turn
+function sequence(...results) {
+  let call = 0;
+  const request = async () => results[Math.min(call++, results.length - 1)];
+  request.calls = () => call;
+  return request;
+}
+
+test('withRetry returns the first success with the attempt count', async () => {
+  const request = sequence({ success: false, status: 503, error: 'busy' }, { success: true, images: ['x'] });
+  const result = await withRetry(request, { baseDelayMs: 1 });
+  assert.equal(result.success, true);
+  assert.equal(result.attempts, 2);
+});
+
+test('withRetry gives up after the configured retries', async () => {
+  const request = sequence({ success: false, status: 500, error: 'down' });
+  const result = await withRetry(request, { retries: 2, baseDelayMs: 1 });
+  assert.equal(request.calls(), 3);
+  assert.equal(result.failure, FAILURE.RETRYABLE);
+  assert.equal(result.attempts, 3);
+});
+
+test('withRetry does not retry auth or other failures', async () => {
+  for (const status of [401, 404]) {
+    const request = sequence({ success: false, status, error: 'no' });
+    await withRetry(request, { baseDelayMs: 1 });
+    assert.equal(request.calls(), 1);
+  }
+});
+
+test('withRetry caps Retry-After at maxDelayMs', async () => {
+  const delays = [];
+  const request = sequence({ success: false, status: 429, error: 'slow down', retryAfterMs: 3600 * 1000 }, { success: true });
+  await withRetry(request, { maxDelayMs: 5, onRetry: ({ delayMs }) => delays.push(delayMs) });
+  assert.deepEqual(delays, [5]);
+});
+
+test('withRetry uses a shorter Retry-After as given', async () => {
+  const delays = [];
+  const request = sequence({ success: false, status: 429, error: 'slow down', retryAfterMs: 2 }, { success: true });
+  await withRetry(request, { maxDelayMs: 50, onRetry: ({ delayMs }) => delays.push(delayMs) });
+  assert.deepEqual(delays, [2]);
+});
+
+test('classifyFailure sorts results by HTTP status first, then by the error text', () => {
+  const cases = [
+    // status, error, expected
+    [401, 'expired', FAILURE.AUTH],
+    [403, 'request BLOCKED', FAILURE.AUTH],
+    [408, 'timeout', FAILURE.RETRYABLE],
+    [429, 'rate limit policy exceeded', FAILURE.RETRYABLE],
+    [500, 'internal', FAILURE.RETRYABLE],
+    [503, 'upstream blocked', FAILURE.RETRYABLE],
+    [400, 'PUBLIC_ERROR_UNSAFE_GENERATION', FAILURE.CONTENT_POLICY],
+    [400, 'prohibited content', FAILURE.CONTENT_POLICY],
+    [undefined, 'Prompt blocked by SAFETY filter', FAILURE.CONTENT_POLICY],
+    [400, 'bad request', FAILURE.OTHER],
+    [404, 'policy not found', FAILURE.OTHER],
+    [413, undefined, FAILURE.OTHER],
+    [undefined, 'ECONNRESET', FAILURE.RETRYABLE],
+    [undefined, undefined, FAILURE.RETRYABLE],
+  ];
+  for (const [status, error, expected] of cases) {
+    assert.equal(classifyFailure({ status, error }), expected, `${status} ${error}`);
+  }
+});
+
+// === Token status ===
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { tokenStatus, loadToken, TOKEN_STATE } = require('../lib/whisk-client.cjs');
+
+test('tokenStatus reports each token state with the file and a usable flag', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-pptx-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const saved = { token: process.env.WHISK_TOKEN, file: process.env.WHISK_TOKEN_FILE };
+  t.after(() => {
+    for (const [name, value] of [['WHISK_TOKEN', saved.token], ['WHISK_TOKEN_FILE', saved.file]]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+  delete process.env.WHISK_TOKEN;
+
+  const minutes = n => Date.now() + n * 60000;
+  const cases = [
+    // token file content (null: no file), state, usable, message
+    [null, TOKEN_STATE.MISSING, false, /^No Whisk token at .*: run .* to sign in again$/],
+    ['{"accessToken":', TOKEN_STATE.INVALID, false, /is not valid JSON/],
+    [{ accessToken: 'abc' }, TOKEN_STATE.INVALID, false, /lacks accessToken\/expiresAt/],
+    [{ accessToken: 'abc', expiresAt: minutes(-30) }, TOKEN_STATE.EXPIRED, false, /^Whisk token expired 30 minutes ago/],
+    [{ accessToken: 'abc', expiresAt: minutes(3) }, TOKEN_STATE.EXPIRING, true, /^Whisk token expires in 3 minutes .*refresh it/],
+    [{ accessToken: 'abc', expiresAt: minutes(50) }, TOKEN_STATE.OK, true, /^Whisk token valid for 50 minutes/],
+  ];
+  cases.forEach(([content, state, usable, message], i) => {
+    const tokenFile = path.join(dir, `token-${i}.json`);
+    if (content !== null) fs.writeFileSync(tokenFile, typeof content === 'string' ? content : JSON.stringify(content));
+    const status = tokenStatus({ tokenFile });
+    assert.equal(status.state, state, tokenFile);
+    assert.equal(status.usable, usable, tokenFile);
+    assert.equal(status.file, tokenFile);
+    assert.match(status.message, message);
+    assert.equal(loadToken({ tokenFile }) === null, !usable);
+  });
+
+  // WHISK_TOKEN_FILE is the default file; WHISK_TOKEN wins over both unless a file is given
+  process.env.WHISK_TOKEN_FILE = path.join(dir, 'token-5.json');
+  assert.equal(tokenStatus().state, TOKEN_STATE.OK);
+  process.env.WHISK_TOKEN = 'from-env';
+  assert.deepEqual(loadToken(), { accessToken: 'from-env', expiresAt: null });
+  assert.equal(tokenStatus({ tokenFile: path.join(dir, 'token-0.json') }).state, TOKEN_STATE.MISSING);
+});